@@ -4,6 +4,26 @@ import connectDB from './src/config/database.js';
 import helmet from 'helmet';
 import cors from 'cors';
 import authRoutes from './src/routes/authRoutes.js';
+import tournamentRoutes from './src/routes/tournamentRoutes.js';
+import teamRoutes from './src/routes/teamRoutes.js';
+import matchRoutes from './src/routes/matchRoutes.js';
+import adminRoutes from './src/routes/adminRoutes.js';
+import organizerApplicationRoutes from './src/routes/organizerApplicationRoutes.js';
+import notificationRoutes from './src/routes/notificationRoutes.js';
+import leaderboardRoutes from './src/routes/leaderboardRoutes.js';
+import userRoutes from './src/routes/userRoutes.js';
+import ratingRoutes from './src/routes/ratingRoutes.js';
+import recruitmentRoutes from './src/routes/recruitmentRoutes.js';
+import venueRoutes from './src/routes/venueRoutes.js';
+import protestRoutes from './src/routes/protestRoutes.js';
+import templateRoutes from './src/routes/templateRoutes.js';
+import seriesRoutes from './src/routes/seriesRoutes.js';
+import { startLiveUpdates } from './src/services/liveService.js';
+import { startNotifications } from './src/services/notificationService.js';
+import { startStats } from './src/services/statsService.js';
+import { startRatings } from './src/services/ratingService.js';
+import { createScheduler } from './src/services/scheduler.js';
+import { initMailTransport } from './src/utils/mailer.js';
 dotenv.config();
 
 const PORT = process.env.PORT || 3000;
@@ -16,8 +36,38 @@ app.use(express.json());
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/tournaments', tournamentRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/matches', matchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/organizer-applications', organizerApplicationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/leaderboards', leaderboardRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/ratings', ratingRoutes);
+app.use('/api/recruitment', recruitmentRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/protests', protestRoutes);
+app.use('/api/tournament-templates', templateRoutes);
+app.use('/api/series', seriesRoutes);
+
+// Fail fast when mail cannot be delivered
+initMailTransport();
+
+// Deliver notifications, live updates, stats and ratings for domain events
+startNotifications();
+startLiveUpdates();
+startStats();
+startRatings();
 
 app.listen(PORT, () => {
   connectDB();
+
+  // Tournament lifecycle jobs
+  if (process.env.SCHEDULER_DISABLED !== 'true') {
+    createScheduler({
+      intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS) || undefined,
+    }).start();
+  }
   console.log(`Server is listening on port ${PORT}`);
 });
@@ -0,0 +1,414 @@
+import User from '../models/user.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import { escapeRegex } from '../utils/regex.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const HIDDEN_FIELDS =
+  '-password -emailVerificationToken -passwordResetToken -tokenVersion';
+
+// Load the target user or respond 404
+const findTargetUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: 'User not found',
+    });
+  }
+
+  return user;
+};
+
+// Search users with filters
+export const getUsers = async (req, res) => {
+  try {
+    const {
+      search,
+      role,
+      department,
+      yearOfStudy,
+      isActive,
+      restricted,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const query = {};
+
+    // Matches primary or secondary role
+    if (role) {
+      query.$or = [{ primaryRole: role }, { secondaryRoles: role }];
+    }
+
+    if (department) {
+      query.department = department;
+    }
+
+    if (yearOfStudy) {
+      query.yearOfStudy = parseInt(yearOfStudy);
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    if (restricted === 'true') {
+      query.restrictedUntil = { $gt: new Date() };
+    }
+
+    // Search by name, email or college ID
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$and = [
+        {
+          $or: [
+            { fullName: pattern },
+            { email: pattern },
+            { collegeId: pattern },
+          ],
+        },
+      ];
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(query)
+      .select(HIDDEN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users',
+    });
+  }
+};
+
+// Get a single user with admin notes
+export const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select(HIDDEN_FIELDS)
+      .populate('notes.addedBy', 'fullName email')
+      .populate('approvedBy', 'fullName email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { user },
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user',
+    });
+  }
+};
+
+// Promote or demote primary and secondary roles
+export const updateUserRoles = async (req, res) => {
+  try {
+    const { primaryRole, secondaryRoles } = req.body;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    // Avoid locking the last admin out by accident
+    if (
+      user._id.equals(req.currentUser._id) &&
+      primaryRole !== undefined &&
+      primaryRole !== 'admin'
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own admin role',
+      });
+    }
+
+    if (primaryRole !== undefined) user.primaryRole = primaryRole;
+    if (secondaryRoles !== undefined) {
+      user.secondaryRoles = [...new Set(secondaryRoles)];
+    }
+
+    // Existing tokens carry the old roles
+    user.tokenVersion += 1;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Roles updated: ${user.getDisplayRole()}`,
+      data: {
+        primaryRole: user.primaryRole,
+        secondaryRoles: user.secondaryRoles,
+      },
+    });
+  } catch (error) {
+    console.error('Admin update roles error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update roles',
+    });
+  }
+};
+
+// Mark an organizer as verified (or revoke it)
+export const verifyOrganizer = async (req, res) => {
+  try {
+    const { isVerifiedOrganizer = true } = req.body;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (isVerifiedOrganizer && !user.canCreateTournaments) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only organizers, faculty or admins can be verified organizers',
+      });
+    }
+
+    user.isVerifiedOrganizer = isVerifiedOrganizer;
+    user.approvedBy = isVerifiedOrganizer ? req.currentUser._id : undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: isVerifiedOrganizer
+        ? 'Organizer verified'
+        : 'Organizer verification removed',
+      data: { isVerifiedOrganizer: user.isVerifiedOrganizer },
+    });
+  } catch (error) {
+    console.error('Admin verify organizer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update organizer verification',
+    });
+  }
+};
+
+// Add an internal note
+export const addNote = async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note content is required',
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.notes.push({ content: content.trim(), addedBy: req.currentUser._id });
+    await user.save({ validateBeforeSave: false });
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: { notes: user.notes },
+    });
+  } catch (error) {
+    console.error('Admin add note error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add note',
+    });
+  }
+};
+
+// Issue a warning, recorded as a note
+export const issueWarning = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Warning reason is required',
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.warnings += 1;
+    user.notes.push({
+      content: `Warning #${user.warnings}: ${reason.trim()}`,
+      addedBy: req.currentUser._id,
+    });
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Warning issued',
+      data: { warnings: user.warnings },
+    });
+  } catch (error) {
+    console.error('Admin issue warning error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue warning',
+    });
+  }
+};
+
+// Restrict a user until a date
+export const restrictUser = async (req, res) => {
+  try {
+    const { until, reason } = req.body;
+
+    const restrictedUntil = new Date(until);
+    if (!until || isNaN(restrictedUntil) || restrictedUntil <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Restriction end date must be in the future',
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.restrictedUntil = restrictedUntil;
+    user.notes.push({
+      content: `Restricted until ${restrictedUntil.toISOString()}${
+        reason ? `: ${reason}` : ''
+      }`,
+      addedBy: req.currentUser._id,
+    });
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'User restricted',
+      data: { restrictedUntil: user.restrictedUntil },
+    });
+  } catch (error) {
+    console.error('Admin restrict user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restrict user',
+    });
+  }
+};
+
+// Lift a restriction early
+export const liftRestriction = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.restrictedUntil = undefined;
+    user.notes.push({
+      content: 'Restriction lifted',
+      addedBy: req.currentUser._id,
+    });
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Restriction lifted',
+    });
+  } catch (error) {
+    console.error('Admin lift restriction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lift restriction',
+    });
+  }
+};
+
+// Deactivate an account and sign it out everywhere
+export const deactivateUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.currentUser._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account',
+      });
+    }
+
+    user.isActive = false;
+    user.tokenVersion += 1;
+    user.notes.push({
+      content: `Account deactivated${reason ? `: ${reason}` : ''}`,
+      addedBy: req.currentUser._id,
+    });
+    await user.save({ validateBeforeSave: false });
+    await revokeAllSessions(user._id, 'Account deactivated');
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deactivated',
+    });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate account',
+    });
+  }
+};
+
+// Reactivate an account
+export const reactivateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.isActive = true;
+    user.notes.push({
+      content: 'Account reactivated',
+      addedBy: req.currentUser._id,
+    });
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account reactivated',
+    });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reactivate account',
+    });
+  }
+};
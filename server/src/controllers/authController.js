@@ -1,5 +1,27 @@
 import User from '../models/user.js';
-import { generateToken } from '../utils/jwt.js';
+import Session from '../models/session.js';
+import {
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  startSession,
+} from '../services/sessionService.js';
+import eventBus from '../utils/eventBus.js';
+import { clientUrl, sendMail } from '../utils/mailer.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+// Mail a verification link; failures are logged so sign-up still succeeds
+const sendVerificationEmail = async (user, token) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your Tournaz email',
+      text: `Hi ${user.fullName},\n\nConfirm your email address by opening the link below. It expires in 24 hours.\n\n${clientUrl()}/verify-email?token=${token}`,
+    });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
 
 // Register a new user
 export const register = async (req, res) => {
@@ -31,10 +53,12 @@ export const register = async (req, res) => {
     });
 
     // save user to Db
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
+    await sendVerificationEmail(user, verificationToken);
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
 
     // Return user data
     const userResponse = {
@@ -55,17 +79,13 @@ export const register = async (req, res) => {
       data: {
         user: userResponse,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
     // Mongoose validation errors
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        details: errors,
-      });
+      return validationErrorResponse(res, error);
     }
 
     // Duplicate key errors
@@ -123,8 +143,8 @@ export const login = async (req, res) => {
     user.loginCount += 1;
     await user.save({ validateBeforeSave: false });
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
 
     // Return user data
     const userResponse = {
@@ -149,6 +169,7 @@ export const login = async (req, res) => {
       data: {
         user: userResponse,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -187,11 +208,261 @@ export const getCurrentUser = async (req, res) => {
   }
 };
 
-// Logout user
-export const logout = (req, res) => {
-  // Logout is handled client side
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully',
-  });
+// Exchange a refresh token for a new token pair
+export const refresh = async (req, res) => {
+  try {
+    const { token, refreshToken } = await refreshSession(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      data: { token, refreshToken },
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: error.message || 'Session expired. Please login again.',
+    });
+  }
+};
+
+// Logout user from the current device
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, 'Logged out');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed. Please try again.',
+    });
+  }
+};
+
+// Logout user from every device
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId, 'Logged out everywhere');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed. Please try again.',
+    });
+  }
+};
+
+// List active sessions of the current user
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.userId)
+      .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          lastUsedAt: session.lastUsedAt,
+          createdAt: session.createdAt,
+          isCurrent: session._id.toString() === req.user.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions',
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+export const revokeUserSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user.userId,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    session.revoke('Revoked by user');
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+    });
+  }
+};
+
+// Verify email with the mailed token
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // Only a string can be hashed; anything else is simply not a valid link
+    const user =
+      typeof token === 'string' &&
+      token &&
+      (await User.findByVerificationToken(token));
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired',
+      });
+    }
+
+    // Tokens are single-use; bump the version so clients refresh and
+    // pick up the verified claim
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    user.tokenVersion += 1;
+    await user.save({ validateBeforeSave: false });
+
+    eventBus.emit('auth.email_verified', { user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Email verification failed. Please try again.',
+    });
+  }
+};
+
+// Send a fresh verification email
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified',
+      });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend verification email',
+    });
+  }
+};
+
+// Request a password reset link
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = email && (await User.findOne({ email: email.toLowerCase() }));
+
+    // Same answer either way so emails cannot be probed
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Tournaz password',
+        text: `Hi ${user.fullName},\n\nReset your password by opening the link below. It expires in 1 hour. If you did not ask for this, ignore this email.\n\n${clientUrl()}/reset-password?token=${token}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send reset link. Please try again.',
+    });
+  }
+};
+
+// Set a new password with the mailed token
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user =
+      typeof token === 'string' &&
+      token &&
+      (await User.findByPasswordResetToken(token));
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired',
+      });
+    }
+
+    // Tokens are single-use
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every device that used the old password
+    await revokeAllSessions(user._id, 'Password reset');
+
+    eventBus.emit('auth.password_reset', { user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in.',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Password reset failed. Please try again.',
+    });
+  }
 };
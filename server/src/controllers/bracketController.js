@@ -0,0 +1,136 @@
+import Tournament from '../models/tournament.js';
+import {
+  SEEDING_METHODS,
+  buildTournamentBracket,
+  discardBracketMatches,
+  getSeedOverrideError,
+} from '../services/matchService.js';
+import eventBus from '../utils/eventBus.js';
+
+// Close registration and generate the bracket from approved teams
+export const generateBracket = async (req, res) => {
+  try {
+    const { seeding = 'random', seedOverrides = [], swissRounds } = req.body;
+
+    const { tournament } = req;
+
+    if (tournament.bracketGenerated) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bracket has already been generated',
+      });
+    }
+
+    if (
+      !['registration_open', 'registration_closed'].includes(tournament.status)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot generate bracket while tournament is ${tournament.status}`,
+      });
+    }
+
+    if (!SEEDING_METHODS.includes(seeding)) {
+      return res.status(400).json({
+        success: false,
+        error: `Seeding must be one of ${SEEDING_METHODS.join(', ')}`,
+      });
+    }
+
+    const approvedCount = tournament.registeredTeams.filter(
+      r => r.approved
+    ).length;
+
+    if (approvedCount < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least two approved teams are required',
+      });
+    }
+
+    const rounds = swissRounds === undefined ? undefined : Number(swissRounds);
+    if (
+      rounds !== undefined &&
+      (!Number.isInteger(rounds) || rounds < 1 || rounds > approvedCount - 1)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Swiss rounds must be a whole number from 1 to ${approvedCount - 1}`,
+      });
+    }
+
+    const overrideError = getSeedOverrideError(tournament, seedOverrides);
+    if (overrideError) {
+      return res.status(400).json({
+        success: false,
+        error: overrideError,
+      });
+    }
+
+    await buildTournamentBracket(tournament, {
+      seeding,
+      seedOverrides,
+      swissRounds: rounds,
+    });
+    if (tournament.status === 'registration_open') {
+      tournament.setStatus('registration_closed', {
+        by: req.user.userId,
+        reason: 'Bracket generated',
+      });
+    }
+    try {
+      await tournament.save();
+    } catch (error) {
+      await discardBracketMatches(tournament);
+      throw error;
+    }
+
+    eventBus.emit('bracket.updated', { tournament });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bracket generated successfully',
+      data: { bracket: tournament.bracket },
+    });
+  } catch (error) {
+    console.error('Generate bracket error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate bracket',
+    });
+  }
+};
+
+// Get the bracket of a tournament
+export const getBracket = async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id).select(
+      'name tournamentType bracketGenerated bracket'
+    );
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
+
+    if (!tournament.bracketGenerated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bracket has not been generated yet',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { bracket: tournament.bracket },
+    });
+  } catch (error) {
+    console.error('Get bracket error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bracket',
+    });
+  }
+};
@@ -0,0 +1,306 @@
+import mongoose from 'mongoose';
+import Match from '../models/match.js';
+import Team from '../models/team.js';
+import Tournament from '../models/tournament.js';
+import {
+  checkInWindow,
+  excuseNoShow,
+  excuseTeam,
+  getExcuseError,
+  getMatchCheckInError,
+  getTournamentCheckInError,
+  getWindowError,
+} from '../services/checkInService.js';
+import {
+  validationErrorResponse,
+  versionConflictResponse,
+} from '../utils/validation.js';
+
+const SETTINGS_FIELDS = ['matches', 'windowMinutes', 'graceMinutes'];
+
+// Team checking in: the one named in the body, else the first of `teamIds`
+// the user captains. Responds 403 and returns null when the user may not
+// check it in.
+const findCheckInTeam = async (req, res, teamIds, isManager) => {
+  const { teamId } = req.body;
+  const ids = teamIds.map(team => team.toString());
+
+  let team = null;
+  if (teamId) {
+    team =
+      mongoose.isValidObjectId(teamId) && ids.includes(teamId.toString())
+        ? await Team.findById(teamId)
+        : null;
+  } else {
+    const teams = await Team.find({ _id: { $in: ids } });
+    team = teams.find(t => t.canManage(req.user.userId)) || null;
+  }
+
+  if (!team || !(isManager || team.canManage(req.user.userId))) {
+    res.status(403).json({
+      success: false,
+      error: 'Only captains of a participating team can check it in',
+    });
+    return null;
+  }
+
+  return team;
+};
+
+// Turn tournament and match check-in on or off and set the window and
+// grace period
+export const updateCheckInSettings = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const { checkIn } = tournament;
+
+    if (req.body.tournament !== undefined) {
+      if (checkIn.closedAt) {
+        return res.status(400).json({
+          success: false,
+          error: 'Tournament check-in has already closed',
+        });
+      }
+      checkIn.tournament = req.body.tournament;
+    }
+
+    SETTINGS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) checkIn[field] = req.body[field];
+    });
+
+    await tournament.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in settings updated',
+      data: { checkIn: tournament.checkIn },
+    });
+  } catch (error) {
+    console.error('Update check-in settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update check-in settings',
+    });
+  }
+};
+
+// Captain confirms the team will attend. Organizers can check a team in on
+// its behalf, even outside the window.
+export const checkInToTournament = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const isManager = tournament.canUserManage(req.currentUser);
+
+    const team = await findCheckInTeam(
+      req,
+      res,
+      tournament.registeredTeams.filter(r => r.approved).map(r => r.team),
+      isManager
+    );
+    if (!team) return;
+
+    const registration = tournament.findTeamRegistration(team._id);
+    const window = checkInWindow(tournament, tournament.startDate);
+    const checkInError =
+      getTournamentCheckInError(tournament, registration) ||
+      (!isManager && getWindowError(window));
+    if (checkInError) {
+      return res.status(400).json({
+        success: false,
+        error: checkInError,
+      });
+    }
+
+    registration.checkedInAt = new Date();
+    registration.checkedInBy = req.user.userId;
+    await tournament.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${team.name} is checked in`,
+      data: { registration },
+    });
+  } catch (error) {
+    console.error('Tournament check-in error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in',
+    });
+  }
+};
+
+// Organizer overrides a team's tournament no-show
+export const excuseTournamentNoShow = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const { teamId } = req.body;
+
+    const registration = teamId
+      ? tournament.findTeamRegistration(teamId)
+      : null;
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team is not registered for this tournament',
+      });
+    }
+
+    if (!registration.noShow) {
+      return res.status(400).json({
+        success: false,
+        error: 'The team is not marked as a no-show',
+      });
+    }
+
+    const { reinstated, kept } = await excuseTeam(
+      tournament,
+      registration.team,
+      req.user.userId
+    );
+
+    res.status(200).json({
+      success: true,
+      message:
+        kept.length > 0
+          ? `No-show overridden. ${kept.length} forfeit(s) stand because later matches were played.`
+          : 'No-show overridden',
+      data: { registration, reinstated, kept },
+    });
+  } catch (error) {
+    console.error('Excuse tournament no-show error:', error);
+
+    if (error.name === 'VersionError') {
+      return versionConflictResponse(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to override no-show',
+    });
+  }
+};
+
+// Captain confirms the team is present for the match. Organizers can check
+// a team in on its behalf, even outside the window.
+export const checkInToMatch = async (req, res) => {
+  try {
+    const match = mongoose.isValidObjectId(req.params.id)
+      ? await Match.findById(req.params.id)
+      : null;
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+      });
+    }
+
+    const tournament = await Tournament.findById(match.tournament);
+    const isManager = tournament.canUserManage(req.currentUser);
+
+    const team = await findCheckInTeam(
+      req,
+      res,
+      match.participants.map(p => p.team).filter(Boolean),
+      isManager
+    );
+    if (!team) return;
+
+    const checkInError =
+      getMatchCheckInError(match, tournament, team._id) ||
+      (!isManager &&
+        getWindowError(checkInWindow(tournament, match.scheduledAt)));
+    if (checkInError) {
+      return res.status(400).json({
+        success: false,
+        error: checkInError,
+      });
+    }
+
+    match.checkIns.push({
+      team: team._id,
+      checkedInBy: req.user.userId,
+      at: new Date(),
+    });
+    await match.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${team.name} is checked in`,
+      data: { checkIns: match.checkIns },
+    });
+  } catch (error) {
+    console.error('Match check-in error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in',
+    });
+  }
+};
+
+// Organizer overrides a missed match check-in, undoing the walkover
+export const excuseMatchNoShow = async (req, res) => {
+  try {
+    const { teamId } = req.body;
+
+    const match = mongoose.isValidObjectId(req.params.id)
+      ? await Match.findById(req.params.id)
+      : null;
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+      });
+    }
+
+    const tournament = await Tournament.findById(match.tournament);
+
+    if (!tournament.canUserManage(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to manage this match',
+      });
+    }
+
+    if (!teamId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name the team to excuse',
+      });
+    }
+
+    const excuseError = getExcuseError(match, tournament, teamId);
+    if (excuseError) {
+      return res.status(400).json({
+        success: false,
+        error: excuseError,
+      });
+    }
+
+    await excuseNoShow(match, tournament, teamId, req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Forfeit overridden. The team counts as checked in.',
+      data: { match },
+    });
+  } catch (error) {
+    console.error('Excuse match no-show error:', error);
+
+    if (error.name === 'VersionError') {
+      return versionConflictResponse(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to override forfeit',
+    });
+  }
+};
@@ -0,0 +1,122 @@
+import {
+  exportMatches,
+  exportRegistrations,
+  exportStandings,
+  getStandingsExportError,
+  renderBracketSheet,
+  toRecords,
+} from '../services/exportService.js';
+import { toCsv } from '../utils/csv.js';
+
+const FORMATS = ['csv', 'json'];
+
+// File name stem, e.g. "spring-fest-valorant-matches"
+const fileName = (tournament, kind) =>
+  `${tournament.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')}-${kind}`;
+
+// Send { rows, columns } as a CSV download or JSON, per ?format=
+const sendTable = (req, res, kind, { rows, columns }) => {
+  const format = req.query.format || 'csv';
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Format must be one of: ${FORMATS.join(', ')}`,
+    });
+  }
+
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      data: { [kind]: toRecords(rows, columns) },
+    });
+  }
+
+  res.attachment(`${fileName(req.tournament, kind)}.csv`);
+  res.type('text/csv').status(200).send(toCsv(rows, columns));
+};
+
+// Export every registered, waitlisted and solo player
+export const exportTournamentRegistrations = async (req, res) => {
+  try {
+    const table = await exportRegistrations(req.tournament);
+    sendTable(req, res, 'registrations', table);
+  } catch (error) {
+    console.error('Export registrations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export registrations',
+    });
+  }
+};
+
+// Export match results
+export const exportTournamentMatches = async (req, res) => {
+  try {
+    const table = await exportMatches(req.tournament);
+    sendTable(req, res, 'matches', table);
+  } catch (error) {
+    console.error('Export matches error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export matches',
+    });
+  }
+};
+
+// Export the league table or final placings
+export const exportTournamentStandings = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    const exportError = getStandingsExportError(tournament);
+    if (exportError) {
+      return res.status(400).json({
+        success: false,
+        error: exportError,
+      });
+    }
+
+    const table = await exportStandings(tournament);
+    sendTable(req, res, 'standings', table);
+  } catch (error) {
+    console.error('Export standings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export standings',
+    });
+  }
+};
+
+// Printable bracket sheet (HTML), or the raw bracket with ?format=json
+export const exportTournamentBracket = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    if (!tournament.bracketGenerated) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bracket has not been generated yet',
+      });
+    }
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: { bracket: tournament.bracket },
+      });
+    }
+
+    const sheet = await renderBracketSheet(tournament);
+    res.type('html').status(200).send(sheet);
+  } catch (error) {
+    console.error('Export bracket error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export bracket',
+    });
+  }
+};
@@ -0,0 +1,157 @@
+import {
+  getRegistrationImportError,
+  importRosters,
+  importSoloPlayers,
+  importTournaments,
+} from '../services/importService.js';
+import { parseCsv } from '../utils/csv.js';
+
+// Rows from a CSV body, a JSON array or { rows: [...] }. Responds 400 and
+// returns null when there are none.
+const readRows = (req, res) => {
+  let rows = null;
+  if (typeof req.body === 'string') rows = parseCsv(req.body);
+  else if (Array.isArray(req.body)) rows = req.body;
+  else if (Array.isArray(req.body?.rows)) rows = req.body.rows;
+
+  if (!rows || rows.length === 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Send a CSV file or a JSON array of rows to import',
+    });
+    return null;
+  }
+
+  if (rows.some(row => !row || typeof row !== 'object')) {
+    res.status(400).json({
+      success: false,
+      error: 'Every row must be an object',
+    });
+    return null;
+  }
+
+  return rows;
+};
+
+const isDryRun = req => req.query.dryRun === 'true';
+
+// Respond 400 with the row problems an importer reported
+const rowErrorResponse = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: errors,
+  });
+
+// Reason registrations of this kind cannot be imported, or null
+const getImportError = (tournament, registrationType) =>
+  tournament.registrationType === registrationType
+    ? `This tournament only accepts ${registrationType} registrations`
+    : getRegistrationImportError(tournament);
+
+// Create tournaments from a file of definitions. With ?dryRun=true the rows
+// are only checked.
+export const importTournamentDefinitions = async (req, res) => {
+  try {
+    const rows = readRows(req, res);
+    if (!rows) return;
+
+    const dryRun = isDryRun(req);
+    const { tournaments, errors } = await importTournaments(
+      rows,
+      req.user.userId,
+      { dryRun }
+    );
+    if (errors.length > 0) return rowErrorResponse(res, errors);
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `All ${rows.length} tournaments are valid`
+        : `${tournaments.length} tournaments imported`,
+      data: { tournaments },
+    });
+  } catch (error) {
+    console.error('Import tournaments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import tournaments',
+    });
+  }
+};
+
+// Create teams from a roster file and register them as approved
+export const importTeamRosters = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    const importError = getImportError(tournament, 'solo');
+    if (importError) {
+      return res.status(400).json({
+        success: false,
+        error: importError,
+      });
+    }
+
+    const rows = readRows(req, res);
+    if (!rows) return;
+
+    const dryRun = isDryRun(req);
+    const { teams, errors } = await importRosters(tournament, rows, {
+      dryRun,
+    });
+    if (errors.length > 0) return rowErrorResponse(res, errors);
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `All ${rows.length} roster rows are valid`
+        : `${teams.length} teams imported and registered`,
+      data: { teams },
+    });
+  } catch (error) {
+    console.error('Import rosters error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import rosters',
+    });
+  }
+};
+
+// Register solo players from a registrant list
+export const importSoloRegistrants = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    const importError = getImportError(tournament, 'team');
+    if (importError) {
+      return res.status(400).json({
+        success: false,
+        error: importError,
+      });
+    }
+
+    const rows = readRows(req, res);
+    if (!rows) return;
+
+    const dryRun = isDryRun(req);
+    const { registered, errors } = await importSoloPlayers(tournament, rows, {
+      dryRun,
+    });
+    if (errors.length > 0) return rowErrorResponse(res, errors);
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `All ${rows.length} players are valid`
+        : `${registered} solo players registered`,
+      data: { registered },
+    });
+  } catch (error) {
+    console.error('Import solo players error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import solo players',
+    });
+  }
+};
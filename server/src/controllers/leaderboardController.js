@@ -0,0 +1,135 @@
+import User from '../models/user.js';
+import { normalizeGame } from '../utils/games.js';
+
+const SORT_FIELDS = {
+  wins: { matchesWon: -1, winRate: -1 },
+  winRate: { winRate: -1, matchesWon: -1 },
+  matches: { matchesPlayed: -1, matchesWon: -1 },
+  tournaments: { tournamentsWon: -1, matchesWon: -1 },
+};
+
+// Player leaderboard, overall or for one game
+export const getLeaderboard = async (req, res) => {
+  try {
+    const {
+      game,
+      department,
+      yearOfStudy,
+      sort = 'wins',
+      minMatches = 1,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    if (!SORT_FIELDS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `Sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`,
+      });
+    }
+
+    const match = { isActive: true };
+    if (department) match.department = department;
+    if (yearOfStudy) match.yearOfStudy = parseInt(yearOfStudy);
+
+    // Per-game numbers come from the gameStats entry, totals otherwise
+    const pipeline = [{ $match: match }];
+    if (game) {
+      pipeline.push(
+        { $unwind: '$gameStats' },
+        { $match: { 'gameStats.game': normalizeGame(game) } },
+        {
+          $set: {
+            matchesPlayed: '$gameStats.matchesPlayed',
+            matchesWon: '$gameStats.matchesWon',
+            tournamentsWon: '$gameStats.tournamentsWon',
+          },
+        }
+      );
+    } else {
+      pipeline.push({
+        $set: {
+          matchesPlayed: '$totalMatchesPlayed',
+          tournamentsWon: { $sum: '$gameStats.tournamentsWon' },
+        },
+      });
+    }
+
+    pipeline.push(
+      // At least one match, which also keeps the win rate division safe
+      {
+        $match: {
+          matchesPlayed: { $gte: Math.max(1, parseInt(minMatches) || 1) },
+        },
+      },
+      {
+        $set: {
+          winRate: {
+            $round: [
+              {
+                $multiply: [
+                  { $divide: ['$matchesWon', '$matchesPlayed'] },
+                  100,
+                ],
+              },
+              1,
+            ],
+          },
+        },
+      },
+      {
+        $project: {
+          fullName: 1,
+          department: 1,
+          yearOfStudy: 1,
+          matchesPlayed: 1,
+          matchesWon: 1,
+          winRate: 1,
+          tournamentsWon: 1,
+        },
+      }
+    );
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [result] = await User.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          players: [
+            { $sort: { ...SORT_FIELDS[sort], _id: 1 } },
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    const total = result.total[0]?.count ?? 0;
+    const players = result.players.map((player, index) => ({
+      rank: skip + index + 1,
+      ...player,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        players,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leaderboard',
+    });
+  }
+};
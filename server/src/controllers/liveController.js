@@ -0,0 +1,36 @@
+import { subscribe } from '../services/liveService.js';
+
+// Stream live updates for a tournament. Public tournaments are open to
+// anonymous spectators; others need a token for a manager or reviewer.
+export const streamTournament = (req, res) => {
+  try {
+    const { tournament, currentUser } = req;
+
+    if (!tournament.isPublic) {
+      if (!currentUser) {
+        return res.status(401).json({
+          success: false,
+          error: 'Login required to follow this tournament',
+        });
+      }
+
+      if (
+        !tournament.canUserManage(currentUser) &&
+        !tournament.canReview(currentUser)
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to follow this tournament',
+        });
+      }
+    }
+
+    subscribe(tournament, req, res);
+  } catch (error) {
+    console.error('Stream tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open live updates',
+    });
+  }
+};
@@ -0,0 +1,321 @@
+import mongoose from 'mongoose';
+import Match from '../models/match.js';
+import Team from '../models/team.js';
+import Tournament from '../models/tournament.js';
+import Venue from '../models/venue.js';
+import { parseReport, submitReport } from '../services/matchService.js';
+import { findBlockingProtest } from '../services/protestService.js';
+import {
+  bookMatch,
+  findConflicts,
+  findScheduleVenue,
+  slotFor,
+} from '../services/schedulingService.js';
+import eventBus from '../utils/eventBus.js';
+import { versionConflictResponse } from '../utils/validation.js';
+
+// Load the match and its tournament. Responds 404 and returns an empty
+// object when either is missing.
+const loadMatch = async (req, res) => {
+  const match = mongoose.isValidObjectId(req.params.id)
+    ? await Match.findById(req.params.id)
+    : null;
+
+  if (!match) {
+    res.status(404).json({
+      success: false,
+      error: 'Match not found',
+    });
+    return {};
+  }
+
+  const tournament = await Tournament.findById(match.tournament);
+
+  if (!tournament) {
+    res.status(404).json({
+      success: false,
+      error: 'Tournament not found',
+    });
+    return {};
+  }
+
+  return { match, tournament };
+};
+
+// Get single match
+export const getMatch = async (req, res) => {
+  try {
+    const match = mongoose.isValidObjectId(req.params.id)
+      ? await Match.findById(req.params.id)
+          .populate('participants.team', 'name tag captain')
+          .populate('winner', 'name tag')
+      : null;
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { match },
+    });
+  } catch (error) {
+    console.error('Get match error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch match',
+    });
+  }
+};
+
+// Get all matches of a tournament
+export const getTournamentMatches = async (req, res) => {
+  try {
+    const query = { tournament: req.params.id };
+    if (req.query.round) query.round = parseInt(req.query.round);
+    if (req.query.status) query.status = req.query.status;
+
+    const matches = await Match.find(query)
+      .populate('participants.team', 'name tag')
+      .populate('winner', 'name tag')
+      .sort({ round: 1, bracketMatchId: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { matches },
+    });
+  } catch (error) {
+    console.error('Get tournament matches error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch matches',
+    });
+  }
+};
+
+// Report a match result as a captain, score reporter or organizer
+export const reportResult = async (req, res) => {
+  try {
+    const { match, tournament } = await loadMatch(req, res);
+    if (!match) return;
+
+    if (!match.isPlayable) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot report a result for a ${match.status} match`,
+      });
+    }
+
+    if (tournament.status !== 'ongoing') {
+      return res.status(400).json({
+        success: false,
+        error: 'Results can only be reported once the tournament is ongoing',
+      });
+    }
+
+    const protest = await findBlockingProtest(match, tournament);
+    if (protest) {
+      return res.status(400).json({
+        success: false,
+        error: `Waiting for a ruling on the protest over match ${protest.bracketMatchId}`,
+      });
+    }
+
+    // Work out who is reporting
+    let reporter;
+    if (tournament.canReportScores(req.currentUser)) {
+      reporter = {
+        userId: req.user.userId,
+        role: tournament.canUserManage(req.currentUser)
+          ? 'organizer'
+          : 'score_reporter',
+      };
+    } else {
+      const teams = await Team.find({
+        _id: { $in: match.participants.map(p => p.team) },
+      });
+      const captainOf = teams.find(team => team.isCaptain(req.user.userId));
+
+      if (!captainOf) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only team captains or score reporters can report results',
+        });
+      }
+
+      reporter = {
+        userId: req.user.userId,
+        team: captainOf._id,
+        role: 'captain',
+      };
+    }
+
+    const result = parseReport(match, tournament, req.body);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    const status = await submitReport(match, tournament, result, reporter);
+
+    const messages = {
+      completed: 'Result confirmed',
+      awaiting_confirmation: 'Result submitted. Waiting for the opponent.',
+      disputed: 'Reports do not match. A dispute has been opened.',
+    };
+
+    res.status(200).json({
+      success: true,
+      message: messages[status],
+      data: { match },
+    });
+  } catch (error) {
+    console.error('Report result error:', error);
+
+    if (error.name === 'VersionError') {
+      return versionConflictResponse(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report result',
+    });
+  }
+};
+
+// Mark a match as in progress
+export const startMatch = async (req, res) => {
+  try {
+    const { match, tournament } = await loadMatch(req, res);
+    if (!match) return;
+
+    if (!tournament.canReportScores(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to start this match',
+      });
+    }
+
+    if (tournament.status !== 'ongoing') {
+      return res.status(400).json({
+        success: false,
+        error: 'Matches can only start once the tournament is ongoing',
+      });
+    }
+
+    if (!['ready', 'scheduled'].includes(match.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot start a ${match.status} match`,
+      });
+    }
+
+    const protest = await findBlockingProtest(match, tournament);
+    if (protest) {
+      return res.status(400).json({
+        success: false,
+        error: `Waiting for a ruling on the protest over match ${protest.bracketMatchId}`,
+      });
+    }
+
+    match.status = 'ongoing';
+    await match.save();
+
+    eventBus.emit('match.started', { match, tournament });
+
+    res.status(200).json({
+      success: true,
+      message: 'Match started',
+      data: { match },
+    });
+  } catch (error) {
+    console.error('Start match error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start match',
+    });
+  }
+};
+
+// Organizer sets the match time and venue. Conflicting slots are refused
+// unless `force` is set.
+export const scheduleMatch = async (req, res) => {
+  try {
+    const { scheduledAt, venueId, force = false } = req.body;
+
+    const { match, tournament } = await loadMatch(req, res);
+    if (!match) return;
+
+    if (!tournament.canUserManage(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to schedule this match',
+      });
+    }
+
+    if (!['pending', 'ready', 'scheduled'].includes(match.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot schedule a ${match.status} match`,
+      });
+    }
+
+    const date = new Date(scheduledAt);
+    if (!scheduledAt || isNaN(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid scheduledAt date is required',
+      });
+    }
+
+    let venue = null;
+    if (venueId) {
+      const found = await findScheduleVenue(tournament, venueId);
+      if (found.error) {
+        return res.status(400).json({
+          success: false,
+          error: found.error,
+        });
+      }
+      venue = found.venue;
+    } else if (venueId === undefined && match.venue) {
+      // Moving only the time keeps the venue; send venueId: null to clear it
+      venue = await Venue.findById(match.venue);
+    }
+
+    const slot = slotFor(tournament, date);
+    const conflicts = await findConflicts(match, tournament, {
+      ...slot,
+      venue,
+    });
+    if (conflicts.length > 0 && !force) {
+      return res.status(409).json({
+        success: false,
+        error: 'The proposed time conflicts with other bookings',
+        details: conflicts,
+      });
+    }
+
+    bookMatch(match, { ...slot, venue: venue?._id });
+    await match.save();
+
+    eventBus.emit('match.scheduled', { match, tournament });
+
+    res.status(200).json({
+      success: true,
+      message: 'Match scheduled',
+      data: { match, conflicts },
+    });
+  } catch (error) {
+    console.error('Schedule match error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to schedule match',
+    });
+  }
+};
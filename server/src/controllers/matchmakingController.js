@@ -0,0 +1,143 @@
+import {
+  BALANCE_MODES,
+  commitMatchmaking as commitTeams,
+  getPreviewError,
+  previewMatchmaking as buildPreview,
+} from '../services/matchmakingService.js';
+import eventBus from '../utils/eventBus.js';
+
+// Reason matchmaking cannot run for this tournament, or null
+const getMatchmakingError = tournament => {
+  if (tournament.registrationType === 'team') {
+    return 'This tournament does not accept solo registrations';
+  }
+  if (tournament.bracketGenerated) {
+    return 'Bracket has already been generated';
+  }
+  if (
+    !['registration_open', 'registration_closed'].includes(tournament.status)
+  ) {
+    return `Cannot match players while tournament is ${tournament.status}`;
+  }
+  return null;
+};
+
+// Propose teams from unmatched solo players; running it again replaces
+// the previous proposal
+export const previewMatchmaking = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const { balanceBy = 'rating' } = req.body;
+
+    const matchmakingError = getMatchmakingError(tournament);
+    if (matchmakingError) {
+      return res.status(400).json({
+        success: false,
+        error: matchmakingError,
+      });
+    }
+
+    if (!BALANCE_MODES.includes(balanceBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Balance must be one of ${BALANCE_MODES.join(', ')}`,
+      });
+    }
+
+    tournament.matchmakingPreview = await buildPreview(tournament, {
+      balanceBy,
+      generatedBy: req.user.userId,
+    });
+    await tournament.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${tournament.matchmakingPreview.teams.length} teams proposed`,
+      data: { preview: tournament.matchmakingPreview },
+    });
+  } catch (error) {
+    console.error('Preview matchmaking error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run matchmaking',
+    });
+  }
+};
+
+// Get the current proposal
+export const getMatchmakingPreview = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    if (!tournament.matchmakingPreview) {
+      return res.status(404).json({
+        success: false,
+        error: 'No matchmaking preview. Run matchmaking first.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { preview: tournament.matchmakingPreview },
+    });
+  } catch (error) {
+    console.error('Get matchmaking preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch matchmaking preview',
+    });
+  }
+};
+
+// Create and register the proposed teams
+export const commitMatchmaking = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    const matchmakingError =
+      getMatchmakingError(tournament) || getPreviewError(tournament);
+    if (matchmakingError) {
+      return res.status(400).json({
+        success: false,
+        error: matchmakingError,
+      });
+    }
+
+    const teams = await commitTeams(tournament);
+
+    eventBus.emit('matchmaking.committed', { tournament, teams });
+
+    res.status(201).json({
+      success: true,
+      message: `${teams.length} teams created and registered`,
+      data: { teams },
+    });
+  } catch (error) {
+    console.error('Commit matchmaking error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to commit matchmaking',
+    });
+  }
+};
+
+// Throw away the current proposal
+export const discardMatchmakingPreview = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    tournament.matchmakingPreview = null;
+    await tournament.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Matchmaking preview discarded',
+    });
+  } catch (error) {
+    console.error('Discard matchmaking preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard matchmaking preview',
+    });
+  }
+};
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import Notification, { NOTIFICATION_TYPES } from '../models/notification.js';
+import User from '../models/user.js';
+
+// List the current user's notifications, newest first
+export const getNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const query = { user: req.user.userId };
+    if (unread === 'true') query.readAt = null;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications',
+    });
+  }
+};
+
+// Mark one notification as read
+export const markAsRead = async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOne({
+          _id: req.params.id,
+          user: req.user.userId,
+        })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found',
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { notification },
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification',
+    });
+  }
+};
+
+// Mark every notification as read
+export const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} notifications marked as read`,
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notifications',
+    });
+  }
+};
+
+// Get notification preferences
+export const getPreferences = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        preferences: req.currentUser.notificationPreferences,
+        types: NOTIFICATION_TYPES,
+      },
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch preferences',
+    });
+  }
+};
+
+// Update channels and muted types
+export const updatePreferences = async (req, res) => {
+  try {
+    const { inApp, email, mutedTypes } = req.body;
+
+    if (mutedTypes !== undefined) {
+      const unknown = (mutedTypes || []).filter(
+        type => !NOTIFICATION_TYPES.includes(type)
+      );
+      if (!Array.isArray(mutedTypes) || unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unknown notification types',
+          details: unknown,
+        });
+      }
+    }
+
+    const update = {};
+    if (inApp !== undefined) {
+      update['notificationPreferences.inApp'] = !!inApp;
+    }
+    if (email !== undefined) {
+      update['notificationPreferences.email'] = !!email;
+    }
+    if (mutedTypes !== undefined) {
+      update['notificationPreferences.mutedTypes'] = [...new Set(mutedTypes)];
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: update },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated',
+      data: { preferences: user.notificationPreferences },
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update preferences',
+    });
+  }
+};
@@ -0,0 +1,200 @@
+import OrganizerApplication from '../models/organizerApplication.js';
+import User from '../models/user.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const APPLICANT_FIELDS = 'fullName email collegeId department yearOfStudy';
+
+// Student applies to become an organizer
+export const applyForOrganizer = async (req, res) => {
+  try {
+    const { clubAssociation, reason } = req.body;
+
+    if (!['student', 'team_captain'].includes(req.currentUser.primaryRole)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You can already organize tournaments',
+      });
+    }
+
+    const existing = await OrganizerApplication.findPendingFor(
+      req.currentUser._id
+    );
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a pending application',
+      });
+    }
+
+    const application = await OrganizerApplication.create({
+      applicant: req.currentUser._id,
+      clubAssociation,
+      reason,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted for review',
+      data: { application },
+    });
+  } catch (error) {
+    console.error('Apply for organizer error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit application',
+    });
+  }
+};
+
+// Get the current user's applications
+export const getMyApplications = async (req, res) => {
+  try {
+    const applications = await OrganizerApplication.find({
+      applicant: req.currentUser._id,
+    })
+      .populate('reviewedBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { applications },
+    });
+  } catch (error) {
+    console.error('Get my applications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch applications',
+    });
+  }
+};
+
+// Review queue for faculty and admins, oldest first
+export const getApplications = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const applications = await OrganizerApplication.find({ status })
+      .populate('applicant', APPLICANT_FIELDS)
+      .populate('reviewedBy', 'fullName')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        applications,
+        count: applications.length,
+      },
+    });
+  } catch (error) {
+    console.error('Get applications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch applications',
+    });
+  }
+};
+
+// Approve an application and promote the applicant
+export const approveApplication = async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    const application = await OrganizerApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found',
+      });
+    }
+
+    if (!application.isPending) {
+      return res.status(400).json({
+        success: false,
+        error: `Application is already ${application.status}`,
+      });
+    }
+
+    const applicant = await User.findById(application.applicant);
+
+    if (!applicant || !applicant.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Applicant account is no longer active',
+      });
+    }
+
+    applicant.primaryRole = 'organizer';
+    applicant.isVerifiedOrganizer = true;
+    applicant.approvedBy = req.currentUser._id;
+    applicant.clubAssociation = application.clubAssociation;
+    // Forces a refresh so the new role reaches the access token
+    applicant.tokenVersion += 1;
+    await applicant.save({ validateBeforeSave: false });
+
+    application.review('approved', req.currentUser._id, comment);
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${applicant.fullName} is now an organizer`,
+      data: { application },
+    });
+  } catch (error) {
+    console.error('Approve application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve application',
+    });
+  }
+};
+
+// Reject an application with a reason
+export const rejectApplication = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rejection reason is required',
+      });
+    }
+
+    const application = await OrganizerApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found',
+      });
+    }
+
+    if (!application.isPending) {
+      return res.status(400).json({
+        success: false,
+        error: `Application is already ${application.status}`,
+      });
+    }
+
+    application.review('rejected', req.currentUser._id, reason.trim());
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Application rejected',
+      data: { application },
+    });
+  } catch (error) {
+    console.error('Reject application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject application',
+    });
+  }
+};
@@ -0,0 +1,406 @@
+import mongoose from 'mongoose';
+import Match from '../models/match.js';
+import Protest from '../models/protest.js';
+import Team from '../models/team.js';
+import Tournament from '../models/tournament.js';
+import { resumeBracket } from '../services/matchService.js';
+import {
+  applyRuling,
+  getFilingError,
+  parseRuling,
+} from '../services/protestService.js';
+import eventBus from '../utils/eventBus.js';
+import {
+  validationErrorResponse,
+  versionConflictResponse,
+} from '../utils/validation.js';
+
+// Evidence entries from the body, tagged with who added them
+const evidenceFrom = (body, userId) =>
+  (Array.isArray(body.evidence) ? body.evidence : []).map(item => ({
+    url: item.url,
+    type: item.type,
+    description: item.description,
+    addedBy: userId,
+  }));
+
+// Members of the teams playing and officials who rule may see protests
+const canViewProtests = async (match, tournament, user) => {
+  if (tournament.canRuleOnProtests(user)) return true;
+  return Team.exists({
+    _id: { $in: match.participants.map(p => p.team).filter(Boolean) },
+    'members.user': user._id,
+  });
+};
+
+// Load the protest from :id with its match and tournament, or respond 404
+const loadProtest = async (req, res) => {
+  const protest = mongoose.isValidObjectId(req.params.id)
+    ? await Protest.findById(req.params.id)
+    : null;
+
+  if (!protest) {
+    res.status(404).json({
+      success: false,
+      error: 'Protest not found',
+    });
+    return {};
+  }
+
+  const match = await Match.findById(protest.match);
+  const tournament = await Tournament.findById(protest.tournament);
+  return { protest, match, tournament };
+};
+
+// Captain of a participating team files a protest on the match
+export const fileProtest = async (req, res) => {
+  try {
+    const { category, description } = req.body;
+
+    const match = mongoose.isValidObjectId(req.params.id)
+      ? await Match.findById(req.params.id)
+      : null;
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+      });
+    }
+
+    const tournament = await Tournament.findById(match.tournament);
+
+    const teams = await Team.find({
+      _id: { $in: match.participants.map(p => p.team).filter(Boolean) },
+    });
+    const team = teams.find(t => t.isCaptain(req.user.userId));
+
+    if (!team) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only captains of the teams playing can file a protest',
+      });
+    }
+
+    const filingError = getFilingError(match, tournament);
+    if (filingError) {
+      return res.status(400).json({
+        success: false,
+        error: filingError,
+      });
+    }
+
+    const existing = await Protest.exists({
+      match: match._id,
+      team: team._id,
+      status: 'pending',
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'Your team already has a pending protest on this match',
+      });
+    }
+
+    const protest = await Protest.create({
+      match: match._id,
+      tournament: tournament._id,
+      bracketMatchId: match.bracketMatchId,
+      round: match.round,
+      filedBy: req.user.userId,
+      team: team._id,
+      category,
+      description,
+      evidence: evidenceFrom(req.body, req.user.userId),
+    });
+
+    // A result still awaiting confirmation is now formally disputed
+    if (['awaiting_confirmation', 'disputed'].includes(match.status)) {
+      match.status = 'disputed';
+      if (!match.dispute.isOpen) {
+        match.dispute.isOpen = true;
+        match.dispute.openedAt = new Date();
+        match.dispute.reason = `Protest filed: ${category}`;
+      }
+      match.dispute.protest = protest._id;
+      await match.save();
+    }
+
+    eventBus.emit('protest.filed', { protest, match, tournament });
+
+    res.status(201).json({
+      success: true,
+      message: 'Protest filed. The bracket waits for a ruling.',
+      data: { protest },
+    });
+  } catch (error) {
+    console.error('File protest error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to file protest',
+    });
+  }
+};
+
+// Protests on a match
+export const getMatchProtests = async (req, res) => {
+  try {
+    const match = mongoose.isValidObjectId(req.params.id)
+      ? await Match.findById(req.params.id)
+      : null;
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+      });
+    }
+
+    const tournament = await Tournament.findById(match.tournament);
+    if (!(await canViewProtests(match, tournament, req.currentUser))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot view protests on this match',
+      });
+    }
+
+    const protests = await Protest.find({ match: match._id })
+      .populate('filedBy', 'fullName')
+      .populate('team', 'name tag')
+      .populate('ruling.ruledBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { protests },
+    });
+  } catch (error) {
+    console.error('Get match protests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch protests',
+    });
+  }
+};
+
+// Protest queue of a tournament for the officials who rule on it
+export const getTournamentProtests = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    if (!tournament.canRuleOnProtests(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot rule on protests in this tournament',
+      });
+    }
+
+    const query = { tournament: tournament._id };
+    if (req.query.status) query.status = req.query.status;
+
+    // Oldest first so nothing waits forever
+    const protests = await Protest.find(query)
+      .populate('filedBy', 'fullName')
+      .populate('team', 'name tag')
+      .populate('match', 'bracketMatchId round participants status')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        protests,
+        pending: protests.filter(p => p.isPending).length,
+      },
+    });
+  } catch (error) {
+    console.error('Get tournament protests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch protests',
+    });
+  }
+};
+
+// Get a single protest
+export const getProtest = async (req, res) => {
+  try {
+    const { protest, match, tournament } = await loadProtest(req, res);
+    if (!protest) return;
+
+    if (!(await canViewProtests(match, tournament, req.currentUser))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot view this protest',
+      });
+    }
+
+    await protest.populate([
+      { path: 'filedBy', select: 'fullName' },
+      { path: 'team', select: 'name tag' },
+      { path: 'evidence.addedBy', select: 'fullName' },
+      { path: 'ruling.ruledBy', select: 'fullName' },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { protest, match },
+    });
+  } catch (error) {
+    console.error('Get protest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch protest',
+    });
+  }
+};
+
+// Filing team attaches more evidence while the protest is pending
+export const addEvidence = async (req, res) => {
+  try {
+    const { protest } = await loadProtest(req, res);
+    if (!protest) return;
+
+    const team = await Team.findById(protest.team);
+    if (!team || !team.canManage(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the protesting team can add evidence',
+      });
+    }
+
+    if (!protest.isPending) {
+      return res.status(400).json({
+        success: false,
+        error: 'Evidence can only be added to a pending protest',
+      });
+    }
+
+    protest.evidence.push(...evidenceFrom(req.body, req.user.userId));
+    await protest.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Evidence added',
+      data: { evidence: protest.evidence },
+    });
+  } catch (error) {
+    console.error('Add evidence error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add evidence',
+    });
+  }
+};
+
+// Filing team drops its protest
+export const withdrawProtest = async (req, res) => {
+  try {
+    const { protest, tournament } = await loadProtest(req, res);
+    if (!protest) return;
+
+    const team = await Team.findById(protest.team);
+    if (!team || !team.canManage(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the protesting team can withdraw it',
+      });
+    }
+
+    if (!protest.isPending) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only pending protests can be withdrawn',
+      });
+    }
+
+    protest.status = 'withdrawn';
+    await protest.save();
+
+    // The protest may have been holding up the next swiss round. A bracket
+    // saved in the meantime is resumed by whoever saved it.
+    await resumeBracket(tournament).catch(error => {
+      if (error.name !== 'VersionError') throw error;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Protest withdrawn',
+    });
+  } catch (error) {
+    console.error('Withdraw protest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw protest',
+    });
+  }
+};
+
+// Organizer, co-organizer or faculty rules on a pending protest
+export const ruleOnProtest = async (req, res) => {
+  try {
+    const { protest, match, tournament } = await loadProtest(req, res);
+    if (!protest) return;
+
+    if (!tournament.canRuleOnProtests(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot rule on protests in this tournament',
+      });
+    }
+
+    if (!protest.isPending) {
+      return res.status(400).json({
+        success: false,
+        error: 'This protest has already been closed',
+      });
+    }
+
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Explain the ruling',
+      });
+    }
+
+    const ruling = parseRuling(match, tournament, req.body);
+    if (ruling.error) {
+      return res.status(400).json({
+        success: false,
+        error: ruling.error,
+      });
+    }
+
+    await applyRuling(protest, match, tournament, ruling, {
+      reason: reason.trim(),
+      ruledBy: req.user.userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Ruling recorded: ${ruling.decision}`,
+      data: { protest, match },
+    });
+  } catch (error) {
+    console.error('Rule on protest error:', error);
+
+    if (error.name === 'VersionError') {
+      return versionConflictResponse(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record ruling',
+    });
+  }
+};
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import Rating from '../models/rating.js';
+import { normalizeGame } from '../utils/games.js';
+
+const SUBJECT_TYPES = { teams: 'Team', players: 'User' };
+
+const SUBJECT_FIELDS = { Team: 'name tag', User: 'fullName department' };
+
+// Rating ladder for one game
+export const getRatings = async (req, res) => {
+  try {
+    const { game, type = 'teams', page = 1, limit = 20 } = req.query;
+    const subjectType = SUBJECT_TYPES[type];
+
+    if (!game) {
+      return res.status(400).json({
+        success: false,
+        error: 'Game is required',
+      });
+    }
+
+    if (!subjectType) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be teams or players',
+      });
+    }
+
+    const query = { game: normalizeGame(game), subjectType };
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const ratings = await Rating.find(query)
+      .select('-history')
+      .populate('subject', SUBJECT_FIELDS[subjectType])
+      .sort({ rating: -1, matchesPlayed: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Rating.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ratings: ratings.map((rating, index) => ({
+          rank: skip + index + 1,
+          ...rating.toJSON(),
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get ratings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ratings',
+    });
+  }
+};
+
+// Ratings and history of one team or player, optionally for one game
+export const getRatingHistory = async (req, res) => {
+  try {
+    const subjectType = SUBJECT_TYPES[req.params.type];
+
+    if (!subjectType || !mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ratings not found',
+      });
+    }
+
+    const query = { subjectType, subject: req.params.id };
+    if (req.query.game) query.game = normalizeGame(req.query.game);
+
+    const ratings = await Rating.find(query)
+      .populate('history.tournament', 'name')
+      .sort({ matchesPlayed: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { ratings },
+    });
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rating history',
+    });
+  }
+};
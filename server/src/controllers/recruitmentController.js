@@ -0,0 +1,769 @@
+import mongoose from 'mongoose';
+import RecruitmentListing from '../models/recruitmentListing.js';
+import Team from '../models/team.js';
+import Tournament from '../models/tournament.js';
+import {
+  closePlayerListings,
+  syncAvailability,
+} from '../services/recruitmentService.js';
+import { addMember } from '../services/teamService.js';
+import eventBus from '../utils/eventBus.js';
+import { normalizeGame } from '../utils/games.js';
+import { escapeRegex } from '../utils/regex.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const PLAYER_FIELDS = 'fullName department yearOfStudy';
+const TEAM_FIELDS = 'name tag department yearsOfStudy members';
+const TOURNAMENT_FIELDS = 'name game teamSize startDate status';
+
+// Load the listing or respond 404
+const findListing = async (req, res) => {
+  const listing = mongoose.isValidObjectId(req.params.id)
+    ? await RecruitmentListing.findById(req.params.id)
+    : null;
+
+  if (!listing) {
+    res.status(404).json({
+      success: false,
+      error: 'Listing not found',
+    });
+  }
+
+  return listing;
+};
+
+// Team listings are managed by the team's captains, player listings by
+// the free agent who posted them
+const canManageListing = async (listing, userId) => {
+  if (listing.type === 'player') {
+    return listing.author.toString() === userId.toString();
+  }
+  const team = await Team.findById(listing.team);
+  return !!team && team.canManage(userId);
+};
+
+// Reason the user cannot join through this listing, or null
+const getApplicantError = (listing, user, tournament) => {
+  if (
+    listing.departments.length > 0 &&
+    !listing.departments.includes(user.department)
+  ) {
+    return 'This team is recruiting from other departments';
+  }
+  if (
+    listing.yearsOfStudy.length > 0 &&
+    !listing.yearsOfStudy.includes(user.yearOfStudy)
+  ) {
+    return 'This team is recruiting from other years of study';
+  }
+  return tournament ? tournament.getEligibilityError(user) : null;
+};
+
+// Search open listings by type, game, tournament, department, year or role
+export const searchListings = async (req, res) => {
+  try {
+    const {
+      type,
+      game,
+      tournament,
+      department,
+      year,
+      role,
+      search,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const query = { status: 'open', expiresAt: { $gt: new Date() } };
+    const filters = [];
+
+    if (type) query.type = type;
+    if (game) query.game = normalizeGame(game);
+    if (role) query.roles = role.trim().toLowerCase();
+
+    if (tournament) {
+      if (!mongoose.isValidObjectId(tournament)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tournament id',
+        });
+      }
+      query.tournament = tournament;
+    }
+
+    // Listings without department or year filters are open to everyone
+    if (department) {
+      filters.push({
+        $or: [{ departments: department }, { departments: { $size: 0 } }],
+      });
+    }
+    if (year) {
+      filters.push({
+        $or: [{ yearsOfStudy: parseInt(year) }, { yearsOfStudy: { $size: 0 } }],
+      });
+    }
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      filters.push({ $or: [{ title: pattern }, { description: pattern }] });
+    }
+    if (filters.length > 0) query.$and = filters;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const listings = await RecruitmentListing.find(query)
+      .select('-applications')
+      .populate('author', PLAYER_FIELDS)
+      .populate('team', TEAM_FIELDS)
+      .populate('tournament', TOURNAMENT_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await RecruitmentListing.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        listings,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Search listings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch listings',
+    });
+  }
+};
+
+// Listings the current user posted or manages, and their applications
+export const getMyListings = async (req, res) => {
+  try {
+    const teams = await Team.findByMember(req.user.userId);
+    const managedTeams = teams
+      .filter(team => team.canManage(req.user.userId))
+      .map(team => team._id);
+
+    const listings = await RecruitmentListing.find({
+      $or: [{ author: req.user.userId }, { team: { $in: managedTeams } }],
+    })
+      .populate('team', 'name tag')
+      .populate('tournament', TOURNAMENT_FIELDS)
+      .populate('applications.user', PLAYER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    const applied = await RecruitmentListing.find({
+      'applications.user': req.user.userId,
+    })
+      .populate('team', 'name tag')
+      .populate('tournament', TOURNAMENT_FIELDS)
+      .sort({ updatedAt: -1 });
+
+    const applications = applied.map(listing => ({
+      listing: {
+        _id: listing._id,
+        title: listing.title,
+        team: listing.team,
+        tournament: listing.tournament,
+        status: listing.status,
+      },
+      ...listing.applications
+        .filter(a => a.user.toString() === req.user.userId)
+        .pop()
+        .toObject(),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: { listings, applications },
+    });
+  } catch (error) {
+    console.error('Get my listings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch your listings',
+    });
+  }
+};
+
+// Get a listing; applications are only visible to whoever manages it
+export const getListing = async (req, res) => {
+  try {
+    const listing = await findListing(req, res);
+    if (!listing) return;
+
+    const canManage = await canManageListing(listing, req.user.userId);
+    await listing.populate([
+      { path: 'author', select: PLAYER_FIELDS },
+      {
+        path: 'team',
+        select: TEAM_FIELDS,
+        populate: { path: 'members.user', select: PLAYER_FIELDS },
+      },
+      { path: 'tournament', select: TOURNAMENT_FIELDS },
+      { path: 'applications.user', select: PLAYER_FIELDS },
+    ]);
+
+    const data = listing.toObject();
+    if (!canManage) {
+      data.applications = data.applications.filter(
+        a => a.user?._id.toString() === req.user.userId
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { listing: data },
+    });
+  } catch (error) {
+    console.error('Get listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch listing',
+    });
+  }
+};
+
+// Post a team listing (teamId in body) or a free-agent profile
+export const createListing = async (req, res) => {
+  try {
+    const {
+      type,
+      teamId,
+      tournamentId,
+      title,
+      description,
+      roles = [],
+      playersNeeded,
+      departments,
+      yearsOfStudy,
+    } = req.body;
+    const user = req.currentUser;
+
+    if (!['team', 'player'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Listing type must be team or player',
+      });
+    }
+
+    let tournament = null;
+    if (tournamentId) {
+      tournament = mongoose.isValidObjectId(tournamentId)
+        ? await Tournament.findById(tournamentId)
+        : null;
+
+      if (!tournament || !tournament.isPublic) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tournament not found',
+        });
+      }
+
+      if (!tournament.canRegister) {
+        return res.status(400).json({
+          success: false,
+          error: 'Registration is not open for this tournament',
+        });
+      }
+    }
+
+    const game = tournament ? tournament.game : req.body.game;
+    if (!game || !game.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Game is required',
+      });
+    }
+
+    const listing = new RecruitmentListing({
+      type,
+      author: user._id,
+      tournament: tournament?._id,
+      game: normalizeGame(game),
+      gameName: game.trim(),
+      title,
+      description,
+      roles: Array.isArray(roles) ? roles.slice(0, 10) : [],
+    });
+
+    if (type === 'team') {
+      const team = mongoose.isValidObjectId(teamId)
+        ? await Team.findById(teamId)
+        : null;
+
+      if (!team || !team.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team not found',
+        });
+      }
+
+      if (!team.canManage(user._id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the captain or co-captains can recruit for the team',
+        });
+      }
+
+      if (tournament?.registrationType === 'solo') {
+        return res.status(400).json({
+          success: false,
+          error: 'This tournament only accepts solo registrations',
+        });
+      }
+
+      // Default to the places still missing for the tournament's team size
+      const missing = tournament ? tournament.teamSize - team.playerCount : 1;
+      if (missing <= 0 && playersNeeded === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Team already has enough players for this tournament',
+        });
+      }
+
+      listing.team = team._id;
+      listing.playersNeeded = playersNeeded ?? missing;
+      listing.departments =
+        departments ??
+        (tournament && tournament.department !== 'All'
+          ? [tournament.department]
+          : []);
+      listing.yearsOfStudy =
+        yearsOfStudy ??
+        (tournament?.yearRestriction.enabled
+          ? tournament.yearRestriction.allowedYears
+          : []);
+    } else {
+      const eligibilityError = tournament?.getEligibilityError(user);
+      if (eligibilityError) {
+        return res.status(400).json({
+          success: false,
+          error: eligibilityError,
+        });
+      }
+
+      listing.departments = [user.department];
+      listing.yearsOfStudy = [user.yearOfStudy];
+    }
+
+    // One open listing per team or free agent for the same game/tournament
+    const duplicate = await RecruitmentListing.exists({
+      type,
+      status: 'open',
+      game: listing.game,
+      tournament: listing.tournament ?? null,
+      ...(type === 'team' ? { team: listing.team } : { author: user._id }),
+    });
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        error: 'There is already an open listing for this game',
+      });
+    }
+
+    await listing.save();
+
+    if (type === 'player') {
+      await syncAvailability(user._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Listing posted',
+      data: { listing },
+    });
+  } catch (error) {
+    console.error('Create listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post listing',
+    });
+  }
+};
+
+// Edit an open listing
+export const updateListing = async (req, res) => {
+  try {
+    const listing = await findListing(req, res);
+    if (!listing) return;
+
+    if (!(await canManageListing(listing, req.user.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot edit this listing',
+      });
+    }
+
+    if (listing.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only open listings can be edited',
+      });
+    }
+
+    const { title, description, roles, playersNeeded } = req.body;
+
+    if (title !== undefined) listing.title = title;
+    if (description !== undefined) listing.description = description;
+    if (Array.isArray(roles)) listing.roles = roles.slice(0, 10);
+
+    // Player listings keep the free agent's own department and year
+    if (listing.type === 'team') {
+      const { departments, yearsOfStudy } = req.body;
+      if (playersNeeded !== undefined) listing.playersNeeded = playersNeeded;
+      if (departments !== undefined) listing.departments = departments;
+      if (yearsOfStudy !== undefined) listing.yearsOfStudy = yearsOfStudy;
+    }
+
+    await listing.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing updated',
+      data: { listing },
+    });
+  } catch (error) {
+    console.error('Update listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update listing',
+    });
+  }
+};
+
+// Take a listing down; pending applications are declined
+export const closeListing = async (req, res) => {
+  try {
+    const listing = await findListing(req, res);
+    if (!listing) return;
+
+    if (!(await canManageListing(listing, req.user.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot close this listing',
+      });
+    }
+
+    if (listing.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Listing is already closed',
+      });
+    }
+
+    listing.pendingApplications.forEach(application =>
+      listing.respond(application, 'declined', req.user.userId)
+    );
+    listing.status = 'closed';
+    await listing.save();
+
+    if (listing.type === 'player') {
+      await syncAvailability(listing.author);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing closed',
+    });
+  } catch (error) {
+    console.error('Close listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close listing',
+    });
+  }
+};
+
+// Apply to join the team behind a team listing
+export const applyToListing = async (req, res) => {
+  try {
+    const listing = await findListing(req, res);
+    if (!listing) return;
+
+    const user = req.currentUser;
+
+    if (listing.type !== 'team') {
+      return res.status(400).json({
+        success: false,
+        error: 'Free agents are invited, not applied to',
+      });
+    }
+
+    if (!listing.isOpen) {
+      return res.status(400).json({
+        success: false,
+        error: 'This listing is no longer open',
+      });
+    }
+
+    const team = await Team.findById(listing.team);
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (team.isMember(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already on this team',
+      });
+    }
+
+    if (listing.getPendingApplication(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already applied',
+      });
+    }
+
+    const tournament =
+      listing.tournament && (await Tournament.findById(listing.tournament));
+    const applicantError = getApplicantError(listing, user, tournament);
+    if (applicantError) {
+      return res.status(400).json({
+        success: false,
+        error: applicantError,
+      });
+    }
+
+    listing.applications.push({ user: user._id, message: req.body.message });
+    await listing.save();
+
+    const application = listing.getPendingApplication(user._id);
+    eventBus.emit('recruitment.applied', { listing, application, team });
+
+    res.status(201).json({
+      success: true,
+      message: `Application sent to ${team.name}`,
+      data: { application },
+    });
+  } catch (error) {
+    console.error('Apply to listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply',
+    });
+  }
+};
+
+// Withdraw the current user's pending application
+export const withdrawApplication = async (req, res) => {
+  try {
+    const listing = await findListing(req, res);
+    if (!listing) return;
+
+    const application = listing.getPendingApplication(req.user.userId);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending application for this listing',
+      });
+    }
+
+    listing.respond(application, 'withdrawn', req.user.userId);
+    await listing.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn',
+    });
+  } catch (error) {
+    console.error('Withdraw application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw application',
+    });
+  }
+};
+
+// Accept or decline an application; accepting adds the player to the team
+const respondToApplication = async (req, res, accept) => {
+  const listing = await findListing(req, res);
+  if (!listing) return;
+
+  const team = await Team.findById(listing.team);
+  if (!team || !team.isActive || !team.canManage(req.user.userId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the captain or co-captains can review applications',
+    });
+  }
+
+  const application = listing.applications.id(req.params.applicationId);
+  if (!application || application.status !== 'pending') {
+    return res.status(404).json({
+      success: false,
+      error: 'No pending application found',
+    });
+  }
+
+  if (accept) {
+    if (!listing.isOpen || listing.spotsLeft === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This listing is no longer open',
+      });
+    }
+
+    if (team.isMember(application.user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player is already on this team',
+      });
+    }
+
+    await addMember(team, application.user, 'player');
+  }
+
+  listing.respond(
+    application,
+    accept ? 'accepted' : 'declined',
+    req.user.userId
+  );
+  await listing.save();
+
+  if (accept) {
+    await closePlayerListings(application.user, listing.game);
+  }
+
+  eventBus.emit('recruitment.responded', {
+    listing,
+    application,
+    team,
+    accepted: accept,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: accept
+      ? 'Application accepted. The player joined the team.'
+      : 'Application declined',
+    data: { application, spotsLeft: listing.spotsLeft },
+  });
+};
+
+export const acceptApplication = async (req, res) => {
+  try {
+    return await respondToApplication(req, res, true);
+  } catch (error) {
+    console.error('Accept application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept application',
+    });
+  }
+};
+
+export const declineApplication = async (req, res) => {
+  try {
+    return await respondToApplication(req, res, false);
+  } catch (error) {
+    console.error('Decline application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline application',
+    });
+  }
+};
+
+// Invite the free agent behind a player listing to a team (teamId in body).
+// The player answers through the regular team invite endpoints.
+export const inviteFromListing = async (req, res) => {
+  try {
+    const listing = await findListing(req, res);
+    if (!listing) return;
+
+    if (listing.type !== 'player') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only free agents can be invited from a listing',
+      });
+    }
+
+    if (!listing.isOpen) {
+      return res.status(400).json({
+        success: false,
+        error: 'This listing is no longer open',
+      });
+    }
+
+    const team = mongoose.isValidObjectId(req.body.teamId)
+      ? await Team.findById(req.body.teamId)
+      : null;
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (!team.canManage(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain or co-captains can invite players',
+      });
+    }
+
+    if (team.isMember(listing.author)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player is already on this team',
+      });
+    }
+
+    if (team.getPendingInvite(listing.author)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player already has a pending invite',
+      });
+    }
+
+    team.invites.push({
+      user: listing.author,
+      invitedBy: req.user.userId,
+      role: 'player',
+      listing: listing._id,
+    });
+    await team.save();
+
+    eventBus.emit('recruitment.invited', { listing, team });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite sent',
+      data: { invite: team.getPendingInvite(listing.author) },
+    });
+  } catch (error) {
+    console.error('Invite from listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send invite',
+    });
+  }
+};
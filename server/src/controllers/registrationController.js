@@ -0,0 +1,630 @@
+import Match from '../models/match.js';
+import Team from '../models/team.js';
+import User from '../models/user.js';
+import eventBus from '../utils/eventBus.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const PLAYER_FIELDS =
+  'fullName email collegeId department yearOfStudy isEmailVerified';
+
+const SUBSTITUTE_FIELDS = ['maxSubstitutes', 'maxSwaps'];
+
+// A team is mid-match in these statuses and cannot change its lineup
+const IN_PLAY_STATUSES = ['ongoing', 'awaiting_confirmation', 'disputed'];
+
+// Split the players into a lineup of `teamSize` starters and substitutes.
+// `lineup` lists user ids; without it the roster order decides. Rosters
+// without substitutes keep no lineup. Returns { error } or
+// { lineup, substitutes }.
+const splitRoster = (players, lineup, teamSize) => {
+  const ids = players.map(p => p._id.toString());
+
+  if (ids.length === teamSize) return { lineup: [], substitutes: [] };
+  if (lineup === undefined) {
+    return { lineup: ids.slice(0, teamSize), substitutes: ids.slice(teamSize) };
+  }
+
+  const chosen = Array.isArray(lineup) ? [...new Set(lineup.map(String))] : [];
+  if (chosen.length !== teamSize || chosen.some(u => !ids.includes(u))) {
+    return { error: `Lineup must name ${teamSize} players from the roster` };
+  }
+
+  return {
+    lineup: chosen,
+    substitutes: ids.filter(u => !chosen.includes(u)),
+  };
+};
+
+// Announce teams promoted from the waitlist and the new positions of the
+// teams still waiting. Call once the tournament is saved.
+const announcePromotions = (tournament, promoted) => {
+  if (promoted.length === 0) return;
+
+  promoted.forEach(registration => {
+    eventBus.emit('waitlist.promoted', { tournament, registration });
+  });
+  eventBus.emit('waitlist.moved', { tournament, from: 0 });
+};
+
+// Register a team (teamId in body) or the current user as a solo player
+export const registerForTournament = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    if (!tournament.canRegister) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration is not open for this tournament',
+      });
+    }
+
+    if (req.body.teamId) {
+      return await registerTeam(req, res, tournament);
+    }
+    return await registerSolo(req, res, tournament);
+  } catch (error) {
+    console.error('Register for tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register for tournament',
+    });
+  }
+};
+
+const registerTeam = async (req, res, tournament) => {
+  if (tournament.registrationType === 'solo') {
+    return res.status(400).json({
+      success: false,
+      error: 'This tournament only accepts solo registrations',
+    });
+  }
+
+  const team = await Team.findById(req.body.teamId).populate(
+    'members.user',
+    PLAYER_FIELDS
+  );
+
+  if (!team || !team.isActive) {
+    return res.status(404).json({
+      success: false,
+      error: 'Team not found',
+    });
+  }
+
+  if (!team.isCaptain(req.user.userId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the team captain can register the team',
+    });
+  }
+
+  if (
+    tournament.findTeamRegistration(team._id) ||
+    tournament.getWaitlistIndex(team._id) !== -1
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: 'Team is already registered',
+    });
+  }
+
+  // Managers are staff and do not count towards the team size
+  const players = team.members
+    .filter(m => m.role !== 'manager')
+    .map(m => m.user);
+
+  const { teamSize } = tournament;
+  const maxPlayers = teamSize + tournament.substituteRules.maxSubstitutes;
+  if (players.length < teamSize || players.length > maxPlayers) {
+    return res.status(400).json({
+      success: false,
+      error:
+        maxPlayers > teamSize
+          ? `Team must have between ${teamSize} and ${maxPlayers} players`
+          : `Team must have exactly ${teamSize} players`,
+    });
+  }
+
+  const roster = splitRoster(players, req.body.lineup, teamSize);
+  if (roster.error) {
+    return res.status(400).json({
+      success: false,
+      error: roster.error,
+    });
+  }
+
+  const eligibilityErrors = players
+    .map(player => tournament.getEligibilityError(player))
+    .filter(Boolean);
+
+  if (eligibilityErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Roster does not meet tournament restrictions',
+      details: eligibilityErrors,
+    });
+  }
+
+  if (players.some(player => !player.isEmailVerified)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Every player on the roster must verify their email first',
+    });
+  }
+
+  // A player can only compete once per tournament
+  const playerIds = players.map(p => p._id);
+  const otherTeamIds = [
+    ...tournament.registeredTeams.map(r => r.team),
+    ...tournament.waitlist.map(w => w.team),
+  ];
+  const overlappingTeam = await Team.findOne({
+    _id: { $in: otherTeamIds },
+    'members.user': { $in: playerIds },
+  });
+  const soloConflict = playerIds.some(id =>
+    tournament.findSoloRegistration(id)
+  );
+
+  if (overlappingTeam || soloConflict) {
+    return res.status(400).json({
+      success: false,
+      error: 'A player on this roster is already registered in the tournament',
+    });
+  }
+
+  if (tournament.isFull) {
+    const position = tournament.joinWaitlist(team._id, req.user.userId, roster);
+    await tournament.save();
+
+    return res.status(201).json({
+      success: true,
+      message: `Tournament is full. ${team.name} is number ${position} on the waitlist.`,
+      data: { waitlist: { team: team._id, position } },
+    });
+  }
+
+  tournament.registerTeam(team._id, req.user.userId, roster);
+  await tournament.save();
+
+  const registration = tournament.findTeamRegistration(team._id);
+
+  res.status(201).json({
+    success: true,
+    message: registration.approved
+      ? 'Team registered successfully'
+      : 'Team registered. Waiting for organizer approval.',
+    data: { registration },
+  });
+};
+
+const registerSolo = async (req, res, tournament) => {
+  if (tournament.registrationType === 'team') {
+    return res.status(400).json({
+      success: false,
+      error: 'This tournament only accepts team registrations',
+    });
+  }
+
+  const user = await User.findById(req.user.userId);
+
+  if (tournament.findSoloRegistration(user._id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'You are already registered',
+    });
+  }
+
+  const teamConflict = await Team.exists({
+    _id: {
+      $in: [
+        ...tournament.registeredTeams.map(r => r.team),
+        ...tournament.waitlist.map(w => w.team),
+      ],
+    },
+    'members.user': user._id,
+  });
+  if (teamConflict) {
+    return res.status(400).json({
+      success: false,
+      error: 'You are already registered with a team',
+    });
+  }
+
+  const eligibilityError = tournament.getEligibilityError(user);
+  if (eligibilityError) {
+    return res.status(400).json({
+      success: false,
+      error: eligibilityError,
+    });
+  }
+
+  const { preferredRoles = [] } = req.body;
+  if (
+    !Array.isArray(preferredRoles) ||
+    preferredRoles.some(role => typeof role !== 'string')
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: 'Preferred roles must be a list of role names',
+    });
+  }
+
+  tournament.registerSolo(user._id, preferredRoles.slice(0, 5));
+  await tournament.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Registered as a solo player',
+    data: { registration: tournament.findSoloRegistration(user._id) },
+  });
+};
+
+// Captaincy can be transferred after registering, so ask the team rather
+// than the registration's captain
+const isCurrentCaptain = async (teamId, userId) => {
+  const team = await Team.findById(teamId).select('captain');
+  return !!team && team.isCaptain(userId);
+};
+
+// Withdraw a team (teamId in body) or the current solo registration
+export const withdrawFromTournament = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const { teamId } = req.body;
+
+    // Teams can leave the waitlist at any time
+    const waitlistIndex = teamId ? tournament.getWaitlistIndex(teamId) : -1;
+    if (waitlistIndex !== -1) {
+      if (!(await isCurrentCaptain(teamId, req.user.userId))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the team captain can withdraw the team',
+        });
+      }
+
+      tournament.leaveWaitlist(teamId);
+      await tournament.save();
+
+      eventBus.emit('waitlist.moved', { tournament, from: waitlistIndex });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Left the waitlist',
+      });
+    }
+
+    if (tournament.bracketGenerated) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot withdraw after the bracket is generated',
+      });
+    }
+
+    let promoted = [];
+    if (teamId) {
+      const registration = tournament.findTeamRegistration(teamId);
+      if (!registration) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team is not registered',
+        });
+      }
+
+      if (!(await isCurrentCaptain(teamId, req.user.userId))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the team captain can withdraw the team',
+        });
+      }
+
+      tournament.withdrawTeam(teamId);
+      promoted = tournament.promoteFromWaitlist();
+    } else {
+      const registration = tournament.findSoloRegistration(req.user.userId);
+      if (!registration) {
+        return res.status(404).json({
+          success: false,
+          error: 'You are not registered',
+        });
+      }
+
+      if (registration.matched) {
+        return res.status(400).json({
+          success: false,
+          error:
+            'You have been matched into a team. Ask your captain to withdraw it.',
+        });
+      }
+
+      tournament.withdrawSolo(req.user.userId);
+    }
+
+    await tournament.save();
+    announcePromotions(tournament, promoted);
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawn from tournament',
+    });
+  } catch (error) {
+    console.error('Withdraw from tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw from tournament',
+    });
+  }
+};
+
+// List registrations with captain and roster populated
+export const getRegistrations = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    await tournament.populate([
+      { path: 'registeredTeams.captain', select: PLAYER_FIELDS },
+      {
+        path: 'registeredTeams.team',
+        select: 'name tag members department yearsOfStudy',
+        populate: { path: 'members.user', select: PLAYER_FIELDS },
+      },
+      { path: 'soloPlayers.player', select: PLAYER_FIELDS },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        teams: tournament.registeredTeams,
+        soloPlayers: tournament.soloPlayers,
+        pending: tournament.registeredTeams.filter(r => !r.approved).length,
+      },
+    });
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch registrations',
+    });
+  }
+};
+
+// Organizer approves a pending team registration
+export const approveRegistration = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    const registration = tournament.registeredTeams.id(
+      req.params.registrationId
+    );
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Registration not found',
+      });
+    }
+
+    if (registration.approved) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration is already approved',
+      });
+    }
+
+    registration.approved = true;
+    await tournament.save();
+
+    eventBus.emit('registration.approved', { tournament, registration });
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration approved',
+      data: { registration },
+    });
+  } catch (error) {
+    console.error('Approve registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve registration',
+    });
+  }
+};
+
+// Organizer rejects a pending team registration
+export const rejectRegistration = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    const registration = tournament.registeredTeams.id(
+      req.params.registrationId
+    );
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Registration not found',
+      });
+    }
+
+    if (registration.approved) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only pending registrations can be rejected',
+      });
+    }
+
+    tournament.registeredTeams.pull(registration._id);
+    const promoted = tournament.promoteFromWaitlist();
+    await tournament.save();
+
+    eventBus.emit('registration.rejected', { tournament, registration });
+    announcePromotions(tournament, promoted);
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration rejected',
+    });
+  } catch (error) {
+    console.error('Reject registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject registration',
+    });
+  }
+};
+
+// Waitlisted teams in order
+export const getWaitlist = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    await tournament.populate('waitlist.team', 'name tag');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        waitlist: tournament.waitlist.map((entry, index) => ({
+          position: index + 1,
+          team: entry.team,
+          joinedAt: entry.joinedAt,
+        })),
+        // Places only open up until the bracket is generated
+        isOpen: !tournament.bracketGenerated,
+      },
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch waitlist',
+    });
+  }
+};
+
+// Organizer sets how many substitutes a roster may carry and how many swaps
+// each team gets
+export const updateSubstituteRules = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    SUBSTITUTE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        tournament.substituteRules[field] = req.body[field];
+      }
+    });
+
+    await tournament.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Substitute rules updated',
+      data: { substituteRules: tournament.substituteRules },
+    });
+  } catch (error) {
+    console.error('Update substitute rules error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update substitute rules',
+    });
+  }
+};
+
+// Captain brings a registered substitute in for a starter between matches
+export const swapSubstitute = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const { teamId, playerIn, playerOut } = req.body;
+
+    const registration = teamId
+      ? tournament.findTeamRegistration(teamId)
+      : null;
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team is not registered',
+      });
+    }
+
+    const team = await Team.findById(registration.team);
+    if (!team || !team.canManage(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain or co-captains can change the lineup',
+      });
+    }
+
+    if (
+      !['registration_open', 'registration_closed', 'ongoing'].includes(
+        tournament.status
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Lineups are locked while the tournament is ${tournament.status}`,
+      });
+    }
+
+    const has = (list, userId) =>
+      !!userId && list.some(u => u.toString() === userId.toString());
+
+    if (!has(registration.lineup, playerOut)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The player coming off must be in the lineup',
+      });
+    }
+
+    if (!has(registration.substitutes, playerIn) || !team.isMember(playerIn)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The player coming on must be a registered substitute',
+      });
+    }
+
+    if (tournament.status === 'ongoing') {
+      if (tournament.getSwapsLeft(registration) === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `No substitutions left. The limit is ${tournament.substituteRules.maxSwaps}.`,
+        });
+      }
+
+      const inPlay = await Match.exists({
+        tournament: tournament._id,
+        'participants.team': registration.team,
+        status: { $in: IN_PLAY_STATUSES },
+      });
+      if (inPlay) {
+        return res.status(400).json({
+          success: false,
+          error: 'Substitutions can only be made between matches',
+        });
+      }
+    }
+
+    tournament.swapPlayers(registration, playerIn, playerOut, req.user.userId);
+    await tournament.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Substitution made',
+      data: {
+        lineup: registration.lineup,
+        substitutes: registration.substitutes,
+        swapsLeft: tournament.getSwapsLeft(registration),
+      },
+    });
+  } catch (error) {
+    console.error('Swap substitute error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to make substitution',
+    });
+  }
+};
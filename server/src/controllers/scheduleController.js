@@ -0,0 +1,531 @@
+import mongoose from 'mongoose';
+import Match from '../models/match.js';
+import Team from '../models/team.js';
+import Tournament from '../models/tournament.js';
+import Venue from '../models/venue.js';
+import {
+  bookMatch,
+  findConflicts,
+  findScheduleVenue,
+  getScheduleVenueError,
+  scheduleTournament,
+  slotFor,
+  slotOf,
+} from '../services/schedulingService.js';
+import eventBus from '../utils/eventBus.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const SETTINGS_FIELDS = [
+  'requiredResources',
+  'matchDuration',
+  'restMinutes',
+  'dayStart',
+  'dayEnd',
+];
+
+// Statuses in which a match can still be moved
+const RESCHEDULABLE_STATUSES = ['pending', 'ready', 'scheduled'];
+
+const conflictResponse = (res, conflicts) =>
+  res.status(409).json({
+    success: false,
+    error: 'The proposed time conflicts with other bookings',
+    details: conflicts,
+  });
+
+// Set venues, match length, rest time and the daily play window
+export const updateScheduleSettings = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const settings = tournament.scheduleSettings;
+
+    SETTINGS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) settings[field] = req.body[field];
+    });
+
+    if (req.body.venues !== undefined) {
+      const venueIds = [...new Set(req.body.venues)];
+      const venues = venueIds.every(v => mongoose.isValidObjectId(v))
+        ? await Venue.find({ _id: { $in: venueIds } })
+        : [];
+
+      if (venues.length !== venueIds.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'One or more venues were not found',
+        });
+      }
+      settings.venues = venueIds;
+    }
+
+    const venues = await Venue.find({ _id: { $in: settings.venues } });
+    const venueError = getScheduleVenueError(tournament, venues);
+    if (venueError) {
+      return res.status(400).json({
+        success: false,
+        error: venueError,
+      });
+    }
+
+    const [startHour, startMinute] = settings.dayStart.split(':').map(Number);
+    const [endHour, endMinute] = settings.dayEnd.split(':').map(Number);
+    const windowMinutes =
+      endHour * 60 + endMinute - (startHour * 60 + startMinute);
+    if (windowMinutes < settings.matchDuration) {
+      return res.status(400).json({
+        success: false,
+        error: 'The daily play window must fit at least one match',
+      });
+    }
+
+    await tournament.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule settings updated',
+      data: { scheduleSettings: tournament.scheduleSettings },
+    });
+  } catch (error) {
+    console.error('Update schedule settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update schedule settings',
+    });
+  }
+};
+
+// Assign open matches to venues and time slots
+export const autoSchedule = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const { overwrite = false, dryRun = false } = req.body;
+
+    if (!tournament.bracketGenerated) {
+      return res.status(400).json({
+        success: false,
+        error: 'Generate the bracket before scheduling matches',
+      });
+    }
+
+    if (!['registration_closed', 'ongoing'].includes(tournament.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot schedule matches while tournament is ${tournament.status}`,
+      });
+    }
+
+    const venues = await Venue.find({
+      _id: { $in: tournament.scheduleSettings.venues },
+    });
+    if (venues.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Add at least one venue to the schedule settings first',
+      });
+    }
+
+    const venueError = getScheduleVenueError(tournament, venues);
+    if (venueError) {
+      return res.status(400).json({
+        success: false,
+        error: venueError,
+      });
+    }
+
+    // Never before the tournament starts or in the past
+    const now = new Date();
+    let from = tournament.startDate > now ? tournament.startDate : now;
+    if (req.body.from) {
+      const requested = new Date(req.body.from);
+      if (isNaN(requested)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid from date',
+        });
+      }
+      if (requested > from) from = requested;
+    }
+
+    const plan = await scheduleTournament(tournament, {
+      from,
+      overwrite,
+      dryRun,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${plan.assignments.length} matches can be scheduled`
+        : `${plan.assignments.length} matches scheduled`,
+      data: { ...plan, dryRun },
+    });
+  } catch (error) {
+    console.error('Auto schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to schedule matches',
+    });
+  }
+};
+
+// Timetable of scheduled matches
+export const getSchedule = async (req, res) => {
+  try {
+    const query = {
+      tournament: req.params.id,
+      scheduledAt: { $ne: null },
+    };
+    if (req.query.venue) query.venue = req.query.venue;
+
+    const matches = await Match.find(query)
+      .select(
+        'bracketMatchId round bracket participants scheduledAt scheduledEnd venue status winner'
+      )
+      .populate('participants.team', 'name tag')
+      .populate('venue', 'name type location')
+      .sort({ scheduledAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { matches },
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule',
+    });
+  }
+};
+
+// Scheduled matches that clash with a venue, team, player or the bracket
+export const getScheduleConflicts = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    const matches = await Match.find({
+      tournament: tournament._id,
+      scheduledAt: { $ne: null },
+      status: { $nin: ['completed', 'bye', 'void'] },
+    }).sort({ scheduledAt: 1 });
+
+    const venues = await Venue.find({
+      _id: { $in: matches.map(m => m.venue).filter(Boolean) },
+    });
+
+    const conflicts = [];
+    for (const match of matches) {
+      const venue = venues.find(v => v._id.equals(match.venue));
+      const found = await findConflicts(match, tournament, {
+        ...slotOf(match),
+        venue,
+      });
+      if (found.length > 0) {
+        conflicts.push({
+          match: match._id,
+          bracketMatchId: match.bracketMatchId,
+          conflicts: found,
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { conflicts },
+    });
+  } catch (error) {
+    console.error('Get schedule conflicts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check schedule conflicts',
+    });
+  }
+};
+
+// Load the match and its tournament from :id or respond 404
+const loadMatch = async (req, res) => {
+  const match = mongoose.isValidObjectId(req.params.id)
+    ? await Match.findById(req.params.id)
+    : null;
+
+  if (!match) {
+    res.status(404).json({
+      success: false,
+      error: 'Match not found',
+    });
+    return {};
+  }
+
+  const tournament = await Tournament.findById(match.tournament);
+  return { match, tournament };
+};
+
+// Participant team the user captains or co-captains, if any
+const managedTeamOf = async (match, userId) => {
+  const teams = await Team.find({
+    _id: { $in: match.participants.map(p => p.team).filter(Boolean) },
+  });
+  return teams.find(team => team.canManage(userId)) || null;
+};
+
+// Captain proposes a new time (and optionally venue) for the match
+export const requestReschedule = async (req, res) => {
+  try {
+    const { proposedAt, venueId, reason } = req.body;
+
+    const { match, tournament } = await loadMatch(req, res);
+    if (!match) return;
+
+    const team = await managedTeamOf(match, req.user.userId);
+    if (!team) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only captains of the teams playing can propose a new time',
+      });
+    }
+
+    if (!RESCHEDULABLE_STATUSES.includes(match.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot reschedule a ${match.status} match`,
+      });
+    }
+
+    if (!match.getOpponent(team._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The opponent is not known yet',
+      });
+    }
+
+    if (match.getPendingReschedule()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reschedule request is already pending',
+      });
+    }
+
+    const start = new Date(proposedAt);
+    if (!proposedAt || isNaN(start) || start <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Proposed time must be a valid future date',
+      });
+    }
+
+    let venue = null;
+    if (venueId) {
+      const found = await findScheduleVenue(tournament, venueId);
+      if (found.error) {
+        return res.status(400).json({
+          success: false,
+          error: found.error,
+        });
+      }
+      venue = found.venue;
+    } else if (match.venue) {
+      venue = await Venue.findById(match.venue);
+    }
+
+    const conflicts = await findConflicts(match, tournament, {
+      ...slotFor(tournament, start),
+      venue,
+    });
+    if (conflicts.length > 0) {
+      return conflictResponse(res, conflicts);
+    }
+
+    match.rescheduleRequests.push({
+      requestedBy: req.user.userId,
+      team: team._id,
+      proposedAt: start,
+      venue: venue?._id,
+      reason,
+    });
+    await match.save();
+
+    const request = match.getPendingReschedule();
+    eventBus.emit('match.reschedule_requested', { match, tournament, request });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reschedule proposed. Waiting for the opponent and organizer.',
+      data: { request },
+    });
+  } catch (error) {
+    console.error('Request reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to propose reschedule',
+    });
+  }
+};
+
+// Load the pending request named by :requestId and who may answer it
+const loadRescheduleRequest = async (req, res) => {
+  const { match, tournament } = await loadMatch(req, res);
+  if (!match) return {};
+
+  const request = match.rescheduleRequests.id(req.params.requestId);
+  if (!request || request.status !== 'pending') {
+    res.status(404).json({
+      success: false,
+      error: 'No pending reschedule request found',
+    });
+    return {};
+  }
+
+  const opponent = await Team.findById(match.getOpponent(request.team));
+  const isOpponent = !!opponent && opponent.canManage(req.user.userId);
+  const isOrganizer = tournament.canUserManage(req.currentUser);
+
+  return { match, tournament, request, isOpponent, isOrganizer };
+};
+
+// Opponent captain or organizer approves; the new time applies once both have
+export const approveReschedule = async (req, res) => {
+  try {
+    const { match, tournament, request, isOpponent, isOrganizer } =
+      await loadRescheduleRequest(req, res);
+    if (!request) return;
+
+    if (!isOpponent && !isOrganizer) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the opposing captain or an organizer can approve',
+      });
+    }
+
+    const now = new Date();
+    if (isOpponent) {
+      request.opponentApproval = { by: req.user.userId, at: now };
+    }
+    if (isOrganizer) {
+      request.organizerApproval = { by: req.user.userId, at: now };
+    }
+
+    const approved =
+      request.opponentApproval?.at && request.organizerApproval?.at;
+    if (approved) {
+      if (!RESCHEDULABLE_STATUSES.includes(match.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot reschedule a ${match.status} match`,
+        });
+      }
+
+      // Bookings may have changed since the proposal
+      const venue = request.venue ? await Venue.findById(request.venue) : null;
+      const slot = slotFor(tournament, request.proposedAt);
+      const conflicts = await findConflicts(match, tournament, {
+        ...slot,
+        venue,
+      });
+      if (conflicts.length > 0) {
+        return conflictResponse(res, conflicts);
+      }
+
+      bookMatch(match, { ...slot, venue: request.venue });
+      request.status = 'approved';
+      request.resolvedBy = req.user.userId;
+      request.resolvedAt = now;
+    }
+
+    await match.save();
+
+    if (approved) {
+      eventBus.emit('match.reschedule_resolved', {
+        match,
+        tournament,
+        request,
+      });
+      eventBus.emit('match.scheduled', { match, tournament });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approved
+        ? 'Reschedule approved. The match has moved.'
+        : 'Approval recorded. Waiting for the other approval.',
+      data: { request, match },
+    });
+  } catch (error) {
+    console.error('Approve reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve reschedule',
+    });
+  }
+};
+
+// Opponent captain or organizer turns the proposal down
+export const rejectReschedule = async (req, res) => {
+  try {
+    const { match, tournament, request, isOpponent, isOrganizer } =
+      await loadRescheduleRequest(req, res);
+    if (!request) return;
+
+    if (!isOpponent && !isOrganizer) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the opposing captain or an organizer can reject',
+      });
+    }
+
+    request.status = 'rejected';
+    request.resolvedBy = req.user.userId;
+    request.resolvedAt = new Date();
+    await match.save();
+
+    eventBus.emit('match.reschedule_resolved', { match, tournament, request });
+
+    res.status(200).json({
+      success: true,
+      message: 'Reschedule rejected',
+      data: { request },
+    });
+  } catch (error) {
+    console.error('Reject reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject reschedule',
+    });
+  }
+};
+
+// The requesting team withdraws its proposal
+export const cancelReschedule = async (req, res) => {
+  try {
+    const { match, request } = await loadRescheduleRequest(req, res);
+    if (!request) return;
+
+    const team = await Team.findById(request.team);
+    if (!team || !team.canManage(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the requesting team can cancel the proposal',
+      });
+    }
+
+    request.status = 'cancelled';
+    request.resolvedBy = req.user.userId;
+    request.resolvedAt = new Date();
+    await match.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reschedule request cancelled',
+    });
+  } catch (error) {
+    console.error('Cancel reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel reschedule',
+    });
+  }
+};
@@ -0,0 +1,340 @@
+import mongoose from 'mongoose';
+import Series from '../models/series.js';
+import Tournament from '../models/tournament.js';
+import {
+  computeSeasonStandings,
+  getSeriesTournamentError,
+} from '../services/seriesService.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'season',
+  'department',
+  'pointsTable',
+  'participationPoints',
+  'standingsBy',
+];
+
+const TOURNAMENT_SUMMARY =
+  'name game tournamentType status startDate department winner';
+
+// Load the series or respond 404
+const findSeries = async (req, res) => {
+  const series = mongoose.isValidObjectId(req.params.id)
+    ? await Series.findById(req.params.id)
+    : null;
+
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      error: 'Series not found',
+    });
+  }
+
+  return series;
+};
+
+// Load the series for its organizer or an admin. Responds 404 or 403 and
+// returns null otherwise.
+const findManagedSeries = async (req, res) => {
+  const series = await findSeries(req, res);
+  if (!series) return null;
+
+  if (!series.canManage(req.currentUser)) {
+    res.status(403).json({
+      success: false,
+      error: 'You do not have permission to manage this series',
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// List series, optionally for one department
+export const getSeriesList = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.department) query.department = req.query.department;
+
+    const series = await Series.find(query)
+      .populate('organizer', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { series },
+    });
+  } catch (error) {
+    console.error('Get series list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch series',
+    });
+  }
+};
+
+// Get a series with its member tournaments
+export const getSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    await series.populate([
+      { path: 'organizer', select: 'fullName' },
+      {
+        path: 'tournaments',
+        select: TOURNAMENT_SUMMARY,
+        populate: { path: 'winner.team', select: 'name tag' },
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { series },
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch series',
+    });
+  }
+};
+
+// Cumulative season points across completed member tournaments
+export const getSeasonLeaderboard = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const { standings, tournamentsCounted } =
+      await computeSeasonStandings(series);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        standingsBy: series.standingsBy,
+        pointsTable: series.pointsTable,
+        participationPoints: series.participationPoints,
+        tournamentsCounted,
+        standings,
+      },
+    });
+  } catch (error) {
+    console.error('Get season leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch season leaderboard',
+    });
+  }
+};
+
+// Create a series
+export const createSeries = async (req, res) => {
+  try {
+    const series = new Series({ organizer: req.currentUser._id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+    await series.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Series created',
+      data: { series },
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create series',
+    });
+  }
+};
+
+// Update a series, including its points table
+export const updateSeries = async (req, res) => {
+  try {
+    const series = await findManagedSeries(req, res);
+    if (!series) return;
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Series updated',
+      data: { series },
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update series',
+    });
+  }
+};
+
+// Close the season; its tournaments can no longer change
+export const completeSeries = async (req, res) => {
+  try {
+    const series = await findManagedSeries(req, res);
+    if (!series) return;
+
+    if (series.isCompleted) {
+      return res.status(400).json({
+        success: false,
+        error: 'The series has already been completed',
+      });
+    }
+
+    series.completedAt = new Date();
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Series completed',
+      data: { series },
+    });
+  } catch (error) {
+    console.error('Complete series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete series',
+    });
+  }
+};
+
+// Delete a series; its tournaments are kept
+export const deleteSeries = async (req, res) => {
+  try {
+    const series = await findManagedSeries(req, res);
+    if (!series) return;
+
+    await series.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Series deleted',
+    });
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete series',
+    });
+  }
+};
+
+// Add a tournament the user manages to the series
+export const addSeriesTournament = async (req, res) => {
+  try {
+    const series = await findManagedSeries(req, res);
+    if (!series) return;
+
+    const { tournamentId } = req.body;
+    const tournament = mongoose.isValidObjectId(tournamentId)
+      ? await Tournament.findById(tournamentId)
+      : null;
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
+
+    if (!tournament.canUserManage(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to manage this tournament',
+      });
+    }
+
+    const seriesError = getSeriesTournamentError(series, tournament);
+    if (seriesError) {
+      return res.status(400).json({
+        success: false,
+        error: seriesError,
+      });
+    }
+
+    // A tournament counts towards one season only
+    const other = await Series.findByTournament(tournament._id);
+    if (other) {
+      return res.status(400).json({
+        success: false,
+        error: `Tournament is already part of ${other.name}`,
+      });
+    }
+
+    series.tournaments.push(tournament._id);
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${tournament.name} added to ${series.name}`,
+      data: { series },
+    });
+  } catch (error) {
+    console.error('Add series tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add tournament to series',
+    });
+  }
+};
+
+// Remove a tournament from the series
+export const removeSeriesTournament = async (req, res) => {
+  try {
+    const series = await findManagedSeries(req, res);
+    if (!series) return;
+
+    const { tournamentId } = req.params;
+
+    if (series.isCompleted) {
+      return res.status(400).json({
+        success: false,
+        error: 'The series has been completed',
+      });
+    }
+
+    if (!series.hasTournament(tournamentId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament is not part of this series',
+      });
+    }
+
+    series.tournaments.pull(tournamentId);
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tournament removed from series',
+      data: { series },
+    });
+  } catch (error) {
+    console.error('Remove series tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove tournament from series',
+    });
+  }
+};
@@ -0,0 +1,51 @@
+import Match from '../models/match.js';
+import Team from '../models/team.js';
+import {
+  computeStandings,
+  tiebreakersFor,
+} from '../services/standingsService.js';
+
+// Get league standings with tiebreakers
+export const getStandings = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    if (!['round-robin', 'swiss'].includes(tournament.tournamentType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Standings are only available for round-robin and swiss',
+      });
+    }
+
+    if (!tournament.bracketGenerated) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bracket has not been generated yet',
+      });
+    }
+
+    const matches = await Match.find({ tournament: tournament._id });
+    const standings = computeStandings(tournament, matches);
+
+    const teams = await Team.find({
+      _id: { $in: standings.map(row => row.team) },
+    }).select('name tag');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tiebreakers: tiebreakersFor(tournament),
+        standings: standings.map(row => ({
+          ...row,
+          team: teams.find(team => team._id.toString() === row.team),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get standings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch standings',
+    });
+  }
+};
@@ -0,0 +1,577 @@
+import RecruitmentListing from '../models/recruitmentListing.js';
+import Team from '../models/team.js';
+import User from '../models/user.js';
+import Tournament from '../models/tournament.js';
+import {
+  addMember,
+  createTeam as createTeamForCaptain,
+  disbandTeam as disbandRoster,
+  removeMember as removeRosterMember,
+  setMemberRole,
+  transferCaptaincy as transferTeamCaptaincy,
+} from '../services/teamService.js';
+import { closePlayerListings } from '../services/recruitmentService.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const ROSTER_FIELDS = 'fullName email collegeId department yearOfStudy';
+
+// Tournaments a team is still competing or registered in
+const ACTIVE_TOURNAMENT_STATUSES = [
+  'registration_open',
+  'registration_closed',
+  'ongoing',
+];
+
+// Create a new team
+export const createTeam = async (req, res) => {
+  try {
+    const { name, tag, description } = req.body;
+
+    const team = await createTeamForCaptain(req.user.userId, {
+      name,
+      tag,
+      description,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Team created successfully',
+      data: { team },
+    });
+  } catch (error) {
+    console.error('Create team error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create team',
+    });
+  }
+};
+
+// Get teams of the current user
+export const getMyTeams = async (req, res) => {
+  try {
+    const teams = await Team.findByMember(req.user.userId)
+      .populate('members.user', ROSTER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { teams },
+    });
+  } catch (error) {
+    console.error('Get my teams error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch your teams',
+    });
+  }
+};
+
+// Get pending invites for the current user
+export const getMyInvites = async (req, res) => {
+  try {
+    const teams = await Team.findInvitesFor(req.user.userId).populate(
+      'captain',
+      'fullName email'
+    );
+
+    const invites = teams.map(team => {
+      const invite = team.getPendingInvite(req.user.userId);
+      return {
+        team: { _id: team._id, name: team.name, tag: team.tag },
+        captain: team.captain,
+        role: invite.role,
+        invitedAt: invite.invitedAt,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { invites },
+    });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invites',
+    });
+  }
+};
+
+// Get single team
+export const getTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id).populate(
+      'members.user',
+      ROSTER_FIELDS
+    );
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { team },
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch team',
+    });
+  }
+};
+
+// Update team info
+export const updateTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (!team.canManage(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain or co-captains can update the team',
+      });
+    }
+
+    ['name', 'tag', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        team[field] = req.body[field];
+      }
+    });
+
+    await team.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Team updated successfully',
+      data: { team },
+    });
+  } catch (error) {
+    console.error('Update team error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update team',
+    });
+  }
+};
+
+// Invite a player to the team
+export const invitePlayer = async (req, res) => {
+  try {
+    const { userId, collegeId, role = 'player' } = req.body;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (!team.canManage(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain or co-captains can invite players',
+      });
+    }
+
+    // Only the captain can hand out leadership roles
+    if (role === 'co_captain' && !team.isCaptain(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain can invite co-captains',
+      });
+    }
+
+    const invitee = userId
+      ? await User.findById(userId)
+      : await User.findOne({ collegeId: collegeId?.toUpperCase() });
+
+    if (!invitee || !invitee.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    if (team.isMember(invitee._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is already on this team',
+      });
+    }
+
+    if (team.getPendingInvite(invitee._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'User already has a pending invite',
+      });
+    }
+
+    team.invites.push({
+      user: invitee._id,
+      invitedBy: req.user.userId,
+      role,
+    });
+    await team.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Invite sent to ${invitee.fullName}`,
+      data: { team },
+    });
+  } catch (error) {
+    console.error('Invite player error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send invite',
+    });
+  }
+};
+
+// Accept a pending invite
+export const acceptInvite = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    const invite = team.getPendingInvite(req.user.userId);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending invite for this team',
+      });
+    }
+
+    invite.status = 'accepted';
+    invite.respondedAt = new Date();
+    await addMember(team, req.user.userId, invite.role);
+
+    // Invited from the recruitment board: the free agent found a team
+    const listing =
+      invite.listing && (await RecruitmentListing.findById(invite.listing));
+    if (listing) {
+      await closePlayerListings(req.user.userId, listing.game);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${team.name}`,
+      data: { team },
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invite',
+    });
+  }
+};
+
+// Decline a pending invite
+export const declineInvite = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    const invite = team.getPendingInvite(req.user.userId);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending invite for this team',
+      });
+    }
+
+    invite.status = 'declined';
+    invite.respondedAt = new Date();
+    await team.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite declined',
+    });
+  } catch (error) {
+    console.error('Decline invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline invite',
+    });
+  }
+};
+
+// Change a member's role
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!['co_captain', 'player', 'manager'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role must be co_captain, player or manager',
+      });
+    }
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (!team.isCaptain(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain can change roles',
+      });
+    }
+
+    const member = team.getMember(req.params.userId);
+    if (!member || member.role === 'captain') {
+      return res.status(400).json({
+        success: false,
+        error: 'Member not found or is the captain',
+      });
+    }
+
+    await setMemberRole(team, req.params.userId, role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated',
+      data: { team },
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update member role',
+    });
+  }
+};
+
+// Remove a member from the team
+export const removeMember = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (!team.canManage(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain or co-captains can remove members',
+      });
+    }
+
+    const member = team.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found',
+      });
+    }
+
+    // Co-captains cannot remove the captain or each other
+    if (
+      member.role === 'captain' ||
+      (member.role === 'co_captain' && !team.isCaptain(req.user.userId))
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot remove this member',
+      });
+    }
+
+    await removeRosterMember(team, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed',
+      data: { team },
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member',
+    });
+  }
+};
+
+// Transfer captaincy to another member
+export const transferCaptaincy = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (!team.isCaptain(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain can transfer captaincy',
+      });
+    }
+
+    if (!userId || !team.isMember(userId) || team.isCaptain(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'New captain must be another member of the team',
+      });
+    }
+
+    await transferTeamCaptaincy(team, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Captaincy transferred',
+      data: { team },
+    });
+  } catch (error) {
+    console.error('Transfer captaincy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to transfer captaincy',
+    });
+  }
+};
+
+// Leave a team
+export const leaveTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (!team.isMember(req.user.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are not on this team',
+      });
+    }
+
+    if (team.isCaptain(req.user.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Transfer captaincy or disband the team before leaving',
+      });
+    }
+
+    await removeRosterMember(team, req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: `You left ${team.name}`,
+    });
+  } catch (error) {
+    console.error('Leave team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave team',
+    });
+  }
+};
+
+// Disband a team
+export const disbandTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found',
+      });
+    }
+
+    if (!team.isCaptain(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the captain can disband the team',
+      });
+    }
+
+    // Prevent disbanding while registered in a running tournament
+    const activeTournament = await Tournament.exists({
+      'registeredTeams.team': team._id,
+      status: { $in: ACTIVE_TOURNAMENT_STATUSES },
+    });
+    if (activeTournament) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot disband a team registered in an active tournament',
+      });
+    }
+
+    await disbandRoster(team);
+
+    res.status(200).json({
+      success: true,
+      message: 'Team disbanded',
+    });
+  } catch (error) {
+    console.error('Disband team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disband team',
+    });
+  }
+};
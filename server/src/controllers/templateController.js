@@ -0,0 +1,296 @@
+import mongoose from 'mongoose';
+import Series from '../models/series.js';
+import Tournament, { DEFINITION_FIELDS } from '../models/tournament.js';
+import TournamentTemplate, {
+  TEMPLATE_FIELDS,
+} from '../models/tournamentTemplate.js';
+import { getSeriesTournamentError } from '../services/seriesService.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'shared', ...TEMPLATE_FIELDS];
+
+const applyTemplateFields = (template, source) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) template[field] = source[field];
+  });
+};
+
+// Load the template or respond 404
+const findTemplate = async (req, res) => {
+  const template = mongoose.isValidObjectId(req.params.id)
+    ? await TournamentTemplate.findById(req.params.id)
+    : null;
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      error: 'Template not found',
+    });
+  }
+
+  return template;
+};
+
+// Own and shared templates, optionally for one game
+export const getTemplates = async (req, res) => {
+  try {
+    const query = TournamentTemplate.findUsableBy(req.currentUser);
+    if (req.query.game) query.where({ game: req.query.game });
+
+    const templates = await query
+      .populate('createdBy', 'fullName')
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { templates },
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch templates',
+    });
+  }
+};
+
+// Get one template
+export const getTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    if (!template.canUse(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'This template is private',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch template',
+    });
+  }
+};
+
+// Save a tournament configuration as a template
+export const createTemplate = async (req, res) => {
+  try {
+    const template = new TournamentTemplate({
+      createdBy: req.currentUser._id,
+    });
+    applyTemplateFields(template, req.body);
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Create template error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save template',
+    });
+  }
+};
+
+// Save an existing tournament's settings as a template
+export const saveTournamentAsTemplate = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    const template = new TournamentTemplate({
+      createdBy: req.currentUser._id,
+    });
+    applyTemplateFields(template, {
+      ...tournament.toObject({ virtuals: false }),
+      name: req.body.name || tournament.name,
+      description: req.body.description,
+      shared: req.body.shared,
+    });
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Save tournament as template error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save template',
+    });
+  }
+};
+
+// Update a template; tournaments already created from it are unchanged
+export const updateTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    if (!template.canEdit(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the creator of a template can change it',
+      });
+    }
+
+    applyTemplateFields(template, req.body);
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Update template error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update template',
+    });
+  }
+};
+
+// Delete a template
+export const deleteTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    if (!template.canEdit(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the creator of a template can delete it',
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted',
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete template',
+    });
+  }
+};
+
+// Create a tournament from a template. The body supplies the name,
+// description and dates and may override any template setting. With
+// seriesId the tournament joins that series.
+export const createTournamentFromTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    if (!template.canUse(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'This template is private',
+      });
+    }
+
+    const overrides = Object.fromEntries(
+      DEFINITION_FIELDS.filter(field => req.body[field] !== undefined).map(
+        field => [field, req.body[field]]
+      )
+    );
+    const tournament = Tournament.fromDefinition(
+      { ...template.toDefinition(), ...overrides },
+      req.user.userId
+    );
+    tournament.template = template._id;
+
+    let series = null;
+    if (req.body.seriesId) {
+      series = mongoose.isValidObjectId(req.body.seriesId)
+        ? await Series.findById(req.body.seriesId)
+        : null;
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          error: 'Series not found',
+        });
+      }
+
+      if (!series.canManage(req.currentUser)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to manage this series',
+        });
+      }
+
+      const seriesError = getSeriesTournamentError(series, tournament);
+      if (seriesError) {
+        return res.status(400).json({
+          success: false,
+          error: seriesError,
+        });
+      }
+    }
+
+    await tournament.save();
+
+    await TournamentTemplate.updateOne(
+      { _id: template._id },
+      { $inc: { timesUsed: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+    if (series) {
+      await Series.updateOne(
+        { _id: series._id },
+        { $addToSet: { tournaments: tournament._id } }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: tournament.requiresFacultyApproval
+        ? 'Tournament created successfully. Please wait for approval.'
+        : 'Tournament created successfully.',
+      data: { tournament, series: series?._id ?? null },
+    });
+  } catch (error) {
+    console.error('Create tournament from template error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tournament',
+    });
+  }
+};
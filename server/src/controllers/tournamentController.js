@@ -1,46 +1,16 @@
-import Tournament from '../models/tournament.js';
+import Tournament, { PUBLIC_STATUSES } from '../models/tournament.js';
+import User from '../models/user.js';
+import { getCheckInStatus } from '../services/checkInService.js';
+import eventBus from '../utils/eventBus.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+// Hours a tournament may wait in the faculty queue
+const approvalSlaHours = () => parseInt(process.env.APPROVAL_SLA_HOURS) || 72;
 
 // Create Tournament
 export const createTournament = async (req, res) => {
   try {
-    const {
-      name,
-      description,
-      game,
-      tournamentType,
-      registrationEnd,
-      startDate,
-      registrationType,
-      maxTeams,
-      teamSize,
-      department,
-      requiresFacultyApproval,
-    } = req.body;
-
-    // Validate organizer role
-    if (!['organizer', 'faculty', 'admin'].includes(req.user.primaryRole)) {
-      return res.status(403).json({
-        success: false,
-        error: 'You do not have permission to create tournaments',
-      });
-    }
-
-    // Create tournament
-    const tournament = new Tournament({
-      name,
-      description,
-      game,
-      tournamentType,
-      registrationEnd: new Date(registrationEnd),
-      startDate: new Date(startDate),
-      registrationType,
-      maxTeams: maxTeams || 16,
-      teamSize: teamSize || 5,
-      department: department || 'All',
-      requiresFacultyApproval: requiresFacultyApproval !== false,
-      organizer: req.user.userId,
-      status: requiresFacultyApproval === false ? 'registration_open' : 'draft',
-    });
+    const tournament = Tournament.fromDefinition(req.body, req.user.userId);
 
     await tournament.save();
 
@@ -55,12 +25,7 @@ export const createTournament = async (req, res) => {
     console.error('Create tournament error:', error);
 
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        details: errors,
-      });
+      return validationErrorResponse(res, error);
     }
 
     res.status(500).json({
@@ -89,7 +54,7 @@ export const getTournaments = async (req, res) => {
       query.status = status;
     } else {
       // Default: only public tournaments
-      query.status = { $in: ['registration_open', 'ongoing', 'completed'] };
+      query.status = { $in: PUBLIC_STATUSES };
     }
 
     // Filter by tournament type
@@ -158,9 +123,11 @@ export const getTournament = async (req, res) => {
       });
     }
 
+    const checkIn = await getCheckInStatus(tournament);
+
     res.status(200).json({
       success: true,
-      data: { tournament },
+      data: { tournament, checkIn },
     });
   } catch (error) {
     console.error('Get tournament error:', error);
@@ -174,29 +141,10 @@ export const getTournament = async (req, res) => {
 // Update tournament
 export const updateTournament = async (req, res) => {
   try {
-    const tournament = await Tournament.findById(req.params.id);
-
-    if (!tournament) {
-      return res.status(404).json({
-        success: false,
-        error: 'Tournament not found',
-      });
-    }
-
-    // Check permissions
-    const canManage = tournament.canUserManage(req.user);
-    if (!canManage && req.user.primaryRole !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'You do not have permission to update this tournament',
-      });
-    }
+    const { tournament } = req;
 
     // Prevent updates after registration starts
-    if (
-      tournament.status !== 'draft' &&
-      tournament.status !== 'pending_approval'
-    ) {
+    if (!tournament.isEditable) {
       return res.status(400).json({
         success: false,
         error: 'Cannot update tournament after approval',
@@ -207,6 +155,7 @@ export const updateTournament = async (req, res) => {
     const allowedUpdates = [
       'name',
       'description',
+      'rules',
       'game',
       'tournamentType',
       'registrationEnd',
@@ -215,6 +164,10 @@ export const updateTournament = async (req, res) => {
       'maxTeams',
       'teamSize',
       'department',
+      'yearRestriction',
+      'tiebreakers',
+      'autoGenerateBracket',
+      'requiredApprovals',
     ];
 
     allowedUpdates.forEach(field => {
@@ -223,31 +176,47 @@ export const updateTournament = async (req, res) => {
       }
     });
 
-    // If faculty approval requirement changed
+    // Only the flag changes; publishing still goes through submit
     if (req.body.requiresFacultyApproval !== undefined) {
+      if (tournament.status === 'pending_approval') {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot change approval requirement while pending approval',
+        });
+      }
       tournament.requiresFacultyApproval = req.body.requiresFacultyApproval;
-      tournament.status = req.body.requiresFacultyApproval
-        ? 'draft'
-        : 'registration_open';
+    }
+
+    // Sign-offs were given to the previous version; faculty review again
+    const resubmitted =
+      tournament.status === 'pending_approval' &&
+      allowedUpdates.some(field => tournament.isModified(field));
+    if (resubmitted) {
+      tournament.approvalStatus.approvals = [];
+      tournament.approvalStatus.submittedAt = new Date();
     }
 
     await tournament.save();
 
+    if (resubmitted) {
+      eventBus.emit('tournament.submitted', {
+        tournament,
+        by: req.user.userId,
+      });
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Tournament updated successfully',
+      message: resubmitted
+        ? 'Tournament updated. Earlier approvals were reset for faculty to review the changes.'
+        : 'Tournament updated successfully',
       data: { tournament },
     });
   } catch (error) {
     console.error('Update tournament error:', error);
 
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        details: errors,
-      });
+      return validationErrorResponse(res, error);
     }
 
     res.status(500).json({
@@ -260,38 +229,31 @@ export const updateTournament = async (req, res) => {
 // Submit for faculty approval
 export const submitForApproval = async (req, res) => {
   try {
-    const tournament = await Tournament.findById(req.params.id);
-
-    if (!tournament) {
-      return res.status(404).json({
-        success: false,
-        error: 'Tournament not found',
-      });
-    }
-
-    //Check if user is organizer
-    if (tournament.organizer.toString() !== req.user.userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Only the organizer can submit for approval',
-      });
-    }
+    const { tournament } = req;
 
-    // Check if already submitted
-    if (tournament.status !== 'draft') {
+    // Only drafts and rejected tournaments can be submitted
+    if (!['draft', 'rejected'].includes(tournament.status)) {
       return res.status(400).json({
         success: false,
         error: `Tournament is already ${tournament.status}`,
       });
     }
 
-    // Submit for approval
-    tournament.status = 'pending_approval';
+    tournament.submitForApproval(req.user.userId);
     await tournament.save();
 
+    if (tournament.status === 'pending_approval') {
+      eventBus.emit('tournament.submitted', {
+        tournament,
+        by: req.user.userId,
+      });
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Tournament submitted for faculty approval',
+      message: tournament.requiresFacultyApproval
+        ? 'Tournament submitted for faculty approval'
+        : 'Tournament published. Registration is open.',
       data: { tournament },
     });
   } catch (error) {
@@ -306,190 +268,403 @@ export const submitForApproval = async (req, res) => {
 // Faculty approve tournament
 export const approveTournament = async (req, res) => {
   try {
-    // Only faculty can approve
-    if (req.user.primaryRole !== 'faculty') {
-      return res.status(403).json({
-        success: false,
-        error: 'You do not have permission to approve tournaments',
-      });
+    const { tournament } = req;
+    const { comment } = req.body;
+
+    const approved = tournament.approveTournament(req.user.userId, comment);
+    await tournament.save();
+
+    if (approved) {
+      eventBus.emit('tournament.approved', { tournament, by: req.user.userId });
     }
 
-    const tournament = await Tournament.findById(req.params.id);
+    const { approvals } = tournament.approvalStatus;
 
-    if (!tournament) {
-      return res.status(404).json({
+    res.status(200).json({
+      success: true,
+      message: approved
+        ? 'Tournament approved successfully'
+        : `Approval recorded (${approvals.length}/${tournament.requiredApprovals})`,
+      data: { tournament },
+    });
+  } catch (error) {
+    console.error('Approve tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve tournament',
+    });
+  }
+};
+
+// Faculty reject tournament
+export const rejectTournament = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const { rejectionReason } = req.body;
+
+    if (!rejectionReason || rejectionReason.trim().length < 10) {
+      return res.status(400).json({
         success: false,
-        error: 'Tournament not found',
+        error: 'Rejection reason must be at least 10 characters',
       });
     }
 
-    // Check if can be approved
-    if (tournament.status !== 'pending_approval') {
+    tournament.rejectTournament(req.user.userId, rejectionReason.trim());
+    await tournament.save();
+
+    eventBus.emit('tournament.rejected', {
+      tournament,
+      by: req.user.userId,
+      reason: rejectionReason.trim(),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tournament rejected',
+      data: { tournament },
+    });
+  } catch (error) {
+    console.error('Reject tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject tournament',
+    });
+  }
+};
+
+// Faculty send the tournament back to draft with feedback
+export const requestChanges = async (req, res) => {
+  try {
+    const { tournament } = req;
+    const { feedback } = req.body;
+
+    if (!feedback || feedback.trim().length < 10) {
       return res.status(400).json({
         success: false,
-        error: 'Tournament is not pending approval',
+        error: 'Feedback must be at least 10 characters',
       });
     }
 
-    // Approve the tournament
-    tournament.status = 'registration_open';
-    tournament.approvalStatus = {
-      approved: true,
-      approvedBy: req.user.userId,
-      approvedAt: new Date(),
-    };
-
+    tournament.requestChanges(req.user.userId, feedback.trim());
     await tournament.save();
 
+    eventBus.emit('tournament.changes_requested', {
+      tournament,
+      by: req.user.userId,
+      reason: feedback.trim(),
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Tournament approved successfully',
+      message: 'Changes requested. The tournament is back in draft.',
       data: { tournament },
     });
   } catch (error) {
-    console.error('Approve tournament error:', error);
+    console.error('Request changes error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to approve tournament',
+      error: 'Failed to request changes',
     });
   }
 };
 
-// Faculty reject tournament
-export const rejectTournament = async (req, res) => {
+// Faculty comment on a pending tournament
+export const addReviewComment = async (req, res) => {
   try {
-    // Only faculty can reject
-    if (req.user.primaryRole !== 'faculty') {
-      return res.status(403).json({
+    const { tournament } = req;
+    const { comment } = req.body;
+
+    if (!comment || !comment.trim()) {
+      return res.status(400).json({
         success: false,
-        error: 'You do not have permission to reject tournaments',
+        error: 'Comment is required',
       });
     }
 
-    const { rejectionReason } = req.body;
+    tournament.addReviewComment(req.user.userId, comment.trim());
+    await tournament.save();
 
-    if (!rejectionReason || rejectionReason.trim().length < 10) {
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: { reviewComments: tournament.reviewComments },
+    });
+  } catch (error) {
+    console.error('Add review comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add comment',
+    });
+  }
+};
+
+// Delete Tournament
+export const deleteTournament = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    // Prevent deletion if tournament has started
+    if (!tournament.isEditable) {
       return res.status(400).json({
         success: false,
-        error: 'Rejection reason must be at least 10 characters',
+        error: 'Cannot delete tournament after approval',
       });
     }
 
-    const tournament = await Tournament.findById(req.params.id);
+    await tournament.deleteOne();
 
-    if (!tournament) {
-      return res.status(404).json({
+    res.status(200).json({
+      success: true,
+      message: 'Tournament deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete tournament',
+    });
+  }
+};
+
+// Cancel a tournament with a reason
+export const cancelTournament = async (req, res) => {
+  try {
+    const { tournament, currentUser } = req;
+    const { reason } = req.body;
+
+    // Co-organizers cannot cancel the tournament
+    if (
+      !tournament.organizer.equals(currentUser._id) &&
+      !currentUser.hasRole('admin')
+    ) {
+      return res.status(403).json({
         success: false,
-        error: 'Tournament not found',
+        error: 'Only the organizer or an admin can cancel this tournament',
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cancellation reason is required',
       });
     }
 
-    // Check if can be rejected
-    if (tournament.status !== 'pending_approval') {
+    if (!tournament.canTransitionTo('cancelled')) {
       return res.status(400).json({
         success: false,
-        error: 'Tournament is not pending approval',
+        error: `Cannot cancel a ${tournament.status} tournament`,
       });
     }
 
-    // Reject the tournament
-    tournament.status = 'rejected';
-    tournament.approvalStatus = {
-      approved: false,
-      approvedBy: req.user.userId,
-      approvedAt: new Date(),
-      rejectionReason,
-    };
+    tournament.cancel(req.user.userId, reason.trim());
     await tournament.save();
 
+    eventBus.emit('tournament.cancelled', {
+      tournament,
+      by: req.user.userId,
+      reason: reason.trim(),
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Tournament rejected',
+      message: 'Tournament cancelled',
       data: { tournament },
     });
   } catch (error) {
-    console.error('Reject tournament error:', error);
+    console.error('Cancel tournament error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to reject tournament',
+      error: 'Failed to cancel tournament',
     });
   }
 };
 
-// Delete Tournament
-export const deleteTournament = async (req, res) => {
+// Get tournaments needing approval
+export const getPendingApprovals = async (req, res) => {
   try {
-    const tournament = await Tournament.findById(req.params.id);
+    const tournaments = await Tournament.findNeedApproval(req.currentUser)
+      .populate('organizer', 'fullName email collegeId department')
+      .sort({ 'approvalStatus.submittedAt': 1 });
 
-    if (!tournament) {
+    // Oldest first, with how long each has been waiting
+    const slaHours = approvalSlaHours();
+    const queue = tournaments.map(tournament => ({
+      ...tournament.toJSON(),
+      approvalAge: tournament.getApprovalAge(slaHours),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tournaments: queue,
+        overdue: queue.filter(t => t.approvalAge.status === 'overdue').length,
+      },
+    });
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pending approvals',
+    });
+  }
+};
+
+// Assign a score reporter to a tournament
+export const addScoreReporter = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const { tournament } = req;
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
       return res.status(404).json({
         success: false,
-        error: 'Tournament not found',
+        error: 'User not found',
       });
     }
 
-    // Check permissions - organizer or admin
-    const canManage = tournament.canUserManage(req.user);
-    if (!canManage && req.user.primaryRole !== 'admin') {
+    if (!tournament.scoreReporters.some(r => r.equals(user._id))) {
+      tournament.scoreReporters.push(user._id);
+      await tournament.save();
+    }
+
+    await User.addSecondaryRole(user._id, 'score_reporter');
+
+    res.status(200).json({
+      success: true,
+      message: `${user.fullName} can now report scores`,
+      data: { scoreReporters: tournament.scoreReporters },
+    });
+  } catch (error) {
+    console.error('Add score reporter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign score reporter',
+    });
+  }
+};
+
+// Remove a score reporter from a tournament
+export const removeScoreReporter = async (req, res) => {
+  try {
+    const { tournament } = req;
+
+    tournament.scoreReporters.pull(req.params.userId);
+    await tournament.save();
+
+    // Drop the role once the user reports for no other tournament
+    const stillReporting = await Tournament.exists({
+      scoreReporters: req.params.userId,
+    });
+    if (!stillReporting) {
+      await User.removeSecondaryRole(req.params.userId, 'score_reporter');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Score reporter removed',
+      data: { scoreReporters: tournament.scoreReporters },
+    });
+  } catch (error) {
+    console.error('Remove score reporter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove score reporter',
+    });
+  }
+};
+
+// Add a co-organizer to a tournament
+export const addCoOrganizer = async (req, res) => {
+  try {
+    const { tournament, currentUser } = req;
+    const { userId } = req.body;
+
+    // Co-organizers cannot appoint other co-organizers
+    if (
+      !tournament.organizer.equals(currentUser._id) &&
+      !currentUser.hasRole('admin')
+    ) {
       return res.status(403).json({
         success: false,
-        error: 'Not authorized to delete this tournament',
+        error: 'Only the organizer can add co-organizers',
       });
     }
 
-    // Prevent deletion if tournament has started
-    if (
-      tournament.status !== 'draft' &&
-      tournament.status !== 'pending_approval'
-    ) {
-      return res.status(400).json({
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
         success: false,
-        error: 'Cannot delete tournament after approval',
+        error: 'User not found',
       });
     }
 
-    await tournament.deleteOne();
+    if (!tournament.coOrganizers.some(c => c.equals(user._id))) {
+      tournament.coOrganizers.push(user._id);
+      await tournament.save();
+    }
+
+    await User.addSecondaryRole(user._id, 'co_organizer');
 
     res.status(200).json({
       success: true,
-      message: 'Tournament deleted successfully',
+      message: `${user.fullName} is now a co-organizer`,
+      data: { coOrganizers: tournament.coOrganizers },
     });
   } catch (error) {
-    console.error('Delete tournament error:', error);
+    console.error('Add co-organizer error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete tournament',
+      error: 'Failed to add co-organizer',
     });
   }
 };
 
-// Get tournaments needing approval
-export const getPendingApprovals = async (req, res) => {
+// Remove a co-organizer from a tournament
+export const removeCoOrganizer = async (req, res) => {
   try {
-    // Only faculty can see pending approvals
-    if (req.user.primaryRole !== 'faculty') {
+    const { tournament, currentUser } = req;
+
+    if (
+      !tournament.organizer.equals(currentUser._id) &&
+      !currentUser.hasRole('admin')
+    ) {
       return res.status(403).json({
         success: false,
-        error: 'Only faculty can view pending approvals',
+        error: 'Only the organizer can remove co-organizers',
       });
     }
 
-    const tournaments = await Tournament.find({
-      status: 'pending_approval',
-      requiresFacultyApproval: true,
-    })
-      .populate('organizer', 'fullName email collegeId department')
-      .sort({ createdAt: -1 });
+    tournament.coOrganizers.pull(req.params.userId);
+    await tournament.save();
+
+    // Drop the role once the user co-organizes no other tournament
+    const stillCoOrganizing = await Tournament.exists({
+      coOrganizers: req.params.userId,
+    });
+    if (!stillCoOrganizing) {
+      await User.removeSecondaryRole(req.params.userId, 'co_organizer');
+    }
 
     res.status(200).json({
       success: true,
-      data: { tournaments },
+      message: 'Co-organizer removed',
+      data: { coOrganizers: tournament.coOrganizers },
     });
   } catch (error) {
-    console.error('Get pending approvals error:', error);
+    console.error('Remove co-organizer error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch pending approvals',
+      error: 'Failed to remove co-organizer',
     });
   }
 };
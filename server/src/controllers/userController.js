@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import Rating from '../models/rating.js';
+import User from '../models/user.js';
+
+const PUBLIC_FIELDS =
+  'fullName department yearOfStudy primaryRole secondaryRoles teams totalMatchesPlayed matchesWon gameStats tournamentsParticipated createdAt';
+
+// Public player profile with stats and tournament history
+export const getPlayerProfile = async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOne({ _id: req.params.id, isActive: true })
+          .select(PUBLIC_FIELDS)
+          .populate('teams.team', 'name tag isActive')
+          .populate(
+            'tournamentsParticipated.tournament',
+            'name game tournamentType status startDate'
+          )
+          .populate('tournamentsParticipated.team', 'name tag')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+      });
+    }
+
+    const ratings = await Rating.find({
+      subjectType: 'User',
+      subject: user._id,
+    })
+      .select('game gameName rating matchesPlayed')
+      .sort({ rating: -1 });
+
+    const history = [...user.tournamentsParticipated].sort(
+      (a, b) => b.participatedAt - a.participatedAt
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        profile: {
+          id: user._id,
+          fullName: user.fullName,
+          department: user.department,
+          yearOfStudy: user.yearOfStudy,
+          role: user.getDisplayRole(),
+          memberSince: user.createdAt,
+          teams: user.teams.filter(t => t.team?.isActive),
+          stats: {
+            matchesPlayed: user.totalMatchesPlayed,
+            matchesWon: user.matchesWon,
+            winRate: user.winRate,
+            tournamentsPlayed: history.length,
+            tournamentsWon: history.filter(t => t.position === 1).length,
+          },
+          gameStats: user.gameStats,
+          ratings,
+          tournaments: history,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get player profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch player profile',
+    });
+  }
+};
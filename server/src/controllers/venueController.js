@@ -0,0 +1,196 @@
+import mongoose from 'mongoose';
+import Match from '../models/match.js';
+import Venue from '../models/venue.js';
+import { normalizeGame } from '../utils/games.js';
+import { validationErrorResponse } from '../utils/validation.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'type',
+  'location',
+  'capacity',
+  'resources',
+  'games',
+  'blackouts',
+];
+
+// Copy editable fields from the body; games are stored normalized
+const applyVenueFields = (venue, body) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) venue[field] = body[field];
+  });
+  if (Array.isArray(body.games)) {
+    venue.games = body.games.map(normalizeGame).filter(Boolean);
+  }
+};
+
+// Load the venue or respond 404
+const findVenue = async (req, res) => {
+  const venue = mongoose.isValidObjectId(req.params.id)
+    ? await Venue.findById(req.params.id)
+    : null;
+
+  if (!venue) {
+    res.status(404).json({
+      success: false,
+      error: 'Venue not found',
+    });
+  }
+
+  return venue;
+};
+
+// The creator and admins can change a venue
+const canEditVenue = (venue, user) =>
+  user.primaryRole === 'admin' ||
+  venue.createdBy?.toString() === user._id.toString();
+
+// List venues, optionally by type, game or resource
+export const getVenues = async (req, res) => {
+  try {
+    const { type, game, resource, includeInactive } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (type) query.type = type;
+    if (resource) query.resources = resource.trim().toLowerCase();
+    if (game) {
+      query.$or = [{ games: normalizeGame(game) }, { games: { $size: 0 } }];
+    }
+
+    const venues = await Venue.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { venues },
+    });
+  } catch (error) {
+    console.error('Get venues error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch venues',
+    });
+  }
+};
+
+// Get a venue with its upcoming bookings
+export const getVenue = async (req, res) => {
+  try {
+    const venue = await findVenue(req, res);
+    if (!venue) return;
+
+    const bookings = await Match.find({
+      venue: venue._id,
+      scheduledAt: { $gte: new Date() },
+      status: { $nin: ['completed', 'bye', 'void'] },
+    })
+      .select(
+        'tournament bracketMatchId round participants scheduledAt scheduledEnd status'
+      )
+      .populate('tournament', 'name game')
+      .populate('participants.team', 'name tag')
+      .sort({ scheduledAt: 1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      data: { venue, bookings },
+    });
+  } catch (error) {
+    console.error('Get venue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch venue',
+    });
+  }
+};
+
+// Add a venue
+export const createVenue = async (req, res) => {
+  try {
+    const venue = new Venue({ createdBy: req.currentUser._id });
+    applyVenueFields(venue, req.body);
+    await venue.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created',
+      data: { venue },
+    });
+  } catch (error) {
+    console.error('Create venue error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create venue',
+    });
+  }
+};
+
+// Update a venue, including its blackout periods
+export const updateVenue = async (req, res) => {
+  try {
+    const venue = await findVenue(req, res);
+    if (!venue) return;
+
+    if (!canEditVenue(venue, req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the venue creator or an admin can edit it',
+      });
+    }
+
+    applyVenueFields(venue, req.body);
+    await venue.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Venue updated',
+      data: { venue },
+    });
+  } catch (error) {
+    console.error('Update venue error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update venue',
+    });
+  }
+};
+
+// Retire a venue; existing bookings stay, new ones are refused
+export const deactivateVenue = async (req, res) => {
+  try {
+    const venue = await findVenue(req, res);
+    if (!venue) return;
+
+    if (!canEditVenue(venue, req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the venue creator or an admin can remove it',
+      });
+    }
+
+    venue.isActive = false;
+    await venue.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Venue deactivated',
+    });
+  } catch (error) {
+    console.error('Deactivate venue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate venue',
+    });
+  }
+};
@@ -1,6 +1,36 @@
+import Session from '../models/session.js';
+import User from '../models/user.js';
 import { verifyToken } from '../utils/jwt.js';
 
-export const requireAuth = (req, res, next) => {
+// Verify an access token against its session and the current user.
+// Resolves to { decoded, user } or rejects with a 401 message.
+const authenticate = async token => {
+  const decoded = verifyToken(token);
+
+  // Check the session has not been revoked
+  const session = decoded.sessionId
+    ? await Session.findById(decoded.sessionId)
+    : null;
+
+  if (!session || !session.isActive) {
+    throw new Error('Session expired. Please login again.');
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user || !user.isActive) {
+    throw new Error('Account is deactivated. Please contact admin.');
+  }
+
+  // Roles or account state changed since the token was issued
+  if (decoded.tokenVersion !== user.tokenVersion) {
+    throw new Error('Token is outdated. Please refresh your session.');
+  }
+
+  return { decoded, user };
+};
+
+export const requireAuth = async (req, res, next) => {
   try {
     // Get token
     const authHeader = req.headers.authorization;
@@ -15,11 +45,11 @@ export const requireAuth = (req, res, next) => {
     // Extract token
     const token = authHeader.split(' ')[1];
 
-    // Verify token
-    const decoded = verifyToken(token);
+    const { decoded, user } = await authenticate(token);
 
     // Add user to request object
     req.user = decoded;
+    req.currentUser = user;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -28,3 +58,67 @@ export const requireAuth = (req, res, next) => {
     });
   }
 };
+
+// Authenticate when a token is present, otherwise continue anonymously.
+// Also accepts ?token= because browser EventSource cannot set headers.
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token =
+      authHeader && authHeader.startsWith('Bearer')
+        ? authHeader.split(' ')[1]
+        : req.query.token;
+
+    if (!token) {
+      return next();
+    }
+
+    const { decoded, user } = await authenticate(token);
+
+    req.user = decoded;
+    req.currentUser = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: error.message || 'Authentication failed',
+    });
+  }
+};
+
+// Must run after requireAuth. Checks the stored flag, not the token claim,
+// so a user who just verified does not need a new token.
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.currentUser) {
+      req.currentUser = await User.findById(req.user.userId);
+    }
+
+    if (!req.currentUser || !req.currentUser.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address first',
+      });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to check email verification',
+    });
+  }
+};
+
+// Must run after requireAuth. Restricted users keep read access but cannot
+// create, join, report or change anything until the restriction ends.
+export const requireUnrestricted = (req, res, next) => {
+  if (req.method === 'GET' || !req.currentUser?.isRestricted) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: `Your account is restricted until ${req.currentUser.restrictedUntil.toISOString()}`,
+  });
+};
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import Tournament from '../models/tournament.js';
+
+// Must run after requireAuth. Loads the user behind the token once per
+// request so role checks see current roles rather than the token snapshot.
+export const loadCurrentUser = async (req, res, next) => {
+  try {
+    if (!req.currentUser) {
+      req.currentUser = await User.findById(req.user.userId);
+    }
+
+    if (!req.currentUser) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Load user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load user',
+    });
+  }
+};
+
+// Loads the tournament from :id and attaches it as req.tournament
+export const loadTournament = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
+
+    req.tournament = await Tournament.findById(req.params.id);
+
+    if (!req.tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Load tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tournament',
+    });
+  }
+};
+
+// Allow users holding any of the given primary or secondary roles
+export const requireRole = (roles, message) => [
+  loadCurrentUser,
+  (req, res, next) => {
+    if (!req.currentUser.hasAnyRole(roles)) {
+      return res.status(403).json({
+        success: false,
+        error: message || 'You do not have permission to perform this action',
+      });
+    }
+    next();
+  },
+];
+
+export const requireOrganizer = requireRole(
+  ['organizer', 'faculty', 'admin'],
+  'Only organizers, faculty or admins can do this'
+);
+
+export const requireFaculty = requireRole(
+  ['faculty'],
+  'Only faculty can do this'
+);
+
+export const requireAdmin = requireRole(['admin'], 'Only admins can do this');
+
+// Organizer, co-organizer, faculty approver or admin of the tournament
+export const canManageTournament = [
+  loadCurrentUser,
+  loadTournament,
+  (req, res, next) => {
+    if (!req.tournament.canUserManage(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to manage this tournament',
+      });
+    }
+    next();
+  },
+];
+
+export const canApproveTournament = [
+  loadCurrentUser,
+  loadTournament,
+  (req, res, next) => {
+    if (!req.tournament.canApprove(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to approve this tournament',
+      });
+    }
+    next();
+  },
+];
+
+// Faculty the pending tournament is routed to, whether or not they have
+// already signed off
+export const canReviewTournament = [
+  loadCurrentUser,
+  loadTournament,
+  (req, res, next) => {
+    if (!req.tournament.canReview(req.currentUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to review this tournament',
+      });
+    }
+    next();
+  },
+];
@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+
+const gameSchema = new mongoose.Schema(
+  {
+    gameNumber: { type: Number, min: 1 },
+    // scores[i] belongs to participants[i]
+    scores: {
+      type: [{ type: Number, min: 0 }],
+      validate: {
+        validator: scores => scores.length === 2,
+        message: 'Each game needs a score for both participants',
+      },
+    },
+  },
+  { _id: false }
+);
+
+const matchSchema = new mongoose.Schema(
+  {
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: true,
+    },
+
+    // Node id in tournament.bracket.matches, e.g. 'W1-1'
+    bracketMatchId: {
+      type: String,
+      required: true,
+    },
+
+    round: {
+      type: Number,
+      required: true,
+    },
+
+    bracket: {
+      type: String,
+      enum: ['winners', 'losers', 'grand_final', 'main'],
+      default: 'main',
+    },
+
+    // Always two slots; team is null until the bracket fills it
+    participants: [
+      {
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        seed: Number,
+      },
+    ],
+
+    scheduledAt: Date,
+    // End of the booked slot; scheduledAt + the tournament's match duration
+    scheduledEnd: Date,
+    venue: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue' },
+
+    // Captain proposals to move the match. Both the opposing captain and
+    // an organizer must approve before the new time applies.
+    rescheduleRequests: [
+      {
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        proposedAt: { type: Date, required: true },
+        venue: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue' },
+        reason: { type: String, trim: true, maxlength: 500 },
+        status: {
+          type: String,
+          enum: ['pending', 'approved', 'rejected', 'cancelled'],
+          default: 'pending',
+        },
+        opponentApproval: {
+          by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          at: Date,
+        },
+        organizerApproval: {
+          by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          at: Date,
+        },
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        resolvedAt: Date,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: [
+        'pending',
+        'ready',
+        'scheduled',
+        'ongoing',
+        'awaiting_confirmation',
+        'disputed',
+        'completed',
+        'bye',
+        'void',
+      ],
+      default: 'pending',
+    },
+
+    // Results
+    games: [gameSchema],
+    winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    loser: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    isDraw: { type: Boolean, default: false },
+
+    reports: [
+      {
+        reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        // Set when a captain reports on behalf of their team
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        role: {
+          type: String,
+          enum: ['captain', 'score_reporter', 'organizer'],
+        },
+        games: [gameSchema],
+        winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        isDraw: { type: Boolean, default: false },
+        reportedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    dispute: {
+      isOpen: { type: Boolean, default: false },
+      openedAt: Date,
+      reason: String,
+      resolvedAt: Date,
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      // Formal protest filed over this dispute, if any
+      protest: { type: mongoose.Schema.Types.ObjectId, ref: 'Protest' },
+    },
+
+    // Team that lost by forfeit rather than on the field
+    forfeitedTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    // Forfeit for not checking in; the winner advanced without playing
+    walkover: { type: Boolean, default: false },
+
+    // Teams that confirmed attendance for the current slot
+    checkIns: [
+      {
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Set once missing teams were dealt with after check-in closed
+    checkInClosedAt: Date,
+
+    confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    completedAt: Date,
+
+    // Set once player statistics include this match
+    statsRecorded: {
+      type: Boolean,
+      default: false,
+    },
+    // Players whose statistics counted this match, so it can be taken back
+    statsLineups: [
+      {
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        players: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      },
+    ],
+
+    // Set once ratings include this match
+    ratingRecorded: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+matchSchema.virtual('isPlayable').get(function () {
+  return [
+    'ready',
+    'scheduled',
+    'ongoing',
+    'awaiting_confirmation',
+    'disputed',
+  ].includes(this.status);
+});
+
+matchSchema.virtual('isFinished').get(function () {
+  return ['completed', 'bye', 'void'].includes(this.status);
+});
+
+// Methods
+matchSchema.methods.getParticipantIndex = function (teamId) {
+  return this.participants.findIndex(
+    p => p.team && p.team.toString() === teamId.toString()
+  );
+};
+
+matchSchema.methods.hasTeam = function (teamId) {
+  return this.getParticipantIndex(teamId) !== -1;
+};
+
+matchSchema.methods.getOpponent = function (teamId) {
+  const other = this.participants.find(
+    p => p.team && p.team.toString() !== teamId.toString()
+  );
+  return other ? other.team : null;
+};
+
+matchSchema.methods.hasCheckedIn = function (teamId) {
+  return this.checkIns.some(c => c.team.toString() === teamId.toString());
+};
+
+matchSchema.methods.getPendingReschedule = function () {
+  return this.rescheduleRequests.find(r => r.status === 'pending');
+};
+
+// Static Methods
+matchSchema.statics.findByTournament = function (tournamentId) {
+  return this.find({ tournament: tournamentId }).sort({
+    round: 1,
+    bracketMatchId: 1,
+  });
+};
+
+// Indexes
+matchSchema.index({ tournament: 1, bracketMatchId: 1 }, { unique: true });
+matchSchema.index({ 'participants.team': 1 });
+matchSchema.index({ status: 1, scheduledAt: 1 });
+matchSchema.index({ venue: 1, scheduledAt: 1 });
+
+const Match = mongoose.model('Match', matchSchema);
+
+export default Match;
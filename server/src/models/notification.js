@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = [
+  'tournament_submitted',
+  'tournament_approved',
+  'tournament_rejected',
+  'tournament_changes_requested',
+  'tournament_cancelled',
+  'bracket_due',
+  'registration_approved',
+  'registration_rejected',
+  'waitlist_promoted',
+  'waitlist_position',
+  'solo_matched',
+  'recruitment_application',
+  'recruitment_response',
+  'team_invite',
+  'match_scheduled',
+  'reschedule_requested',
+  'reschedule_resolved',
+  'walkover',
+  'no_show',
+  'protest_filed',
+  'protest_ruled',
+  'email_verified',
+  'password_changed',
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+
+    message: {
+      type: String,
+      maxlength: 1000,
+    },
+
+    // Client route the notification points to, e.g. /tournaments/<id>
+    link: String,
+
+    // Ids of related documents
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+notificationSchema.virtual('isRead').get(function () {
+  return !!this.readAt;
+});
+
+// Static Methods
+notificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+notificationSchema.statics.markAllRead = function (userId) {
+  return this.updateMany(
+    { user: userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+};
+
+// Indexes
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// A student's request to become a tournament organizer. Reviewed by
+// faculty or admins; approval promotes the applicant.
+const organizerApplicationSchema = new mongoose.Schema(
+  {
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Application Details
+    clubAssociation: {
+      type: String,
+      required: [true, 'Club association is required'],
+      trim: true,
+      maxlength: [100, 'Club association cannot exceed 100 characters'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please explain why you want to organize tournaments'],
+      trim: true,
+      minlength: [20, 'Reason must be at least 20 characters'],
+      maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+    },
+
+    // Review
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewComment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Comment cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+organizerApplicationSchema.virtual('isPending').get(function () {
+  return this.status === 'pending';
+});
+
+// Methods
+organizerApplicationSchema.methods.review = function (
+  status,
+  reviewerId,
+  comment
+) {
+  this.status = status;
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.reviewComment = comment;
+};
+
+// Static Methods
+organizerApplicationSchema.statics.findPendingFor = function (userId) {
+  return this.findOne({ applicant: userId, status: 'pending' });
+};
+
+// Indexes
+organizerApplicationSchema.index({ status: 1, createdAt: 1 });
+// One open application per user
+organizerApplicationSchema.index(
+  { applicant: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const OrganizerApplication = mongoose.model(
+  'OrganizerApplication',
+  organizerApplicationSchema
+);
+
+export default OrganizerApplication;
@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+
+export const PROTEST_CATEGORIES = [
+  'rules_violation',
+  'no_show',
+  'wrong_score',
+  'cheating',
+  'other',
+];
+
+// confirm: the recorded result stands
+// overturn: a corrected result replaces it
+// replay: the result is cleared and the match is played again
+// forfeit: one team loses by forfeit
+export const PROTEST_RULINGS = ['confirm', 'overturn', 'replay', 'forfeit'];
+
+export const EVIDENCE_TYPES = ['screenshot', 'replay', 'video', 'other'];
+
+// A captain's formal challenge of a match. While it is pending, the matches
+// the protested one feeds cannot be played; see services/protestService.js.
+const protestSchema = new mongoose.Schema(
+  {
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true,
+    },
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: true,
+    },
+    // Copied from the match so bracket checks need no extra lookup
+    bracketMatchId: String,
+    round: Number,
+
+    filedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: true,
+    },
+
+    // Details
+    category: {
+      type: String,
+      enum: PROTEST_CATEGORIES,
+      required: [true, 'Protest category is required'],
+    },
+    description: {
+      type: String,
+      required: [true, 'Describe what happened'],
+      trim: true,
+      minlength: [20, 'Description must be at least 20 characters'],
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+    // Links to uploaded screenshots, replay files or recordings
+    evidence: {
+      type: [
+        {
+          url: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [/^https?:\/\/\S+$/, 'Evidence must be an http(s) link'],
+          },
+          type: {
+            type: String,
+            enum: EVIDENCE_TYPES,
+            default: 'other',
+          },
+          description: { type: String, trim: true, maxlength: 300 },
+          addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          addedAt: { type: Date, default: Date.now },
+        },
+      ],
+      validate: {
+        validator: evidence => evidence.length <= 10,
+        message: 'A protest can have at most 10 pieces of evidence',
+      },
+    },
+
+    // Ruling
+    status: {
+      type: String,
+      enum: ['pending', 'resolved', 'withdrawn'],
+      default: 'pending',
+    },
+    ruling: {
+      decision: { type: String, enum: PROTEST_RULINGS },
+      // Overturned result or the team that forfeits
+      winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+      isDraw: Boolean,
+      forfeitedTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+      reason: { type: String, trim: true, maxlength: 1000 },
+      ruledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      ruledAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+protestSchema.virtual('isPending').get(function () {
+  return this.status === 'pending';
+});
+
+// Static Methods
+protestSchema.statics.findPendingFor = function (
+  tournamentId,
+  bracketMatchIds
+) {
+  return this.findOne({
+    tournament: tournamentId,
+    bracketMatchId: { $in: bracketMatchIds },
+    status: 'pending',
+  });
+};
+
+// Indexes
+protestSchema.index({ tournament: 1, status: 1, createdAt: 1 });
+protestSchema.index({ match: 1, status: 1 });
+// One open protest per team and match
+protestSchema.index(
+  { match: 1, team: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const Protest = mongoose.model('Protest', protestSchema);
+
+export default Protest;
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_RATING = 1500;
+
+// Below this many rated matches a rating is still settling
+export const PROVISIONAL_MATCHES = 10;
+
+// Elo rating of one team or player in one game. `game` is the normalized
+// Tournament.game (see utils/games.js).
+const ratingSchema = new mongoose.Schema(
+  {
+    subjectType: {
+      type: String,
+      enum: ['Team', 'User'],
+      required: true,
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'subjectType',
+      required: true,
+    },
+
+    game: {
+      type: String,
+      required: true,
+    },
+    gameName: String,
+
+    rating: {
+      type: Number,
+      default: DEFAULT_RATING,
+    },
+
+    // Record
+    matchesPlayed: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+
+    // One entry per rated match, oldest first
+    history: [
+      {
+        match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' },
+        tournament: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament' },
+        opponentRating: Number,
+        score: Number, // 1 win, 0.5 draw, 0 loss
+        before: Number,
+        after: Number,
+        change: Number,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+ratingSchema.virtual('isProvisional').get(function () {
+  return this.matchesPlayed < PROVISIONAL_MATCHES;
+});
+
+// Methods
+ratingSchema.methods.applyResult = function (
+  change,
+  { match, tournament, opponentRating, score }
+) {
+  const before = this.rating;
+  this.rating = Math.round((before + change) * 10) / 10;
+  const applied = Math.round((this.rating - before) * 10) / 10;
+  this.matchesPlayed += 1;
+  if (score === 1) this.wins += 1;
+  else if (score === 0) this.losses += 1;
+  else this.draws += 1;
+
+  this.history.push({
+    match,
+    tournament,
+    opponentRating,
+    score,
+    before,
+    after: this.rating,
+    change: applied,
+    at: new Date(),
+  });
+};
+
+// Take a rated match back out, e.g. after its result was overturned.
+// Returns false when the match was never rated.
+ratingSchema.methods.revertResult = function (matchId) {
+  const entry = this.history.find(h => h.match?.equals(matchId));
+  if (!entry) return false;
+
+  this.rating = Math.round((this.rating - entry.change) * 10) / 10;
+  this.matchesPlayed -= 1;
+  if (entry.score === 1) this.wins -= 1;
+  else if (entry.score === 0) this.losses -= 1;
+  else this.draws -= 1;
+
+  this.history.pull(entry._id);
+  return true;
+};
+
+// Static Methods
+ratingSchema.statics.findFor = function (subjectType, subjectIds, game) {
+  return this.find({ subjectType, subject: { $in: subjectIds }, game });
+};
+
+// Indexes
+ratingSchema.index({ subjectType: 1, subject: 1, game: 1 }, { unique: true });
+ratingSchema.index({ game: 1, subjectType: 1, rating: -1 });
+ratingSchema.index({ 'history.match': 1 });
+
+const Rating = mongoose.model('Rating', ratingSchema);
+
+export default Rating;
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+
+const LISTING_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Recruitment board entry. Team listings are posted by captains looking for
+// players; player listings are free agents advertising themselves.
+const recruitmentListingSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['team', 'player'],
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: [
+        function () {
+          return this.type === 'team';
+        },
+        'Team listings must name a team',
+      ],
+    },
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+    },
+
+    // Listing Details
+    // Normalized key for searching; gameName keeps the display spelling
+    game: {
+      type: String,
+      required: [true, 'Game is required'],
+    },
+    gameName: String,
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+      default: '',
+    },
+    // Roles the team needs, or the roles a free agent plays
+    roles: [{ type: String, trim: true, lowercase: true }],
+    playersNeeded: {
+      type: Number,
+      min: [1, 'At least one player must be needed'],
+      max: [10, 'Cannot recruit more than 10 players'],
+      default: 1,
+    },
+
+    // Search filters. Team listings may leave these empty to accept anyone;
+    // player listings carry the free agent's own department and year.
+    departments: [
+      {
+        type: String,
+        enum: ['CSE', 'ECE', 'ME', 'CE', 'EEE', 'IT', 'Other'],
+      },
+    ],
+    yearsOfStudy: [{ type: Number, min: 1, max: 5 }],
+
+    // Players applying to a team listing
+    applications: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        message: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Message cannot exceed 500 characters'],
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'accepted', 'declined', 'withdrawn'],
+          default: 'pending',
+        },
+        appliedAt: { type: Date, default: Date.now },
+        respondedAt: Date,
+        respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      },
+    ],
+
+    // Status
+    status: {
+      type: String,
+      enum: ['open', 'filled', 'closed'],
+      default: 'open',
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + LISTING_TTL),
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+recruitmentListingSchema.virtual('isOpen').get(function () {
+  return this.status === 'open' && this.expiresAt > new Date();
+});
+
+// Places on a team listing not yet taken by accepted applicants
+recruitmentListingSchema.virtual('spotsLeft').get(function () {
+  const accepted = this.applications.filter(a => a.status === 'accepted');
+  return Math.max(this.playersNeeded - accepted.length, 0);
+});
+
+recruitmentListingSchema.virtual('pendingApplications').get(function () {
+  return this.applications.filter(a => a.status === 'pending');
+});
+
+// Methods
+recruitmentListingSchema.methods.getPendingApplication = function (userId) {
+  return this.applications.find(
+    a => a.user.toString() === userId.toString() && a.status === 'pending'
+  );
+};
+
+recruitmentListingSchema.methods.respond = function (
+  application,
+  status,
+  userId
+) {
+  application.status = status;
+  application.respondedAt = new Date();
+  application.respondedBy = userId;
+
+  if (status === 'accepted' && this.spotsLeft === 0) {
+    this.status = 'filled';
+  }
+};
+
+// Indexes
+recruitmentListingSchema.index({ status: 1, type: 1, game: 1, createdAt: -1 });
+recruitmentListingSchema.index({ departments: 1 });
+recruitmentListingSchema.index({ author: 1 });
+recruitmentListingSchema.index({ team: 1 });
+recruitmentListingSchema.index({ 'applications.user': 1 });
+
+const RecruitmentListing = mongoose.model(
+  'RecruitmentListing',
+  recruitmentListingSchema
+);
+
+export default RecruitmentListing;
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+// Season points for 1st, 2nd, 3rd... when the organizer sets none
+export const DEFAULT_POINTS_TABLE = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+// A season grouping several tournaments, e.g. a semester-long
+// inter-department league. Teams (or departments) earn season points for
+// their final position in each completed member tournament; see
+// services/seriesService.js.
+const seriesSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Series name is required'],
+      trim: true,
+      maxlength: [100, 'Series name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+      default: '',
+    },
+    // Label of the season, e.g. "Spring 2026"
+    season: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Season cannot exceed 50 characters'],
+      default: '',
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    department: {
+      type: String,
+      enum: ['CSE', 'ECE', 'ME', 'CE', 'EEE', 'IT', 'Other', 'All'],
+      default: 'All',
+    },
+
+    // Member tournaments in the order they are played
+    tournaments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tournament' }],
+
+    // Scoring
+    // Points by final position; pointsTable[0] is for the winner
+    pointsTable: {
+      type: [{ type: Number, min: [0, 'Points cannot be negative'] }],
+      default: () => [...DEFAULT_POINTS_TABLE],
+      validate: {
+        validator: table => table.length >= 1 && table.length <= 64,
+        message: 'Points table needs between 1 and 64 entries',
+      },
+    },
+    // Points for finishing below the points table
+    participationPoints: {
+      type: Number,
+      min: [0, 'Points cannot be negative'],
+      default: 1,
+    },
+    // Rank teams, or departments by their best team in each tournament
+    standingsBy: {
+      type: String,
+      enum: ['team', 'department'],
+      default: 'team',
+    },
+
+    // Set when the organizer closes the season
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+seriesSchema.virtual('isCompleted').get(function () {
+  return !!this.completedAt;
+});
+
+// Methods
+seriesSchema.methods.canManage = function (user) {
+  return (
+    user.primaryRole === 'admin' ||
+    this.organizer.toString() === user._id.toString()
+  );
+};
+
+seriesSchema.methods.hasTournament = function (tournamentId) {
+  return this.tournaments.some(t => t.toString() === tournamentId.toString());
+};
+
+seriesSchema.methods.pointsFor = function (position) {
+  return this.pointsTable[position - 1] ?? this.participationPoints;
+};
+
+// Static Methods
+seriesSchema.statics.findByTournament = function (tournamentId) {
+  return this.findOne({ tournaments: tournamentId });
+};
+
+// Indexes
+seriesSchema.index({ tournaments: 1 });
+seriesSchema.index({ department: 1, createdAt: -1 });
+
+const Series = mongoose.model('Series', seriesSchema);
+
+export default Series;
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// One login per device. The refresh token is `<sessionId>.<secret>`; only
+// the hash of the current secret is stored and it changes on every refresh.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // Device Info
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Revocation
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Methods
+sessionSchema.methods.revoke = function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+// Static Methods
+sessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+sessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
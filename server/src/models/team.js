@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+
+// Roster roles mirror User.teams[].role
+export const TEAM_ROLES = ['captain', 'co_captain', 'player', 'manager'];
+
+const teamSchema = new mongoose.Schema(
+  {
+    // Team Info
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+
+    tag: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{2,6}$/, 'Team tag must be 2-6 letters or digits'],
+    },
+
+    description: {
+      type: String,
+      maxlength: 500,
+      default: '',
+    },
+
+    // Leadership
+    captain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Roster
+    members: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        role: {
+          type: String,
+          enum: TEAM_ROLES,
+          default: 'player',
+        },
+        joinedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    invites: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        role: {
+          type: String,
+          enum: ['co_captain', 'player', 'manager'],
+          default: 'player',
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'accepted', 'declined', 'cancelled'],
+          default: 'pending',
+        },
+        // Recruitment listing the invite was sent from, if any
+        listing: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'RecruitmentListing',
+        },
+        invitedAt: { type: Date, default: Date.now },
+        respondedAt: Date,
+      },
+    ],
+
+    // College Specific
+    department: {
+      type: String,
+      enum: ['CSE', 'ECE', 'ME', 'CE', 'EEE', 'IT', 'Other', 'Mixed'],
+      default: 'Mixed',
+    },
+
+    yearsOfStudy: [{ type: Number, min: 1, max: 5 }],
+
+    // Status
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    disbandedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual Properties
+teamSchema.virtual('coCaptains').get(function () {
+  return this.members.filter(m => m.role === 'co_captain').map(m => m.user);
+});
+
+teamSchema.virtual('memberCount').get(function () {
+  return this.members.length;
+});
+
+// Managers are staff, not players
+teamSchema.virtual('playerCount').get(function () {
+  return this.members.filter(m => m.role !== 'manager').length;
+});
+
+teamSchema.virtual('pendingInvites').get(function () {
+  return this.invites.filter(i => i.status === 'pending');
+});
+
+// Validate roster consistency
+teamSchema.pre('validate', function () {
+  const captains = this.members.filter(m => m.role === 'captain');
+  if (captains.length !== 1) {
+    this.invalidate('members', 'A team must have exactly one captain');
+    return;
+  }
+
+  const captainId = captains[0].user?._id ?? captains[0].user;
+  if (captainId.toString() !== this.captain.toString()) {
+    this.invalidate('captain', 'Captain must match the roster captain');
+  }
+
+  const ids = this.members.map(m => m.user.toString());
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('members', 'A player can only appear once on a roster');
+  }
+});
+
+// Methods
+teamSchema.methods.getMember = function (userId) {
+  return this.members.find(m => m.user.toString() === userId.toString());
+};
+
+teamSchema.methods.isMember = function (userId) {
+  return !!this.getMember(userId);
+};
+
+teamSchema.methods.isCaptain = function (userId) {
+  return this.captain.toString() === userId.toString();
+};
+
+// Captains and co-captains can manage the roster
+teamSchema.methods.canManage = function (userId) {
+  const member = this.getMember(userId);
+  return !!member && ['captain', 'co_captain'].includes(member.role);
+};
+
+teamSchema.methods.getPendingInvite = function (userId) {
+  return this.invites.find(
+    i => i.user.toString() === userId.toString() && i.status === 'pending'
+  );
+};
+
+// Recompute department/year metadata from populated roster users
+teamSchema.methods.refreshMetadata = function (users) {
+  const departments = [...new Set(users.map(u => u.department))];
+  this.department = departments.length === 1 ? departments[0] : 'Mixed';
+  this.yearsOfStudy = [...new Set(users.map(u => u.yearOfStudy))].sort();
+};
+
+// Static Methods
+teamSchema.statics.findByMember = function (userId) {
+  return this.find({ 'members.user': userId, isActive: true });
+};
+
+teamSchema.statics.findInvitesFor = function (userId) {
+  return this.find({
+    invites: { $elemMatch: { user: userId, status: 'pending' } },
+    isActive: true,
+  });
+};
+
+// Indexes
+teamSchema.index({ 'members.user': 1 });
+teamSchema.index({ captain: 1 });
+teamSchema.index({ name: 1 });
+teamSchema.index({ 'invites.user': 1, 'invites.status': 1 });
+
+const Team = mongoose.model('Team', teamSchema);
+
+export default Team;
@@ -1,4 +1,23 @@
 import mongoose from 'mongoose';
+import eventBus from '../utils/eventBus.js';
+
+// Legal status changes. Anything not listed here is rejected by setStatus.
+export const STATUS_TRANSITIONS = {
+  draft: ['pending_approval', 'registration_open', 'cancelled'],
+  pending_approval: ['registration_open', 'rejected', 'draft', 'cancelled'],
+  rejected: ['pending_approval', 'draft', 'cancelled'],
+  registration_open: ['registration_closed', 'cancelled'],
+  registration_closed: ['ongoing', 'cancelled'],
+  ongoing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+// Anyone can browse and follow tournaments in these statuses
+export const PUBLIC_STATUSES = ['registration_open', 'ongoing', 'completed'];
+
+// Organizers can still edit or delete the tournament in these statuses
+export const EDITABLE_STATUSES = ['draft', 'pending_approval', 'rejected'];
 
 const tournamentSchema = new mongoose.Schema(
   {
@@ -16,6 +35,14 @@ const tournamentSchema = new mongoose.Schema(
       maxlength: 1000,
     },
 
+    // Match rules, code of conduct and other fine print shown to players
+    rules: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Rules cannot exceed 5000 characters'],
+      default: '',
+    },
+
     game: {
       type: String,
       required: true,
@@ -63,13 +90,55 @@ const tournamentSchema = new mongoose.Schema(
       default: 'draft',
     },
 
+    // Every status change, oldest first
+    statusHistory: [
+      {
+        from: String,
+        to: String,
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: String,
+      },
+    ],
+
     approvalStatus: {
       approved: { type: Boolean, default: false },
       approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       approvedAt: Date,
       rejectionReason: String,
+      submittedAt: Date,
+      // Individual sign-offs for the current submission
+      approvals: [
+        {
+          faculty: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          approvedAt: { type: Date, default: Date.now },
+          comment: String,
+        },
+      ],
     },
 
+    // Number of faculty sign-offs needed before registration opens
+    requiredApprovals: {
+      type: Number,
+      min: 1,
+      max: 5,
+      default: 1,
+    },
+
+    // Faculty review thread, kept across submissions
+    reviewComments: [
+      {
+        author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        action: {
+          type: String,
+          enum: ['comment', 'approve', 'reject', 'request_changes'],
+          default: 'comment',
+        },
+        comment: { type: String, maxlength: 1000 },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+
     // Organizer
     organizer: {
       type: mongoose.Schema.Types.ObjectId,
@@ -77,6 +146,18 @@ const tournamentSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Template the tournament was created from, if any
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TournamentTemplate',
+    },
+
+    // Users with the co_organizer role who help manage this tournament
+    coOrganizers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+
+    // Users allowed to confirm match results for this tournament
+    scoreReporters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+
     requiresFacultyApproval: {
       type: Boolean,
       default: true,
@@ -106,6 +187,21 @@ const tournamentSchema = new mongoose.Schema(
       default: 5,
     },
 
+    // Standings tiebreakers for round-robin/swiss, applied in order
+    tiebreakers: [
+      {
+        type: String,
+        enum: [
+          'buchholz',
+          'median_buchholz',
+          'sonneborn_berger',
+          'head_to_head',
+          'game_difference',
+          'games_won',
+        ],
+      },
+    ],
+
     // Participants
     registeredTeams: [
       {
@@ -113,28 +209,122 @@ const tournamentSchema = new mongoose.Schema(
         captain: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         registeredAt: { type: Date, default: Date.now },
         approved: { type: Boolean, default: false },
+        checkedInAt: Date,
+        checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        // Missed the tournament check-in; forfeits every match it is drawn into
+        noShow: { type: Boolean, default: false },
+        // Starting players. The rest of the roster at registration are
+        // substitutes; without a lineup the whole roster plays.
+        lineup: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        substitutes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        // Substitutions made once the tournament was under way
+        swaps: [
+          {
+            playerIn: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            playerOut: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            at: { type: Date, default: Date.now },
+          },
+        ],
       },
     ],
 
+    // Teams waiting for a place once the tournament is full, first in line
+    // first. Promoted automatically until the bracket is generated.
+    waitlist: [
+      {
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        captain: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        lineup: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        substitutes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        joinedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Substitutes a roster may carry and how often they can be swapped in
+    substituteRules: {
+      // Players allowed beyond teamSize
+      maxSubstitutes: { type: Number, min: 0, max: 5, default: 0 },
+      // Swaps each team may make while the tournament is ongoing
+      maxSwaps: { type: Number, min: 0, max: 20, default: 3 },
+    },
+
     soloPlayers: [
       {
         player: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         registeredAt: { type: Date, default: Date.now },
         matched: { type: Boolean, default: false },
+        // In-game roles the player would like to fill, e.g. "support"
+        preferredRoles: [{ type: String, trim: true, lowercase: true }],
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
       },
     ],
 
+    // Proposed solo teams awaiting the organizer's commit; see
+    // services/matchmakingService.js
+    matchmakingPreview: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
     // Bracket
     bracketGenerated: {
       type: Boolean,
       default: false,
     },
 
+    // Generate the bracket when registration closes instead of waiting
+    // for the organizer
+    autoGenerateBracket: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Set once registration has closed and the bracket is due. The
+    // scheduler claims a tournament through this field so it only
+    // generates (or prompts the organizer) once.
+    bracketRequestedAt: Date,
+
     bracket: {
       type: mongoose.Schema.Types.Mixed,
       default: null,
     },
 
+    // Auto-scheduler settings; see services/schedulingService.js
+    scheduleSettings: {
+      venues: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Venue' }],
+      // Equipment every assigned venue must have
+      requiredResources: [{ type: String, trim: true, lowercase: true }],
+      matchDuration: { type: Number, min: 10, max: 600, default: 60 },
+      // Minimum break between two matches of the same team
+      restMinutes: { type: Number, min: 0, max: 1440, default: 30 },
+      // Daily play window, 'HH:MM' in server time
+      dayStart: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Day start must be HH:MM'],
+        default: '09:00',
+      },
+      dayEnd: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Day end must be HH:MM'],
+        default: '18:00',
+      },
+    },
+
+    // Attendance check-in; see services/checkInService.js
+    checkIn: {
+      // Teams confirm attendance before the tournament starts
+      tournament: { type: Boolean, default: false },
+      // Teams confirm attendance before each scheduled match
+      matches: { type: Boolean, default: false },
+      // Check-in opens this long before the start or match time...
+      windowMinutes: { type: Number, min: 5, max: 1440, default: 60 },
+      // ...and closes this long after it
+      graceMinutes: { type: Number, min: 0, max: 120, default: 10 },
+      // Set once teams missing the tournament check-in were marked no-show
+      closedAt: Date,
+    },
+
     // For round-robin/swiss
     rounds: [
       {
@@ -150,6 +340,12 @@ const tournamentSchema = new mongoose.Schema(
       declaredAt: Date,
     },
 
+    // Set once final positions are on player profiles
+    statsRecorded: {
+      type: Boolean,
+      default: false,
+    },
+
     // College Specific
     department: {
       type: String,
@@ -204,63 +400,245 @@ tournamentSchema.virtual('isFull').get(function () {
   return this.registeredTeams.length >= this.maxTeams;
 });
 
+tournamentSchema.virtual('isEditable').get(function () {
+  return EDITABLE_STATUSES.includes(this.status);
+});
+
 tournamentSchema.virtual('needsApproval').get(function () {
   return this.status === 'pending_approval' && this.requiresFacultyApproval;
 });
 
+tournamentSchema.virtual('isPublic').get(function () {
+  return PUBLIC_STATUSES.includes(this.status);
+});
+
+// Announce status changes once they are saved
+tournamentSchema.pre('save', function () {
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+});
+
+tournamentSchema.post('save', function (tournament) {
+  if (tournament.$locals.statusChanged) {
+    const { from, to, reason } = tournament.statusHistory.at(-1);
+    eventBus.emit('tournament.status_changed', {
+      tournament,
+      from,
+      to,
+      reason,
+    });
+  }
+});
+
+// Accepts a User document or the JWT payload
+const userIdOf = user => (user._id ?? user.userId).toString();
+
 // Methods
 tournamentSchema.methods.canUserManage = function (user) {
-  // Organizer, faculty approver, or admin
-  const isOrganizer = this.organizer.toString() === user.userId.toString();
+  // Organizer, co-organizer, faculty approver, or admin
+  const userId = userIdOf(user);
+  const isOrganizer = this.organizer.toString() === userId;
+  const isCoOrganizer =
+    (user.secondaryRoles || []).includes('co_organizer') &&
+    this.coOrganizers.some(c => c.toString() === userId);
   const isFacultyApprover =
     this.approvalStatus.approvedBy &&
-    this.approvalStatus.approvedBy.toString() === user.userId.toString();
+    this.approvalStatus.approvedBy.toString() === userId;
+
+  return (
+    isOrganizer ||
+    isCoOrganizer ||
+    isFacultyApprover ||
+    user.primaryRole === 'admin'
+  );
+};
 
-  return isOrganizer || isFacultyApprover || user.primaryRole === 'admin';
+// Tournaments for every department go to any faculty member; the rest are
+// routed to faculty of the same department
+const approvalDepartmentsFor = faculty =>
+  faculty.facultyDepartment
+    ? [faculty.facultyDepartment, 'All', 'Other']
+    : ['All', 'Other'];
+
+// Faculty this pending tournament is routed to, other than its organizer
+tournamentSchema.methods.canReview = function (user) {
+  return (
+    user.primaryRole === 'faculty' &&
+    this.status === 'pending_approval' &&
+    this.organizer.toString() !== userIdOf(user) &&
+    approvalDepartmentsFor(user).includes(this.department)
+  );
+};
+
+// Active faculty members this tournament is routed to
+tournamentSchema.methods.findApprovers = function () {
+  const query = {
+    primaryRole: 'faculty',
+    isActive: true,
+    _id: { $ne: this.organizer },
+  };
+  if (!['All', 'Other'].includes(this.department)) {
+    query.facultyDepartment = this.department;
+  }
+  return mongoose.model('User').find(query);
+};
+
+tournamentSchema.methods.hasApproved = function (user) {
+  return this.approvalStatus.approvals.some(
+    a => a.faculty.toString() === userIdOf(user)
+  );
 };
 
 tournamentSchema.methods.canApprove = function (user) {
-  // Only faculty can approve tournaments
-  return user.primaryRole === 'faculty' && this.status === 'pending_approval';
+  // Each routed faculty member signs off once
+  return this.canReview(user) && !this.hasApproved(user);
+};
+
+// Managers, and faculty the tournament's department routes to, rule on
+// match protests
+tournamentSchema.methods.canRuleOnProtests = function (user) {
+  return (
+    this.canUserManage(user) ||
+    (user.primaryRole === 'faculty' &&
+      approvalDepartmentsFor(user).includes(this.department))
+  );
+};
+
+// Managers and assigned score reporters can confirm results directly
+tournamentSchema.methods.canReportScores = function (user) {
+  const isScoreReporter =
+    (user.secondaryRoles || []).includes('score_reporter') &&
+    this.scoreReporters.some(r => r.toString() === userIdOf(user));
+
+  return isScoreReporter || this.canUserManage(user);
 };
 
-tournamentSchema.methods.submitForApproval = async function () {
-  if (this.requiresFacultyApproval && this.status === 'draft') {
-    this.status = 'pending_approval';
-    await this.save();
-    // TODO: Notify faculty
+tournamentSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Change status and record who did it and why
+tournamentSchema.methods.setStatus = function (status, { by, reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move tournament from ${this.status} to ${status}`);
   }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    at: new Date(),
+    by,
+    reason,
+  });
+  this.status = status;
 };
 
-tournamentSchema.methods.approveTournament = async function (facultyUserId) {
-  if (this.status === 'pending_approval') {
-    this.status = 'registration_open';
-    this.approvalStatus = {
-      approved: true,
-      approvedBy: facultyUserId,
-      approvedAt: new Date(),
-    };
-    await this.save();
+// Drafts and rejected tournaments go to faculty, or straight to
+// registration when no approval is required
+tournamentSchema.methods.submitForApproval = function (userId) {
+  if (!this.requiresFacultyApproval) {
+    // Rejected tournaments cannot open directly; they return to draft first
+    if (this.status === 'rejected') {
+      this.setStatus('draft', {
+        by: userId,
+        reason: 'Faculty approval no longer required',
+      });
+    }
+    this.setStatus('registration_open', {
+      by: userId,
+      reason: 'Published without faculty approval',
+    });
+    return;
   }
+
+  this.setStatus('pending_approval', {
+    by: userId,
+    reason: this.status === 'rejected' ? 'Resubmitted for approval' : undefined,
+  });
+  // Every submission starts a fresh round of sign-offs
+  this.approvalStatus = { submittedAt: new Date(), approvals: [] };
 };
 
-tournamentSchema.methods.rejectTournament = async function (
-  facultyUserId,
-  reason
-) {
-  if (this.status === 'pending_approval') {
-    this.status = 'rejected';
-    this.approvalStatus = {
-      approved: false,
-      approvedBy: facultyUserId,
-      approvedAt: new Date(),
-      rejectionReason: reason,
-    };
-    await this.save();
+// Record one faculty sign-off. Returns true once enough faculty approved
+// and registration opened.
+tournamentSchema.methods.approveTournament = function (facultyUserId, comment) {
+  this.approvalStatus.approvals.push({
+    faculty: facultyUserId,
+    approvedAt: new Date(),
+    comment,
+  });
+  this.reviewComments.push({
+    author: facultyUserId,
+    action: 'approve',
+    comment,
+  });
+
+  if (this.approvalStatus.approvals.length < this.requiredApprovals) {
+    return false;
   }
+
+  this.setStatus('registration_open', {
+    by: facultyUserId,
+    reason: 'Approved by faculty',
+  });
+  this.approvalStatus.approved = true;
+  this.approvalStatus.approvedBy = facultyUserId;
+  this.approvalStatus.approvedAt = new Date();
+  return true;
+};
+
+tournamentSchema.methods.rejectTournament = function (facultyUserId, reason) {
+  this.setStatus('rejected', { by: facultyUserId, reason });
+  this.reviewComments.push({
+    author: facultyUserId,
+    action: 'reject',
+    comment: reason,
+  });
+  this.approvalStatus.approved = false;
+  this.approvalStatus.approvedBy = facultyUserId;
+  this.approvalStatus.approvedAt = new Date();
+  this.approvalStatus.rejectionReason = reason;
+};
+
+// Send the tournament back to draft with the faculty's feedback
+tournamentSchema.methods.requestChanges = function (facultyUserId, feedback) {
+  this.setStatus('draft', { by: facultyUserId, reason: feedback });
+  this.reviewComments.push({
+    author: facultyUserId,
+    action: 'request_changes',
+    comment: feedback,
+  });
+  this.approvalStatus.approvals = [];
+};
+
+tournamentSchema.methods.addReviewComment = function (userId, comment) {
+  this.reviewComments.push({ author: userId, action: 'comment', comment });
+};
+
+// Hours since the current submission, measured against an SLA
+tournamentSchema.methods.getApprovalAge = function (
+  slaHours,
+  now = new Date()
+) {
+  const submittedAt = this.approvalStatus.submittedAt || this.updatedAt;
+  const hours = Math.floor((now - submittedAt) / (60 * 60 * 1000));
+
+  let status = 'on_track';
+  if (hours >= slaHours) status = 'overdue';
+  else if (hours >= slaHours * 0.75) status = 'due_soon';
+
+  return { submittedAt, hours, slaHours, status };
+};
+
+tournamentSchema.methods.cancel = function (userId, reason) {
+  this.setStatus('cancelled', { by: userId, reason });
 };
 
-tournamentSchema.methods.registerTeam = function (teamId, captainId) {
+// `roster` is { lineup, substitutes } as checked by the controller
+tournamentSchema.methods.registerTeam = function (
+  teamId,
+  captainId,
+  roster = {}
+) {
   if (this.isFull || !this.canRegister) {
     throw new Error('Cannot register team');
   }
@@ -270,10 +648,104 @@ tournamentSchema.methods.registerTeam = function (teamId, captainId) {
     captain: captainId,
     registeredAt: new Date(),
     approved: this.registrationType !== 'team',
+    lineup: roster.lineup,
+    substitutes: roster.substitutes,
+  });
+};
+
+// Queue a team for a full tournament. Returns its 1-based position.
+tournamentSchema.methods.joinWaitlist = function (
+  teamId,
+  captainId,
+  roster = {}
+) {
+  if (!this.isFull || !this.canRegister) {
+    throw new Error('Cannot join the waitlist');
+  }
+
+  this.waitlist.push({
+    team: teamId,
+    captain: captainId,
+    lineup: roster.lineup,
+    substitutes: roster.substitutes,
+    joinedAt: new Date(),
   });
+  return this.waitlist.length;
 };
 
-tournamentSchema.methods.registerSolo = function (userId) {
+// Index of the team in the waitlist, or -1
+tournamentSchema.methods.getWaitlistIndex = function (teamId) {
+  return this.waitlist.findIndex(
+    w => (w.team._id ?? w.team).toString() === teamId.toString()
+  );
+};
+
+// Remove the team from the waitlist. Returns the index it held.
+tournamentSchema.methods.leaveWaitlist = function (teamId) {
+  const index = this.getWaitlistIndex(teamId);
+  if (index !== -1) this.waitlist.splice(index, 1);
+  return index;
+};
+
+// Move waitlisted teams into open places, first in line first. Only until
+// the bracket is generated; returns the new registrations.
+tournamentSchema.methods.promoteFromWaitlist = function () {
+  const promoted = [];
+
+  while (!this.bracketGenerated && !this.isFull && this.waitlist.length > 0) {
+    const entry = this.waitlist.shift();
+    this.registeredTeams.push({
+      team: entry.team,
+      captain: entry.captain,
+      registeredAt: new Date(),
+      approved: this.registrationType !== 'team',
+      lineup: entry.lineup,
+      substitutes: entry.substitutes,
+    });
+    promoted.push(this.registeredTeams.at(-1));
+  }
+
+  return promoted;
+};
+
+// Swaps the team has left while the tournament is ongoing
+tournamentSchema.methods.getSwapsLeft = function (registration) {
+  return Math.max(this.substituteRules.maxSwaps - registration.swaps.length, 0);
+};
+
+// Bring a substitute into the lineup in place of a starter. Swaps are only
+// counted once the tournament is ongoing; before that the lineup is free
+// to change.
+tournamentSchema.methods.swapPlayers = function (
+  registration,
+  playerIn,
+  playerOut,
+  userId
+) {
+  const same = a => b => b.toString() === a.toString();
+
+  registration.lineup.splice(
+    registration.lineup.findIndex(same(playerOut)),
+    1,
+    playerIn
+  );
+  registration.substitutes.splice(
+    registration.substitutes.findIndex(same(playerIn)),
+    1,
+    playerOut
+  );
+
+  if (this.status === 'ongoing') {
+    registration.swaps.push({
+      playerIn,
+      playerOut,
+      by: userId,
+      at: new Date(),
+    });
+  }
+};
+
+tournamentSchema.methods.registerSolo = function (userId, preferredRoles = []) {
   if (!this.canRegister || this.registrationType === 'team') {
     throw new Error('Solo registration not allowed');
   }
@@ -282,24 +754,148 @@ tournamentSchema.methods.registerSolo = function (userId) {
     player: userId,
     registeredAt: new Date(),
     matched: false,
+    preferredRoles,
   });
 };
 
+tournamentSchema.methods.withdrawTeam = function (teamId) {
+  if (this.bracketGenerated) {
+    throw new Error('Cannot withdraw after the bracket is generated');
+  }
+
+  this.registeredTeams = this.registeredTeams.filter(
+    r => r.team.toString() !== teamId.toString()
+  );
+};
+
+tournamentSchema.methods.withdrawSolo = function (userId) {
+  if (this.bracketGenerated) {
+    throw new Error('Cannot withdraw after the bracket is generated');
+  }
+
+  this.soloPlayers = this.soloPlayers.filter(
+    s => s.player.toString() !== userId.toString()
+  );
+};
+
+tournamentSchema.methods.findTeamRegistration = function (teamId) {
+  return this.registeredTeams.find(
+    r => (r.team._id ?? r.team).toString() === teamId.toString()
+  );
+};
+
+tournamentSchema.methods.findSoloRegistration = function (userId) {
+  return this.soloPlayers.find(
+    s => (s.player._id ?? s.player).toString() === userId.toString()
+  );
+};
+
+// Check department and year restrictions for a single player
+tournamentSchema.methods.getEligibilityError = function (user) {
+  if (this.department !== 'All' && user.department !== this.department) {
+    return `${user.fullName} is not in the ${this.department} department`;
+  }
+
+  if (
+    this.yearRestriction.enabled &&
+    !this.yearRestriction.allowedYears.includes(user.yearOfStudy)
+  ) {
+    return `${user.fullName} is not in an allowed year of study`;
+  }
+
+  return null;
+};
+
 // Static Methods
-tournamentSchema.statics.findNeedApproval = function (facultyUserId) {
+// Pending tournaments routed to this faculty member that still need their
+// sign-off
+tournamentSchema.statics.findNeedApproval = function (faculty) {
   return this.find({
     status: 'pending_approval',
     requiresFacultyApproval: true,
+    department: { $in: approvalDepartmentsFor(faculty) },
+    organizer: { $ne: faculty._id },
+    'approvalStatus.approvals.faculty': { $ne: faculty._id },
   });
 };
 
+// Fields an organizer sets when creating a tournament or importing one
+export const DEFINITION_FIELDS = [
+  'name',
+  'description',
+  'rules',
+  'game',
+  'tournamentType',
+  'registrationEnd',
+  'startDate',
+  'registrationType',
+  'maxTeams',
+  'teamSize',
+  'department',
+  'yearRestriction',
+  'requiresFacultyApproval',
+  'tiebreakers',
+  'autoGenerateBracket',
+  'requiredApprovals',
+];
+
+// Build an unsaved tournament from a definition. Without faculty approval
+// registration opens right away.
+tournamentSchema.statics.fromDefinition = function (definition, organizerId) {
+  const {
+    name,
+    description,
+    rules,
+    game,
+    tournamentType,
+    registrationEnd,
+    startDate,
+    registrationType,
+    maxTeams,
+    teamSize,
+    department,
+    yearRestriction,
+    requiresFacultyApproval,
+    tiebreakers,
+    autoGenerateBracket,
+    requiredApprovals,
+  } = definition;
+
+  const tournament = new this({
+    name,
+    description,
+    rules,
+    game,
+    tournamentType,
+    registrationEnd: new Date(registrationEnd),
+    startDate: new Date(startDate),
+    registrationType,
+    maxTeams: maxTeams || 16,
+    teamSize: teamSize || 5,
+    department: department || 'All',
+    yearRestriction,
+    tiebreakers,
+    autoGenerateBracket,
+    requiredApprovals,
+    requiresFacultyApproval: requiresFacultyApproval !== false,
+    organizer: organizerId,
+  });
+
+  // Nothing to approve, so registration opens right away
+  if (!tournament.requiresFacultyApproval) {
+    tournament.submitForApproval(organizerId);
+  }
+
+  return tournament;
+};
+
 tournamentSchema.statics.findByOrganizer = function (organizerId) {
   return this.find({ organizer: organizerId });
 };
 
 tournamentSchema.statics.findPublic = function () {
   return this.find({
-    status: { $in: ['registration_open', 'ongoing', 'completed'] },
+    status: { $in: PUBLIC_STATUSES },
   });
 };
 
@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+
+// Tournament fields a template carries. Dates, name and description are
+// given each time a tournament is created from it.
+export const TEMPLATE_FIELDS = [
+  'game',
+  'tournamentType',
+  'registrationType',
+  'teamSize',
+  'maxTeams',
+  'department',
+  'yearRestriction',
+  'rules',
+  'tiebreakers',
+  'requiresFacultyApproval',
+];
+
+// A saved tournament configuration, e.g. the semester's Valorant cup,
+// reused to create the next edition
+const tournamentTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: [100, 'Template name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+      default: '',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Shared templates can be used by every organizer
+    shared: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Tournament Settings
+    game: {
+      type: String,
+      required: [true, 'Game is required'],
+      trim: true,
+    },
+    tournamentType: {
+      type: String,
+      enum: [
+        'single-elimination',
+        'double-elimination',
+        'round-robin',
+        'swiss',
+      ],
+      default: 'single-elimination',
+    },
+    registrationType: {
+      type: String,
+      enum: ['team', 'solo', 'hybrid'],
+      default: 'team',
+    },
+    teamSize: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 5,
+    },
+    maxTeams: {
+      type: Number,
+      min: 2,
+      max: 64,
+      default: 16,
+    },
+    department: {
+      type: String,
+      enum: ['CSE', 'ECE', 'ME', 'CE', 'EEE', 'IT', 'Other', 'All'],
+      default: 'All',
+    },
+    yearRestriction: {
+      enabled: { type: Boolean, default: false },
+      allowedYears: [{ type: Number, min: 1, max: 5 }],
+    },
+    rules: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Rules cannot exceed 5000 characters'],
+      default: '',
+    },
+    tiebreakers: [
+      {
+        type: String,
+        enum: [
+          'buchholz',
+          'median_buchholz',
+          'sonneborn_berger',
+          'head_to_head',
+          'game_difference',
+          'games_won',
+        ],
+      },
+    ],
+    requiresFacultyApproval: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Usage
+    timesUsed: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Methods
+tournamentTemplateSchema.methods.canEdit = function (user) {
+  return (
+    user.primaryRole === 'admin' ||
+    this.createdBy.toString() === user._id.toString()
+  );
+};
+
+tournamentTemplateSchema.methods.canUse = function (user) {
+  return this.shared || this.canEdit(user);
+};
+
+// Template settings as a tournament definition for Tournament.fromDefinition
+tournamentTemplateSchema.methods.toDefinition = function () {
+  const definition = this.toObject({ virtuals: false });
+  return Object.fromEntries(
+    TEMPLATE_FIELDS.map(field => [field, definition[field]])
+  );
+};
+
+// Static Methods
+tournamentTemplateSchema.statics.findUsableBy = function (user) {
+  return this.find({ $or: [{ createdBy: user._id }, { shared: true }] });
+};
+
+// Indexes
+tournamentTemplateSchema.index({ createdBy: 1, name: 1 });
+tournamentTemplateSchema.index({ shared: 1 });
+
+const TournamentTemplate = mongoose.model(
+  'TournamentTemplate',
+  tournamentTemplateSchema
+);
+
+export default TournamentTemplate;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { createOneTimeToken, hashToken } from '../utils/tokens.js';
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
 
 const userSchema = new mongoose.Schema(
   {
@@ -117,10 +121,23 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Bumped whenever roles or account state change; older tokens are refused
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
     isProfileComplete: {
       type: Boolean,
       default: false,
     },
+
+    // Notification channels the user receives, and types they muted
+    notificationPreferences: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: true },
+      mutedTypes: [String],
+    },
+
     // Activity & Statistics
     lastLogin: Date,
     loginCount: {
@@ -149,6 +166,18 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Per-game breakdown, keyed by the normalized Tournament.game
+    gameStats: [
+      {
+        game: String,
+        gameName: String,
+        matchesPlayed: { type: Number, default: 0 },
+        matchesWon: { type: Number, default: 0 },
+        matchesDrawn: { type: Number, default: 0 },
+        tournamentsPlayed: { type: Number, default: 0 },
+        tournamentsWon: { type: Number, default: 0 },
+      },
+    ],
 
     // Admin Management
     notes: [
@@ -229,6 +258,22 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Issue a new email verification token; any previous one stops working
+userSchema.methods.createEmailVerificationToken = function () {
+  const { token, hash } = createOneTimeToken();
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Issue a new password reset token; any previous one stops working
+userSchema.methods.createPasswordResetToken = function () {
+  const { token, hash } = createOneTimeToken();
+  this.passwordResetToken = hash;
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
 // Method to check if user has a specific role
 userSchema.methods.hasRole = function (role) {
   return this.primaryRole === role || this.secondaryRoles.includes(role);
@@ -245,7 +290,9 @@ userSchema.methods.hasAnyRole = function (roles) {
 // Method to check if user is team captain of a specific team
 userSchema.methods.isCaptainOfTeam = function (teamId) {
   return this.teams.some(
-    t => t.team.toString() === teamId.toString() && t.role === 'captain'
+    t =>
+      (t.team._id ?? t.team).toString() === teamId.toString() &&
+      t.role === 'captain'
   );
 };
 
@@ -272,12 +319,59 @@ userSchema.methods.getDisplayRole = function () {
   return display;
 };
 
+// Grant a secondary role; existing tokens are invalidated only on change.
+// Pass revokeTokens: false for roles whose rights are checked elsewhere, so
+// the user's next request is not refused as outdated.
+userSchema.statics.addSecondaryRole = function (
+  userId,
+  role,
+  { revokeTokens = true } = {}
+) {
+  return this.updateOne(
+    { _id: userId, secondaryRoles: { $ne: role } },
+    {
+      $push: { secondaryRoles: role },
+      ...(revokeTokens && { $inc: { tokenVersion: 1 } }),
+    }
+  );
+};
+
+userSchema.statics.removeSecondaryRole = function (
+  userId,
+  role,
+  { revokeTokens = true } = {}
+) {
+  return this.updateOne(
+    { _id: userId, secondaryRoles: role },
+    {
+      $pull: { secondaryRoles: role },
+      ...(revokeTokens && { $inc: { tokenVersion: 1 } }),
+    }
+  );
+};
+
+// Find the user holding an unexpired one-time token
+userSchema.statics.findByVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
+};
+
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+};
+
 // Indexes for faster queries
 // userSchema.index({ email: 1 });
 // userSchema.index({ collegeId: 1 });
 userSchema.index({ primaryRole: 1 });
 userSchema.index({ department: 1, yearOfStudy: 1 });
 userSchema.index({ 'teams.team': 1 });
+userSchema.index({ 'gameStats.game': 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
 
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+export const VENUE_TYPES = ['lab', 'court', 'field', 'hall', 'online', 'other'];
+
+// A bookable campus space (computer lab, court, hall...). Matches are
+// assigned to venues by the scheduler; see services/schedulingService.js.
+const venueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Venue name is required'],
+      trim: true,
+      maxlength: [100, 'Venue name cannot exceed 100 characters'],
+    },
+    type: {
+      type: String,
+      enum: VENUE_TYPES,
+      default: 'other',
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Location cannot exceed 200 characters'],
+      default: '',
+    },
+    capacity: {
+      type: Number,
+      min: [1, 'Capacity must be at least 1'],
+    },
+
+    // Equipment available here, e.g. "pc", "projector", "nets"
+    resources: [{ type: String, trim: true, lowercase: true }],
+    // Normalized games this venue can host; empty means any game
+    games: [{ type: String, trim: true, lowercase: true }],
+
+    // Periods the venue cannot be booked
+    blackouts: [
+      {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        reason: { type: String, trim: true, maxlength: 200 },
+      },
+    ],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+venueSchema.pre('validate', function () {
+  this.blackouts.forEach(blackout => {
+    if (blackout.end <= blackout.start) {
+      this.invalidate('blackouts', 'Blackout must end after it starts');
+    }
+  });
+});
+
+// Methods
+venueSchema.methods.supportsGame = function (game) {
+  return this.games.length === 0 || this.games.includes(game);
+};
+
+venueSchema.methods.hasResources = function (resources = []) {
+  return resources.every(resource => this.resources.includes(resource));
+};
+
+// Indexes
+venueSchema.index({ name: 1 });
+venueSchema.index({ isActive: 1, type: 1 });
+
+const Venue = mongoose.model('Venue', venueSchema);
+
+export default Venue;
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  addNote,
+  deactivateUser,
+  getUser,
+  getUsers,
+  issueWarning,
+  liftRestriction,
+  reactivateUser,
+  restrictUser,
+  updateUserRoles,
+  verifyOrganizer,
+} from '../controllers/adminController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+import { requireAdmin } from '../middlewares/roleMiddleware.js';
+
+const router = express.Router();
+
+// All admin routes require an admin
+router.use(requireAuth, requireAdmin);
+
+router.get('/users', getUsers);
+router.get('/users/:id', getUser);
+router.put('/users/:id/roles', updateUserRoles);
+router.post('/users/:id/verify-organizer', verifyOrganizer);
+router.post('/users/:id/notes', addNote);
+router.post('/users/:id/warnings', issueWarning);
+router.post('/users/:id/restrict', restrictUser);
+router.delete('/users/:id/restrict', liftRestriction);
+router.post('/users/:id/deactivate', deactivateUser);
+router.post('/users/:id/reactivate', reactivateUser);
+
+export default router;
@@ -1,17 +1,33 @@
 import express from 'express';
 import {
+  forgotPassword,
   getCurrentUser,
+  getSessions,
   login,
   logout,
+  logoutAll,
+  refresh,
   register,
+  resendVerification,
+  resetPassword,
+  revokeUserSession,
+  verifyEmail,
 } from '../controllers/authController.js';
 import { requireAuth } from '../middlewares/authMiddleware.js';
 const router = express.Router();
 
 router.post('/register', register);
-router.post('login', login);
+router.post('/login', login);
 router.get('/me', requireAuth, getCurrentUser);
+router.post('/refresh', refresh);
 router.post('/logout', requireAuth, logout);
+router.post('/logout-all', requireAuth, logoutAll);
+router.get('/sessions', requireAuth, getSessions);
+router.delete('/sessions/:sessionId', requireAuth, revokeUserSession);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', requireAuth, resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 router.get('/check', requireAuth, (req, res) => {
   res.status(200).json({
     success: true,
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getLeaderboard } from '../controllers/leaderboardController.js';
+
+const router = express.Router();
+
+// Public Routes
+router.get('/', getLeaderboard);
+
+export default router;
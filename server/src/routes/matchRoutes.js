@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  getMatch,
+  reportResult,
+  scheduleMatch,
+  startMatch,
+} from '../controllers/matchController.js';
+import {
+  checkInToMatch,
+  excuseMatchNoShow,
+} from '../controllers/checkInController.js';
+import {
+  fileProtest,
+  getMatchProtests,
+} from '../controllers/protestController.js';
+import {
+  approveReschedule,
+  cancelReschedule,
+  rejectReschedule,
+  requestReschedule,
+} from '../controllers/scheduleController.js';
+import {
+  requireAuth,
+  requireUnrestricted,
+} from '../middlewares/authMiddleware.js';
+import { loadCurrentUser } from '../middlewares/roleMiddleware.js';
+
+const router = express.Router();
+
+// Public Routes
+router.get('/:id', getMatch);
+
+// Protected Routes
+router.use(requireAuth, requireUnrestricted, loadCurrentUser);
+
+router.post('/:id/report', reportResult);
+router.put('/:id/schedule', scheduleMatch);
+router.post('/:id/start', startMatch);
+
+// Check-in
+router.post('/:id/check-in', checkInToMatch);
+router.post('/:id/check-in/override', excuseMatchNoShow);
+
+// Reschedule proposals
+router.post('/:id/reschedule', requestReschedule);
+router.post('/:id/reschedule/:requestId/approve', approveReschedule);
+router.post('/:id/reschedule/:requestId/reject', rejectReschedule);
+router.delete('/:id/reschedule/:requestId', cancelReschedule);
+
+// Protests
+router.post('/:id/protests', fileProtest);
+router.get('/:id/protests', getMatchProtests);
+
+export default router;
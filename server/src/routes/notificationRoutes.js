@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getNotifications,
+  getPreferences,
+  markAllAsRead,
+  markAsRead,
+  updatePreferences,
+} from '../controllers/notificationController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(requireAuth);
+
+router.get('/', getNotifications);
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+router.put('/read-all', markAllAsRead);
+router.put('/:id/read', markAsRead);
+
+export default router;
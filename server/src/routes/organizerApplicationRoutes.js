@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  applyForOrganizer,
+  approveApplication,
+  getApplications,
+  getMyApplications,
+  rejectApplication,
+} from '../controllers/organizerApplicationController.js';
+import {
+  requireAuth,
+  requireUnrestricted,
+  requireVerifiedEmail,
+} from '../middlewares/authMiddleware.js';
+import { requireRole } from '../middlewares/roleMiddleware.js';
+
+const router = express.Router();
+
+const requireReviewer = requireRole(
+  ['faculty', 'admin'],
+  'Only faculty or admins can review applications'
+);
+
+router.use(requireAuth, requireUnrestricted);
+
+// Applicant Routes
+router.post('/', requireVerifiedEmail, applyForOrganizer);
+router.get('/my', getMyApplications);
+
+// Review Routes
+router.get('/', requireReviewer, getApplications);
+router.post('/:id/approve', requireReviewer, approveApplication);
+router.post('/:id/reject', requireReviewer, rejectApplication);
+
+export default router;
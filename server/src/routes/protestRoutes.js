@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  addEvidence,
+  getProtest,
+  ruleOnProtest,
+  withdrawProtest,
+} from '../controllers/protestController.js';
+import {
+  requireAuth,
+  requireUnrestricted,
+} from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// All protest routes require authentication
+router.use(requireAuth, requireUnrestricted);
+
+router.get('/:id', getProtest);
+router.post('/:id/evidence', addEvidence);
+router.post('/:id/withdraw', withdrawProtest);
+router.post('/:id/rule', ruleOnProtest);
+
+export default router;
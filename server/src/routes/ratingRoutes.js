@@ -0,0 +1,13 @@
+import express from 'express';
+import {
+  getRatingHistory,
+  getRatings,
+} from '../controllers/ratingController.js';
+
+const router = express.Router();
+
+// Public Routes
+router.get('/', getRatings);
+router.get('/:type/:id', getRatingHistory);
+
+export default router;
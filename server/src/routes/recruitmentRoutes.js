@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  acceptApplication,
+  applyToListing,
+  closeListing,
+  createListing,
+  declineApplication,
+  getListing,
+  getMyListings,
+  inviteFromListing,
+  searchListings,
+  updateListing,
+  withdrawApplication,
+} from '../controllers/recruitmentController.js';
+import {
+  requireAuth,
+  requireUnrestricted,
+} from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// All recruitment routes require authentication
+router.use(requireAuth, requireUnrestricted);
+
+router.get('/', searchListings);
+router.get('/my', getMyListings);
+router.post('/', createListing);
+router.get('/:id', getListing);
+router.put('/:id', updateListing);
+router.post('/:id/close', closeListing);
+
+// Team listings
+router.post('/:id/apply', applyToListing);
+router.delete('/:id/apply', withdrawApplication);
+router.post('/:id/applications/:applicationId/accept', acceptApplication);
+router.post('/:id/applications/:applicationId/decline', declineApplication);
+
+// Free-agent listings
+router.post('/:id/invite', inviteFromListing);
+
+export default router;
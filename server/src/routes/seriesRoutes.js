@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  addSeriesTournament,
+  completeSeries,
+  createSeries,
+  deleteSeries,
+  getSeasonLeaderboard,
+  getSeries,
+  getSeriesList,
+  removeSeriesTournament,
+  updateSeries,
+} from '../controllers/seriesController.js';
+import {
+  requireAuth,
+  requireUnrestricted,
+} from '../middlewares/authMiddleware.js';
+import { requireOrganizer } from '../middlewares/roleMiddleware.js';
+
+const router = express.Router();
+
+// Public Routes
+router.get('/', getSeriesList);
+router.get('/:id', getSeries);
+router.get('/:id/leaderboard', getSeasonLeaderboard);
+
+// Protected Routes
+router.use(requireAuth, requireUnrestricted);
+
+router.post('/', requireOrganizer, createSeries);
+router.put('/:id', requireOrganizer, updateSeries);
+router.delete('/:id', requireOrganizer, deleteSeries);
+router.post('/:id/complete', requireOrganizer, completeSeries);
+router.post('/:id/tournaments', requireOrganizer, addSeriesTournament);
+router.delete(
+  '/:id/tournaments/:tournamentId',
+  requireOrganizer,
+  removeSeriesTournament
+);
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  acceptInvite,
+  createTeam,
+  declineInvite,
+  disbandTeam,
+  getMyInvites,
+  getMyTeams,
+  getTeam,
+  invitePlayer,
+  leaveTeam,
+  removeMember,
+  transferCaptaincy,
+  updateMemberRole,
+  updateTeam,
+} from '../controllers/teamController.js';
+import {
+  requireAuth,
+  requireUnrestricted,
+} from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// All team routes require authentication
+router.use(requireAuth, requireUnrestricted);
+
+router.post('/', createTeam);
+router.get('/my', getMyTeams);
+router.get('/invites', getMyInvites);
+router.get('/:id', getTeam);
+router.put('/:id', updateTeam);
+router.delete('/:id', disbandTeam);
+
+// Invites
+router.post('/:id/invites', invitePlayer);
+router.post('/:id/invites/accept', acceptInvite);
+router.post('/:id/invites/decline', declineInvite);
+
+// Roster
+router.put('/:id/members/:userId', updateMemberRole);
+router.delete('/:id/members/:userId', removeMember);
+router.post('/:id/transfer-captaincy', transferCaptaincy);
+router.post('/:id/leave', leaveTeam);
+
+export default router;
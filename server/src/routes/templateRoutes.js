@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  createTemplate,
+  createTournamentFromTemplate,
+  deleteTemplate,
+  getTemplate,
+  getTemplates,
+  updateTemplate,
+} from '../controllers/templateController.js';
+import {
+  requireAuth,
+  requireUnrestricted,
+} from '../middlewares/authMiddleware.js';
+import { requireOrganizer } from '../middlewares/roleMiddleware.js';
+
+const router = express.Router();
+
+// Protected Routes
+// Templates are an organizer tool; all routes need an organizer account
+router.use(requireAuth, requireUnrestricted, requireOrganizer);
+
+router.get('/', getTemplates);
+router.post('/', createTemplate);
+router.get('/:id', getTemplate);
+router.put('/:id', updateTemplate);
+router.delete('/:id', deleteTemplate);
+router.post('/:id/tournaments', createTournamentFromTemplate);
+
+export default router;
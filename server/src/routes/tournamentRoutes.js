@@ -1,42 +1,227 @@
 import express from 'express';
 import {
+  addCoOrganizer,
+  addReviewComment,
+  addScoreReporter,
   approveTournament,
+  cancelTournament,
   createTournament,
   deleteTournament,
   getPendingApprovals,
   getTournament,
   getTournaments,
   rejectTournament,
+  removeCoOrganizer,
+  removeScoreReporter,
+  requestChanges,
   submitForApproval,
   updateTournament,
 } from '../controllers/tournamentController.js';
-import { requireAuth } from '../middlewares/authMiddleware.js';
+import {
+  approveRegistration,
+  getRegistrations,
+  getWaitlist,
+  registerForTournament,
+  rejectRegistration,
+  swapSubstitute,
+  updateSubstituteRules,
+  withdrawFromTournament,
+} from '../controllers/registrationController.js';
+import {
+  generateBracket,
+  getBracket,
+} from '../controllers/bracketController.js';
+import {
+  checkInToTournament,
+  excuseTournamentNoShow,
+  updateCheckInSettings,
+} from '../controllers/checkInController.js';
+import {
+  exportTournamentBracket,
+  exportTournamentMatches,
+  exportTournamentRegistrations,
+  exportTournamentStandings,
+} from '../controllers/exportController.js';
+import {
+  importSoloRegistrants,
+  importTeamRosters,
+  importTournamentDefinitions,
+} from '../controllers/importController.js';
+import { streamTournament } from '../controllers/liveController.js';
+import { getTournamentMatches } from '../controllers/matchController.js';
+import {
+  commitMatchmaking,
+  discardMatchmakingPreview,
+  getMatchmakingPreview,
+  previewMatchmaking,
+} from '../controllers/matchmakingController.js';
+import { getTournamentProtests } from '../controllers/protestController.js';
+import {
+  autoSchedule,
+  getSchedule,
+  getScheduleConflicts,
+  updateScheduleSettings,
+} from '../controllers/scheduleController.js';
+import { getStandings } from '../controllers/standingsController.js';
+import { saveTournamentAsTemplate } from '../controllers/templateController.js';
+import {
+  optionalAuth,
+  requireAuth,
+  requireUnrestricted,
+  requireVerifiedEmail,
+} from '../middlewares/authMiddleware.js';
 import {
   canApproveTournament,
   canManageTournament,
+  canReviewTournament,
+  loadTournament,
   requireFaculty,
   requireOrganizer,
 } from '../middlewares/roleMiddleware.js';
 
 const router = express.Router();
 
+// Import files arrive as text/csv; JSON bodies use the app-wide parser
+const csvBody = express.text({ type: 'text/csv', limit: '1mb' });
+
 // Public Routes
 router.get('/', getTournaments);
 router.get('/:id', getTournament);
+router.get('/:id/bracket', getBracket);
+router.get('/:id/matches', loadTournament, getTournamentMatches);
+router.get('/:id/standings', loadTournament, getStandings);
+router.get('/:id/schedule', getSchedule);
+router.get('/:id/live', optionalAuth, loadTournament, streamTournament);
 
 // Protected Routes
 // All routes below require authentication
-router.use(requireAuth);
+router.use(requireAuth, requireUnrestricted);
 
 router.post('/', requireOrganizer, createTournament);
+router.post('/import', requireOrganizer, csvBody, importTournamentDefinitions);
 router.put('/:id', canManageTournament, updateTournament);
 router.delete('/:id', canManageTournament, deleteTournament);
 router.post('/:id/submit', canManageTournament, submitForApproval);
+router.post('/:id/cancel', canManageTournament, cancelTournament);
+router.post('/:id/co-organizers', canManageTournament, addCoOrganizer);
+router.post('/:id/template', canManageTournament, saveTournamentAsTemplate);
+router.delete(
+  '/:id/co-organizers/:userId',
+  canManageTournament,
+  removeCoOrganizer
+);
+
+// Registration routes
+router.post(
+  '/:id/register',
+  requireVerifiedEmail,
+  loadTournament,
+  registerForTournament
+);
+router.post('/:id/withdraw', loadTournament, withdrawFromTournament);
+router.get('/:id/registrations', canManageTournament, getRegistrations);
+router.post(
+  '/:id/registrations/:registrationId/approve',
+  canManageTournament,
+  approveRegistration
+);
+router.post(
+  '/:id/registrations/:registrationId/reject',
+  canManageTournament,
+  rejectRegistration
+);
+router.get('/:id/waitlist', loadTournament, getWaitlist);
+router.put(
+  '/:id/substitutes/settings',
+  canManageTournament,
+  updateSubstituteRules
+);
+router.post('/:id/lineup/swap', loadTournament, swapSubstitute);
+
+// Import and export routes
+router.post(
+  '/:id/import/rosters',
+  canManageTournament,
+  csvBody,
+  importTeamRosters
+);
+router.post(
+  '/:id/import/solo',
+  canManageTournament,
+  csvBody,
+  importSoloRegistrants
+);
+router.get(
+  '/:id/export/registrations',
+  canManageTournament,
+  exportTournamentRegistrations
+);
+router.get('/:id/export/matches', canManageTournament, exportTournamentMatches);
+router.get(
+  '/:id/export/standings',
+  canManageTournament,
+  exportTournamentStandings
+);
+router.get('/:id/export/bracket', canManageTournament, exportTournamentBracket);
+
+// Solo matchmaking routes
+router.post(
+  '/:id/matchmaking/preview',
+  canManageTournament,
+  previewMatchmaking
+);
+router.get(
+  '/:id/matchmaking/preview',
+  canManageTournament,
+  getMatchmakingPreview
+);
+router.delete(
+  '/:id/matchmaking/preview',
+  canManageTournament,
+  discardMatchmakingPreview
+);
+router.post('/:id/matchmaking/commit', canManageTournament, commitMatchmaking);
+
+// Check-in routes
+router.put(
+  '/:id/check-in/settings',
+  canManageTournament,
+  updateCheckInSettings
+);
+router.post('/:id/check-in', loadTournament, checkInToTournament);
+router.post(
+  '/:id/check-in/override',
+  canManageTournament,
+  excuseTournamentNoShow
+);
+
+// Bracket and match routes
+router.post('/:id/bracket', canManageTournament, generateBracket);
+router.put(
+  '/:id/schedule/settings',
+  canManageTournament,
+  updateScheduleSettings
+);
+router.post('/:id/schedule', canManageTournament, autoSchedule);
+router.get(
+  '/:id/schedule/conflicts',
+  canManageTournament,
+  getScheduleConflicts
+);
+router.get('/:id/protests', loadTournament, getTournamentProtests);
+router.post('/:id/score-reporters', canManageTournament, addScoreReporter);
+router.delete(
+  '/:id/score-reporters/:userId',
+  canManageTournament,
+  removeScoreReporter
+);
 
 // Faculty routes
 router.get('/pending/approvals', requireFaculty, getPendingApprovals);
 router.post('/:id/approve', canApproveTournament, approveTournament);
-router.post('/:id/reject', canApproveTournament, rejectTournament);
+router.post('/:id/reject', canReviewTournament, rejectTournament);
+router.post('/:id/request-changes', canReviewTournament, requestChanges);
+router.post('/:id/comments', canReviewTournament, addReviewComment);
 
 // Organizer routes
 router.get('/organizer/my-tournaments', requireOrganizer, async (req, res) => {
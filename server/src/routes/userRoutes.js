@@ -0,0 +1,9 @@
+import express from 'express';
+import { getPlayerProfile } from '../controllers/userController.js';
+
+const router = express.Router();
+
+// Public Routes
+router.get('/:id/profile', getPlayerProfile);
+
+export default router;
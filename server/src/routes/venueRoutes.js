@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  createVenue,
+  deactivateVenue,
+  getVenue,
+  getVenues,
+  updateVenue,
+} from '../controllers/venueController.js';
+import {
+  requireAuth,
+  requireUnrestricted,
+} from '../middlewares/authMiddleware.js';
+import { requireOrganizer } from '../middlewares/roleMiddleware.js';
+
+const router = express.Router();
+
+// Public Routes
+router.get('/', getVenues);
+router.get('/:id', getVenue);
+
+// Protected Routes
+router.use(requireAuth, requireUnrestricted);
+
+router.post('/', requireOrganizer, createVenue);
+router.put('/:id', requireOrganizer, updateVenue);
+router.delete('/:id', requireOrganizer, deactivateVenue);
+
+export default router;
@@ -0,0 +1,705 @@
+import { id } from '../utils/ids.js';
+
+// Bracket engine for every tournamentType. Pure functions only: callers load
+// the tournament, mutate tournament.bracket through these helpers and save
+// (remember markModified('bracket'), the field is Mixed).
+//
+// Stored structure (tournament.bracket):
+//
+// {
+//   format: 'single-elimination' | 'double-elimination' | 'round-robin' | 'swiss',
+//   generatedAt: Date,
+//   seeds: [{ seed: 1, team: '<teamId>' }],      // 1 = top seed
+//   rounds: [{
+//     number: 1,                                  // play order, 1-based
+//     bracket: 'winners' | 'losers' | 'grand_final' | 'main',
+//     name: 'Winners Round 1',
+//     matchIds: ['W1-1', 'W1-2'],
+//   }],
+//   matches: [{
+//     id: 'W1-1',                                 // W/L/GF/GF2, R (round-robin), S (swiss)
+//     bracket, round,                             // round = rounds[].number
+//     position: 1,                                // 1-based within the round
+//     slots: [{
+//       team: '<teamId>' | null,
+//       seed: 1 | null,
+//       from: { match: 'W1-1', outcome: 'winner' | 'loser' } | null,
+//       empty: false,                             // true when no team will ever arrive
+//     }, { ... }],
+//     winnerTo: { match: 'W2-1', slot: 0 } | null,
+//     loserTo: { match: 'L1-1', slot: 1 } | null,
+//     status: 'pending' | 'ready' | 'completed' | 'bye' | 'void',
+//     winner: '<teamId>' | null,
+//     loser: '<teamId>' | null,
+//     isDraw: false,                              // round-robin and swiss only
+//     matchId: '<Match _id>' | null,              // set once the Match document exists
+//   }],
+//   totalRounds: 3,                               // swiss: rounds to be played
+//   currentRound: 1,                              // swiss: rounds paired so far
+//   champion: '<teamId>' | null,
+// }
+//
+// Match statuses: `pending` waits for a participant, `ready` can be played,
+// `bye` advanced its only participant automatically and `void` has no
+// participants at all (a bye fed by another bye).
+
+export const BRACKET_FORMATS = [
+  'single-elimination',
+  'double-elimination',
+  'round-robin',
+  'swiss',
+];
+
+const nextPowerOfTwo = n => {
+  let size = 1;
+  while (size < n) size *= 2;
+  return size;
+};
+
+// Seed numbers in bracket slot order, e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6].
+// The order already deals seeds serpentine: every half and quarter takes
+// seeds 1-4, then 8-5, then 9-12 and so on, as a snake draft would.
+export const bracketOrder = size => {
+  let order = [1];
+  while (order.length < size) {
+    const length = order.length * 2;
+    order = order.flatMap(seed => [seed, length + 1 - seed]);
+  }
+  return order;
+};
+
+const emptySlot = () => ({ team: null, seed: null, from: null, empty: false });
+
+const sourceSlot = (match, outcome) => ({
+  ...emptySlot(),
+  from: { match, outcome },
+});
+
+const createMatch = (matchId, bracket, round, position, slots) => ({
+  id: matchId,
+  bracket,
+  round,
+  position,
+  slots,
+  winnerTo: null,
+  loserTo: null,
+  status: 'pending',
+  winner: null,
+  loser: null,
+  isDraw: false,
+  matchId: null,
+});
+
+export const findMatch = (bracket, matchId) =>
+  bracket.matches.find(m => m.id === matchId);
+
+export const getRoundMatches = (bracket, roundNumber) =>
+  bracket.matches.filter(m => m.round === roundNumber);
+
+const isSettled = match => ['completed', 'bye', 'void'].includes(match.status);
+
+export const isRoundComplete = (bracket, roundNumber) =>
+  getRoundMatches(bracket, roundNumber).every(isSettled);
+
+const eliminationRoundName = (roundIndex, totalRounds) => {
+  const remaining = totalRounds - roundIndex;
+  if (remaining === 0) return 'Final';
+  if (remaining === 1) return 'Semifinals';
+  if (remaining === 2) return 'Quarterfinals';
+  return `Round ${roundIndex}`;
+};
+
+// Place a team (or a permanent empty) into a slot fed by another match
+const fillSlot = (bracket, target, team) => {
+  if (!target) return;
+  const slot = findMatch(bracket, target.match).slots[target.slot];
+  slot.team = team;
+  slot.empty = !team;
+};
+
+// Settle byes and voids until nothing changes. Double elimination needs the
+// loop because a bye in round one leaves an empty losers slot downstream.
+const resolveByes = bracket => {
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    for (const match of bracket.matches) {
+      if (match.status !== 'pending') continue;
+
+      const [a, b] = match.slots;
+      const determined = slot => slot.team !== null || slot.empty;
+      if (!determined(a) || !determined(b)) continue;
+
+      if (a.empty && b.empty) {
+        match.status = 'void';
+        fillSlot(bracket, match.winnerTo, null);
+        fillSlot(bracket, match.loserTo, null);
+        settleFinal(bracket, match);
+      } else if (a.empty || b.empty) {
+        const advancing = a.empty ? b : a;
+        match.status = 'bye';
+        match.winner = advancing.team;
+        fillSlot(bracket, match.winnerTo, advancing.team);
+        fillSlot(bracket, match.loserTo, null);
+        settleFinal(bracket, match);
+      } else {
+        match.status = 'ready';
+      }
+      changed = true;
+    }
+  }
+};
+
+// Declare the champion once the deciding match is settled
+const settleFinal = (bracket, match) => {
+  if (match.id === 'GF') {
+    const reset = findMatch(bracket, 'GF2');
+    const losersSide = id(match.slots[1].team);
+
+    // The winners bracket champion has not lost yet: play a reset match
+    if (match.status === 'completed' && id(match.winner) === losersSide) {
+      reset.slots[0].team = match.winner;
+      reset.slots[1].team = match.loser;
+      reset.status = 'ready';
+      return;
+    }
+
+    reset.status = 'void';
+    bracket.champion = match.winner;
+    return;
+  }
+
+  if (
+    !match.winnerTo &&
+    !match.loserTo &&
+    bracket.format.endsWith('elimination')
+  ) {
+    bracket.champion = match.winner;
+  }
+};
+
+const buildSeeds = teams =>
+  teams.map((team, index) => ({ seed: index + 1, team: id(team) }));
+
+// Winners bracket shared by single and double elimination
+const buildWinnersBracket = (bracket, prefix, bracketName, nameFor) => {
+  const size = nextPowerOfTwo(bracket.seeds.length);
+  const totalRounds = Math.log2(size);
+  const order = bracketOrder(size);
+  const rounds = [];
+
+  for (let r = 1; r <= totalRounds; r++) {
+    const count = size / 2 ** r;
+    const matchIds = [];
+
+    for (let j = 1; j <= count; j++) {
+      const matchId = `${prefix}${r}-${j}`;
+      let slots;
+
+      if (r === 1) {
+        slots = [order[2 * j - 2], order[2 * j - 1]].map(seed => {
+          const entry = bracket.seeds[seed - 1];
+          return entry
+            ? { ...emptySlot(), team: entry.team, seed }
+            : { ...emptySlot(), empty: true };
+        });
+      } else {
+        const feeders = [2 * j - 1, 2 * j].map(p => `${prefix}${r - 1}-${p}`);
+        slots = feeders.map(feeder => sourceSlot(feeder, 'winner'));
+        feeders.forEach((feeder, slot) => {
+          findMatch(bracket, feeder).winnerTo = { match: matchId, slot };
+        });
+      }
+
+      bracket.matches.push(createMatch(matchId, bracketName, 0, j, slots));
+      matchIds.push(matchId);
+    }
+
+    rounds.push({
+      bracket: bracketName,
+      name: nameFor(r, totalRounds),
+      matchIds,
+    });
+  }
+
+  return rounds;
+};
+
+// Number rounds in play order and stamp the number on each match
+const numberRounds = (bracket, rounds) => {
+  bracket.rounds = rounds.map((round, index) => ({
+    number: index + 1,
+    ...round,
+  }));
+  bracket.rounds.forEach(round => {
+    round.matchIds.forEach(matchId => {
+      findMatch(bracket, matchId).round = round.number;
+    });
+  });
+};
+
+const generateSingleElimination = bracket => {
+  const rounds = buildWinnersBracket(bracket, 'W', 'winners', (r, total) =>
+    eliminationRoundName(r, total)
+  );
+  numberRounds(bracket, rounds);
+  resolveByes(bracket);
+};
+
+const generateDoubleElimination = bracket => {
+  const size = nextPowerOfTwo(bracket.seeds.length);
+  const k = Math.log2(size);
+  const winners = buildWinnersBracket(bracket, 'W', 'winners', (r, total) =>
+    r === total ? 'Winners Final' : `Winners Round ${r}`
+  );
+  const losers = [];
+
+  const addLosersRound = (number, count, slotsFor) => {
+    const matchIds = [];
+    for (let j = 1; j <= count; j++) {
+      const matchId = `L${number}-${j}`;
+      const slots = slotsFor(j, matchId);
+      bracket.matches.push(createMatch(matchId, 'losers', 0, j, slots));
+      matchIds.push(matchId);
+    }
+    losers.push({
+      bracket: 'losers',
+      name: number === 2 * (k - 1) ? 'Losers Final' : `Losers Round ${number}`,
+      matchIds,
+    });
+  };
+
+  // Losers of winners round m+1 drop in; odd rounds reverse the order to
+  // delay rematches
+  const dropIn = (m, j, count, matchId) => {
+    const position = m % 2 === 1 ? count - j + 1 : j;
+    const feeder = `W${m + 1}-${position}`;
+    findMatch(bracket, feeder).loserTo = { match: matchId, slot: 1 };
+    return sourceSlot(feeder, 'loser');
+  };
+
+  const advance = (feeder, matchId, slot) => {
+    findMatch(bracket, feeder).winnerTo = { match: matchId, slot };
+    return sourceSlot(feeder, 'winner');
+  };
+
+  if (k > 1) {
+    addLosersRound(1, size / 4, (j, matchId) =>
+      [2 * j - 1, 2 * j].map((p, slot) => {
+        const feeder = `W1-${p}`;
+        findMatch(bracket, feeder).loserTo = { match: matchId, slot };
+        return sourceSlot(feeder, 'loser');
+      })
+    );
+
+    for (let m = 1; m <= k - 1; m++) {
+      const count = size / 2 ** (m + 1);
+      addLosersRound(2 * m, count, (j, matchId) => [
+        advance(`L${2 * m - 1}-${j}`, matchId, 0),
+        dropIn(m, j, count, matchId),
+      ]);
+
+      if (m < k - 1) {
+        addLosersRound(2 * m + 1, size / 2 ** (m + 2), (j, matchId) => [
+          advance(`L${2 * m}-${2 * j - 1}`, matchId, 0),
+          advance(`L${2 * m}-${2 * j}`, matchId, 1),
+        ]);
+      }
+    }
+  }
+
+  // Grand final: winners champion vs losers champion, reset if needed
+  const winnersFinal = `W${k}-1`;
+  const grandFinalSlots = [advance(winnersFinal, 'GF', 0)];
+  if (k > 1) {
+    grandFinalSlots.push(advance(`L${2 * (k - 1)}-1`, 'GF', 1));
+  } else {
+    findMatch(bracket, winnersFinal).loserTo = { match: 'GF', slot: 1 };
+    grandFinalSlots.push(sourceSlot(winnersFinal, 'loser'));
+  }
+  bracket.matches.push(
+    createMatch('GF', 'grand_final', 0, 1, grandFinalSlots),
+    createMatch('GF2', 'grand_final', 0, 1, [
+      sourceSlot('GF', 'winner'),
+      sourceSlot('GF', 'loser'),
+    ])
+  );
+
+  // Play order: W1, then for each later winners round W r, L 2r-3, L 2r-2
+  const rounds = [winners[0]];
+  for (let r = 2; r <= k; r++) {
+    rounds.push(winners[r - 1], losers[2 * r - 4], losers[2 * r - 3]);
+  }
+  rounds.push(
+    { bracket: 'grand_final', name: 'Grand Final', matchIds: ['GF'] },
+    { bracket: 'grand_final', name: 'Grand Final Reset', matchIds: ['GF2'] }
+  );
+
+  numberRounds(bracket, rounds);
+  resolveByes(bracket);
+};
+
+// Circle method: fix the first team and rotate the rest
+const generateRoundRobin = bracket => {
+  const teams = bracket.seeds.map(s => s.team);
+  if (teams.length % 2 === 1) teams.push(null);
+
+  const n = teams.length;
+  const seedOf = team => bracket.seeds.find(s => s.team === team).seed;
+  let circle = [...teams];
+
+  for (let r = 1; r < n; r++) {
+    const matchIds = [];
+    let position = 0;
+
+    for (let i = 0; i < n / 2; i++) {
+      const a = circle[i];
+      const b = circle[n - 1 - i];
+      if (!a || !b) continue;
+
+      position += 1;
+      const matchId = `R${r}-${position}`;
+      const match = createMatch(matchId, 'main', r, position, [
+        { ...emptySlot(), team: a, seed: seedOf(a) },
+        { ...emptySlot(), team: b, seed: seedOf(b) },
+      ]);
+      match.status = 'ready';
+      bracket.matches.push(match);
+      matchIds.push(matchId);
+    }
+
+    bracket.rounds.push({
+      number: r,
+      bracket: 'main',
+      name: `Round ${r}`,
+      matchIds,
+    });
+    circle = [circle[0], circle[n - 1], ...circle.slice(1, n - 1)];
+  }
+};
+
+const pairKey = (a, b) => [a, b].sort().join(':');
+
+const playedPairs = bracket =>
+  new Set(
+    bracket.matches
+      .filter(m => m.slots.every(s => s.team))
+      .map(m => pairKey(id(m.slots[0].team), id(m.slots[1].team)))
+  );
+
+// Pair top-down, backtracking to avoid rematches
+const pairWithoutRematches = (teams, played) => {
+  if (teams.length === 0) return [];
+
+  const [first, ...rest] = teams;
+  for (let i = 0; i < rest.length; i++) {
+    if (played.has(pairKey(first, rest[i]))) continue;
+
+    const remaining = [...rest.slice(0, i), ...rest.slice(i + 1)];
+    const pairs = pairWithoutRematches(remaining, played);
+    if (pairs) return [[first, rest[i]], ...pairs];
+  }
+
+  return null;
+};
+
+const pushSwissRound = (bracket, pairs, byeTeam) => {
+  const number = bracket.currentRound + 1;
+  const seedOf = team => bracket.seeds.find(s => s.team === team).seed;
+  const matchIds = [];
+
+  pairs.forEach(([a, b], index) => {
+    const matchId = `S${number}-${index + 1}`;
+    const match = createMatch(matchId, 'main', number, index + 1, [
+      { ...emptySlot(), team: a, seed: seedOf(a) },
+      { ...emptySlot(), team: b, seed: seedOf(b) },
+    ]);
+    match.status = 'ready';
+    bracket.matches.push(match);
+    matchIds.push(matchId);
+  });
+
+  if (byeTeam) {
+    const matchId = `S${number}-${pairs.length + 1}`;
+    const match = createMatch(matchId, 'main', number, pairs.length + 1, [
+      { ...emptySlot(), team: byeTeam, seed: seedOf(byeTeam) },
+      { ...emptySlot(), empty: true },
+    ]);
+    match.status = 'bye';
+    match.winner = byeTeam;
+    bracket.matches.push(match);
+    matchIds.push(matchId);
+  }
+
+  bracket.rounds.push({
+    number,
+    bracket: 'main',
+    name: `Round ${number}`,
+    matchIds,
+  });
+  bracket.currentRound = number;
+
+  return matchIds;
+};
+
+// Pair the next swiss round. `ranking` lists team ids best first, as
+// produced by the standings; the lowest ranked team without a bye sits out
+// when the field is odd.
+export const pairSwissRound = (bracket, ranking) => {
+  if (bracket.currentRound >= bracket.totalRounds) {
+    throw new Error('All swiss rounds have been paired');
+  }
+  if (!isRoundComplete(bracket, bracket.currentRound)) {
+    throw new Error('Current swiss round is not finished');
+  }
+
+  const teams = ranking.map(id);
+  let byeTeam = null;
+
+  if (teams.length % 2 === 1) {
+    const hadBye = new Set(
+      bracket.matches.filter(m => m.status === 'bye').map(m => id(m.winner))
+    );
+    byeTeam =
+      [...teams].reverse().find(team => !hadBye.has(team)) ??
+      teams[teams.length - 1];
+    teams.splice(teams.indexOf(byeTeam), 1);
+  }
+
+  // Fall back to adjacent pairing when rematches cannot be avoided
+  let pairs = pairWithoutRematches(teams, playedPairs(bracket));
+  if (!pairs) {
+    pairs = [];
+    for (let i = 0; i < teams.length; i += 2) {
+      pairs.push([teams[i], teams[i + 1]]);
+    }
+  }
+
+  return pushSwissRound(bracket, pairs, byeTeam);
+};
+
+const generateSwiss = (bracket, options) => {
+  const teams = bracket.seeds.map(s => s.team);
+  bracket.totalRounds =
+    options.swissRounds || Math.ceil(Math.log2(teams.length));
+  bracket.currentRound = 0;
+
+  // Round one: top half plays bottom half in seed order
+  const byeTeam = teams.length % 2 === 1 ? teams.pop() : null;
+  const half = teams.length / 2;
+  const pairs = teams.slice(0, half).map((team, i) => [team, teams[half + i]]);
+
+  pushSwissRound(bracket, pairs, byeTeam);
+};
+
+// Build a bracket for `teams`, already ordered best seed first
+export const generateBracket = (format, teams, options = {}) => {
+  if (!BRACKET_FORMATS.includes(format)) {
+    throw new Error(`Unsupported tournament type: ${format}`);
+  }
+  if (teams.length < 2) {
+    throw new Error('At least two teams are required to generate a bracket');
+  }
+
+  const bracket = {
+    format,
+    generatedAt: new Date(),
+    seeds: buildSeeds(teams),
+    rounds: [],
+    matches: [],
+    totalRounds: null,
+    currentRound: null,
+    champion: null,
+  };
+
+  if (format === 'single-elimination') generateSingleElimination(bracket);
+  if (format === 'double-elimination') generateDoubleElimination(bracket);
+  if (format === 'round-robin') generateRoundRobin(bracket);
+  if (format === 'swiss') generateSwiss(bracket, options);
+
+  if (format !== 'swiss') bracket.totalRounds = bracket.rounds.length;
+
+  return bracket;
+};
+
+// Record a played result and advance the winner (and loser) along the
+// bracket. Pass winner null with { draw: true } for a drawn league match.
+// Returns the ids of matches whose participants changed.
+export const recordResult = (
+  bracket,
+  matchId,
+  winner,
+  { draw = false } = {}
+) => {
+  const match = findMatch(bracket, matchId);
+
+  if (!match) {
+    throw new Error('Bracket match not found');
+  }
+  if (match.status !== 'ready') {
+    throw new Error('Bracket match is not ready to be played');
+  }
+
+  const teams = match.slots.map(s => id(s.team));
+  const isElimination = bracket.format.endsWith('elimination');
+
+  if (draw) {
+    if (isElimination) {
+      throw new Error('Elimination matches cannot end in a draw');
+    }
+    match.status = 'completed';
+    match.isDraw = true;
+    return [];
+  }
+
+  if (!teams.includes(id(winner))) {
+    throw new Error('Winner is not a participant of this match');
+  }
+
+  match.status = 'completed';
+  match.winner = id(winner);
+  match.loser = teams.find(team => team !== id(winner));
+
+  if (!isElimination) return [];
+
+  const before = snapshotSlots(bracket);
+  fillSlot(bracket, match.winnerTo, match.winner);
+  fillSlot(bracket, match.loserTo, match.loser);
+  settleFinal(bracket, match);
+  resolveByes(bracket);
+
+  return changedMatches(bracket, before);
+};
+
+// Matches that received a team from this one, following automatic byes
+const fedMatches = (bracket, match) => {
+  const targets = [match.winnerTo, match.loserTo]
+    .filter(Boolean)
+    .map(target => findMatch(bracket, target.match));
+  if (match.id === 'GF') targets.push(findMatch(bracket, 'GF2'));
+
+  return targets.flatMap(target =>
+    target.status === 'bye'
+      ? [target, ...fedMatches(bracket, target)]
+      : [target]
+  );
+};
+
+// Reason a recorded result can no longer be undone, or null. Undoing is
+// only possible while nothing downstream has been played.
+export const getRevertError = (bracket, matchId) => {
+  const match = findMatch(bracket, matchId);
+
+  if (!match || match.status !== 'completed') {
+    return 'Match has no recorded result';
+  }
+  if (bracket.format === 'swiss' && match.round < bracket.currentRound) {
+    return 'The next swiss round has already been paired';
+  }
+  const played = fedMatches(bracket, match).find(m => m.status === 'completed');
+  if (played) {
+    return `Match ${played.id} has already been played with this result`;
+  }
+
+  return null;
+};
+
+// Take a team back out of a slot it was advanced into
+const unfillSlot = (bracket, target) => {
+  if (!target) return;
+  const match = findMatch(bracket, target.match);
+  const slot = match.slots[target.slot];
+  slot.team = null;
+  slot.empty = false;
+
+  if (match.status === 'bye') {
+    unfillSlot(bracket, match.winnerTo);
+    unfillSlot(bracket, match.loserTo);
+    match.winner = null;
+  }
+  if (['ready', 'bye'].includes(match.status)) match.status = 'pending';
+};
+
+// Undo a recorded result so the match can be played or decided again.
+// Check getRevertError first. Returns the ids of matches that changed.
+export const revertResult = (bracket, matchId) => {
+  const match = findMatch(bracket, matchId);
+  const before = snapshotSlots(bracket);
+
+  if (bracket.format.endsWith('elimination')) {
+    unfillSlot(bracket, match.winnerTo);
+    unfillSlot(bracket, match.loserTo);
+
+    if (match.id === 'GF') {
+      const reset = findMatch(bracket, 'GF2');
+      reset.slots.forEach(slot => {
+        slot.team = null;
+      });
+      reset.status = 'pending';
+    }
+    if (id(bracket.champion) === id(match.winner)) {
+      bracket.champion = null;
+    }
+  }
+
+  match.status = 'ready';
+  match.winner = null;
+  match.loser = null;
+  match.isDraw = false;
+
+  return changedMatches(bracket, before);
+};
+
+const snapshotSlots = bracket =>
+  new Map(
+    bracket.matches.map(m => [
+      m.id,
+      JSON.stringify([m.status, m.slots.map(s => [s.team, s.empty])]),
+    ])
+  );
+
+const changedMatches = (bracket, before) =>
+  bracket.matches
+    .filter(
+      m =>
+        before.get(m.id) !==
+        JSON.stringify([m.status, m.slots.map(s => [s.team, s.empty])])
+    )
+    .map(m => m.id);
+
+// Elimination brackets finish with a champion; leagues when every round of
+// the planned schedule is settled
+export const isBracketComplete = bracket => {
+  if (bracket.format.endsWith('elimination')) return !!bracket.champion;
+  if (
+    bracket.format === 'swiss' &&
+    bracket.currentRound < bracket.totalRounds
+  ) {
+    return false;
+  }
+  return bracket.matches.every(isSettled);
+};
+
+// Final placings of a finished elimination bracket: team id -> position.
+// Teams knocked out in the same round share a position, e.g. both losing
+// semi-finalists are 3rd.
+export const finalPositions = bracket => {
+  const eliminatedIn = new Map();
+  bracket.matches
+    .filter(m => m.status === 'completed' && m.loser)
+    .forEach(m => {
+      // Later rounds overwrite earlier ones, so this keeps the final loss
+      const previous = eliminatedIn.get(m.loser) ?? 0;
+      eliminatedIn.set(m.loser, Math.max(previous, m.round));
+    });
+  eliminatedIn.delete(id(bracket.champion));
+
+  const positions = new Map([[id(bracket.champion), 1]]);
+  eliminatedIn.forEach((round, team) => {
+    const ahead = [...eliminatedIn.values()].filter(r => r > round).length;
+    positions.set(team, ahead + 2);
+  });
+
+  return positions;
+};
@@ -0,0 +1,363 @@
+import Match from '../models/match.js';
+import Tournament from '../models/tournament.js';
+import { getRevertError } from './bracketService.js';
+import { confirmResult, revertMatchResult } from './matchService.js';
+import { findBlockingProtest } from './protestService.js';
+import eventBus from '../utils/eventBus.js';
+import { id } from '../utils/ids.js';
+
+// Attendance check-in before the tournament and before each scheduled
+// match. Check-in opens `windowMinutes` before the start time and closes
+// `graceMinutes` after it. Once it closes the scheduler settles the
+// missing teams: a lone no-show forfeits and its opponent advances on a
+// walkover; when neither team turns up organizers are asked to decide.
+
+const MINUTE = 60 * 1000;
+
+// Statuses in which a match still waits for its teams
+const OPEN_STATUSES = ['ready', 'scheduled'];
+
+// When check-in opens and closes around a start time
+export const checkInWindow = (tournament, start) => {
+  const { windowMinutes, graceMinutes } = tournament.checkIn;
+  return {
+    opensAt: new Date(start.getTime() - windowMinutes * MINUTE),
+    closesAt: new Date(start.getTime() + graceMinutes * MINUTE),
+  };
+};
+
+// Reason the window does not take check-ins at `now`, or null.
+// Organizers checking a team in on its behalf skip this check.
+export const getWindowError = ({ opensAt, closesAt }, now = new Date()) => {
+  if (now < opensAt) return `Check-in opens at ${opensAt.toUTCString()}`;
+  if (now > closesAt) return 'Check-in has closed';
+  return null;
+};
+
+// Teams that missed the tournament check-in
+const noShowsOf = tournament =>
+  tournament.registeredTeams.filter(r => r.noShow).map(r => id(r.team));
+
+// Reason the registered team cannot check in to the tournament, or null
+export const getTournamentCheckInError = (tournament, registration) => {
+  if (!tournament.checkIn.tournament) {
+    return 'This tournament does not use check-in';
+  }
+  if (!['registration_closed', 'ongoing'].includes(tournament.status)) {
+    return 'Check-in is not open for this tournament';
+  }
+  if (!registration || !registration.approved) {
+    return 'Only approved teams can check in';
+  }
+  if (registration.noShow) {
+    return 'The team was marked as a no-show. An organizer can override it.';
+  }
+  if (registration.checkedInAt) {
+    return 'The team is already checked in';
+  }
+  return null;
+};
+
+// Reason the team cannot check in to the match, or null
+export const getMatchCheckInError = (match, tournament, teamId) => {
+  if (!tournament.checkIn.matches) {
+    return 'This tournament does not use match check-in';
+  }
+  if (!['registration_closed', 'ongoing'].includes(tournament.status)) {
+    return 'Check-in is not open for this tournament';
+  }
+  if (!OPEN_STATUSES.includes(match.status)) {
+    return `Cannot check in to a ${match.status} match`;
+  }
+  if (!match.scheduledAt) {
+    return 'Check-in opens once the match is scheduled';
+  }
+  if (!match.hasTeam(teamId)) {
+    return 'The team is not playing this match';
+  }
+  if (noShowsOf(tournament).includes(id(teamId))) {
+    return 'The team was marked as a no-show. An organizer can override it.';
+  }
+  if (match.hasCheckedIn(teamId)) {
+    return 'The team is already checked in';
+  }
+  return null;
+};
+
+// Teams of the match that count as missing at `now`
+const missingTeams = (match, tournament, now) => {
+  const noShows = noShowsOf(tournament);
+  const closed =
+    tournament.checkIn.matches &&
+    match.scheduledAt &&
+    checkInWindow(tournament, match.scheduledAt).closesAt <= now;
+
+  return match.participants
+    .map(p => p.team)
+    .filter(
+      team =>
+        noShows.includes(id(team)) || (closed && !match.hasCheckedIn(team))
+    );
+};
+
+// Mark approved teams that missed the tournament check-in as no-shows.
+// Runs once per tournament; returns the teams marked.
+const closeTournamentCheckIn = async (tournament, now) => {
+  const { checkIn } = tournament;
+  if (
+    !checkIn.tournament ||
+    checkIn.closedAt ||
+    checkInWindow(tournament, tournament.startDate).closesAt > now
+  ) {
+    return [];
+  }
+
+  const claimed = await Tournament.updateOne(
+    { _id: tournament._id, 'checkIn.closedAt': null },
+    { $set: { 'checkIn.closedAt': now } }
+  );
+  if (claimed.modifiedCount === 0) return [];
+
+  const missing = tournament.registeredTeams.filter(
+    r => r.approved && !r.checkedInAt
+  );
+  missing.forEach(registration => {
+    registration.noShow = true;
+  });
+  checkIn.closedAt = now;
+  await tournament.save().catch(async error => {
+    await Tournament.updateOne(
+      { _id: tournament._id, 'checkIn.closedAt': now },
+      { $unset: { 'checkIn.closedAt': 1 } }
+    );
+    throw error;
+  });
+
+  return missing.map(r => r.team);
+};
+
+// Forfeit the team that did not show up and advance its opponent
+export const awardWalkover = async (match, tournament, noShowTeam) => {
+  match.forfeitedTeam = noShowTeam;
+  match.walkover = true;
+  await confirmResult(match, tournament, {
+    games: [],
+    winner: id(match.getOpponent(noShowTeam)),
+    isDraw: false,
+  });
+
+  eventBus.emit('match.walkover', { match, tournament, team: noShowTeam });
+  return match;
+};
+
+// Settle every match of the ongoing tournament whose check-in has closed.
+// Returns what was done to each match.
+export const enforceCheckIns = async (tournament, now = new Date()) => {
+  await closeTournamentCheckIn(tournament, now);
+
+  const { checkIn } = tournament;
+  const due = [];
+  const noShows = noShowsOf(tournament);
+  if (noShows.length > 0) due.push({ 'participants.team': { $in: noShows } });
+  if (checkIn.matches) {
+    const closedBefore = new Date(
+      now.getTime() - checkIn.graceMinutes * MINUTE
+    );
+    due.push({ scheduledAt: { $lte: closedBefore } });
+  }
+  if (due.length === 0) return [];
+
+  const candidates = await Match.find({
+    tournament: tournament._id,
+    status: { $in: OPEN_STATUSES },
+    checkInClosedAt: null,
+    $or: due,
+  }).sort({ scheduledAt: 1, round: 1 });
+
+  const settled = [];
+
+  for (const candidate of candidates) {
+    const missing = missingTeams(candidate, tournament, now);
+    if (missing.length === 0) continue;
+
+    // The teams may still change while a feeding result is protested
+    if (await findBlockingProtest(candidate, tournament)) continue;
+
+    // Claim the match so overlapping passes settle it once
+    const match = await Match.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        status: { $in: OPEN_STATUSES },
+        checkInClosedAt: null,
+      },
+      { $set: { checkInClosedAt: now } },
+      { new: true }
+    );
+    if (!match) continue;
+
+    if (missing.length === 1) {
+      // Release the claim if settling fails so a later pass retries it
+      await awardWalkover(match, tournament, missing[0]).catch(async error => {
+        await Match.updateOne(
+          { _id: match._id, checkInClosedAt: now },
+          { $unset: { checkInClosedAt: 1 } }
+        );
+        throw error;
+      });
+      settled.push({
+        match: match._id,
+        action: 'walkover',
+        forfeitedTeam: missing[0],
+      });
+    } else {
+      eventBus.emit('match.no_show', { match, tournament, teams: missing });
+      settled.push({ match: match._id, action: 'no_show' });
+    }
+  }
+
+  return settled;
+};
+
+// Reason the team's missed check-in on this match cannot be excused, or null
+export const getExcuseError = (match, tournament, teamId) => {
+  if (!match.hasTeam(teamId)) {
+    return 'The team is not playing this match';
+  }
+
+  if (match.status === 'completed') {
+    if (!match.walkover || id(match.forfeitedTeam) !== id(teamId)) {
+      return 'Only a forfeit for not checking in can be overridden';
+    }
+    return getRevertError(tournament.bracket, match.bracketMatchId);
+  }
+
+  if (!OPEN_STATUSES.includes(match.status)) {
+    return `Cannot override check-in for a ${match.status} match`;
+  }
+  return null;
+};
+
+// Organizer overrides a missed check-in. A walkover the team lost is undone
+// and the team counts as checked in; the match is settled again on the next
+// pass, so an opponent that also missed check-in still forfeits. Check
+// getExcuseError first.
+export const excuseNoShow = async (match, tournament, teamId, by) => {
+  const reverted = match.status === 'completed';
+  if (reverted) {
+    await revertMatchResult(match, tournament);
+    match.forfeitedTeam = undefined;
+    match.walkover = false;
+  }
+
+  const registration = tournament.findTeamRegistration(teamId);
+  if (registration?.noShow) {
+    registration.noShow = false;
+    registration.checkedInAt = new Date();
+    registration.checkedInBy = by;
+    await tournament.save();
+  }
+
+  // The opponent was there to take the walkover, so it counts as present
+  const present = reverted ? [teamId, match.getOpponent(teamId)] : [teamId];
+  present
+    .filter(team => !match.hasCheckedIn(team))
+    .forEach(team => {
+      match.checkIns.push({ team, checkedInBy: by, at: new Date() });
+    });
+  match.checkInClosedAt = undefined;
+  await match.save();
+
+  if (reverted) eventBus.emit('bracket.updated', { tournament });
+  return match;
+};
+
+// Organizer overrides a tournament no-show. The team is checked in and
+// walkovers it lost are undone where later matches have not been played.
+// Returns the reinstated matches and those that had to stand.
+export const excuseTeam = async (tournament, teamId, by) => {
+  const registration = tournament.findTeamRegistration(teamId);
+  registration.noShow = false;
+  registration.checkedInAt = registration.checkedInAt ?? new Date();
+  registration.checkedInBy = by;
+  await tournament.save();
+
+  const forfeits = await Match.find({
+    tournament: tournament._id,
+    status: 'completed',
+    walkover: true,
+    forfeitedTeam: teamId,
+  }).sort({ completedAt: -1 });
+
+  // Latest first so earlier results can be reverted after them
+  const reinstated = [];
+  const kept = [];
+  for (const match of forfeits) {
+    if (getExcuseError(match, tournament, teamId)) {
+      kept.push(match._id);
+      continue;
+    }
+    await excuseNoShow(match, tournament, teamId, by);
+    reinstated.push(match._id);
+  }
+
+  return { reinstated, kept };
+};
+
+// Check-in windows and who has checked in, for the tournament page
+export const getCheckInStatus = async (tournament, now = new Date()) => {
+  const { checkIn } = tournament;
+  if (!checkIn.tournament && !checkIn.matches) return null;
+
+  const status = {
+    windowMinutes: checkIn.windowMinutes,
+    graceMinutes: checkIn.graceMinutes,
+    tournament: null,
+    matches: [],
+  };
+
+  if (checkIn.tournament) {
+    const window = checkInWindow(tournament, tournament.startDate);
+    const approved = tournament.registeredTeams.filter(r => r.approved);
+    status.tournament = {
+      ...window,
+      isOpen: !checkIn.closedAt && !getWindowError(window, now),
+      closedAt: checkIn.closedAt,
+      checkedIn: approved.filter(r => r.checkedInAt).length,
+      teams: approved.map(r => ({
+        team: r.team,
+        checkedInAt: r.checkedInAt,
+        noShow: r.noShow,
+      })),
+    };
+  }
+
+  if (checkIn.matches) {
+    const matches = await Match.find({
+      tournament: tournament._id,
+      $or: [
+        { status: { $in: OPEN_STATUSES }, scheduledAt: { $ne: null } },
+        { walkover: true },
+      ],
+    }).sort({ scheduledAt: 1 });
+
+    status.matches = matches.map(match => {
+      const window = match.scheduledAt
+        ? checkInWindow(tournament, match.scheduledAt)
+        : {};
+      return {
+        match: match._id,
+        bracketMatchId: match.bracketMatchId,
+        scheduledAt: match.scheduledAt,
+        ...window,
+        isOpen:
+          OPEN_STATUSES.includes(match.status) && !getWindowError(window, now),
+        checkedIn: match.checkIns.map(c => c.team),
+        closedAt: match.checkInClosedAt,
+        walkover: match.walkover,
+        forfeitedTeam: match.forfeitedTeam,
+      };
+    });
+  }
+
+  return status;
+};
@@ -0,0 +1,288 @@
+import Match from '../models/match.js';
+import Team from '../models/team.js';
+import { id } from '../utils/ids.js';
+import { finalPositions } from './bracketService.js';
+import { computeStandings } from './standingsService.js';
+
+// Exports of registrations, match results and standings for spreadsheets,
+// and a printable bracket sheet for the faculty office. Tabular exports
+// return { rows, columns }; columns are [key, row => value] pairs that
+// utils/csv.js writes as CSV and toRecords turns into JSON objects.
+// Registration rows use the roster import columns, so an export can be
+// imported into next semester's tournament.
+
+const PLAYER_FIELDS = 'fullName email collegeId department yearOfStudy';
+
+// Plain objects keyed by column, for JSON exports
+export const toRecords = (rows, columns) =>
+  rows.map(row =>
+    Object.fromEntries(columns.map(([key, get]) => [key, get(row) ?? null]))
+  );
+
+// Team id -> team with its roster players populated
+const loadTeams = async teamIds => {
+  const teams = await Team.find({ _id: { $in: teamIds } })
+    .select('name tag captain members')
+    .populate('members.user', PLAYER_FIELDS);
+  return new Map(teams.map(team => [id(team._id), team]));
+};
+
+const teamName = (teams, teamId) => teams.get(id(teamId))?.name ?? '';
+
+// Game scores as "2-1 1-2"
+const scoreLine = match =>
+  match.games.map(game => game.scores.join('-')).join(' ');
+
+const REGISTRATION_COLUMNS = [
+  ['type', r => r.type],
+  ['status', r => r.status],
+  ['team', r => r.team?.name],
+  ['tag', r => r.team?.tag],
+  ['player', r => r.user?.email],
+  ['role', r => r.role],
+  ['fullName', r => r.user?.fullName],
+  ['collegeId', r => r.user?.collegeId],
+  ['department', r => r.user?.department],
+  ['yearOfStudy', r => r.user?.yearOfStudy],
+  ['registeredAt', r => r.registeredAt],
+  ['checkedInAt', r => r.checkedInAt],
+];
+
+// One row per player: registered and waitlisted teams, then solo players
+export const exportRegistrations = async tournament => {
+  const entries = [
+    ...tournament.registeredTeams.map(r => ({
+      registration: r,
+      status: r.approved ? 'approved' : 'pending',
+      registeredAt: r.registeredAt,
+    })),
+    ...tournament.waitlist.map((w, index) => ({
+      registration: w,
+      status: `waitlisted #${index + 1}`,
+      registeredAt: w.joinedAt,
+    })),
+  ];
+  const teams = await loadTeams(entries.map(e => e.registration.team));
+
+  const rows = entries.flatMap(({ registration, status, registeredAt }) => {
+    const team = teams.get(id(registration.team));
+    if (!team) return [];
+
+    const substitutes = (registration.substitutes || []).map(id);
+    return team.members
+      .filter(m => m.user)
+      .map(member => ({
+        type: 'team',
+        status,
+        team,
+        user: member.user,
+        role: substitutes.includes(id(member.user._id))
+          ? 'substitute'
+          : member.role,
+        registeredAt,
+        checkedInAt: registration.checkedInAt,
+      }));
+  });
+
+  await tournament.populate('soloPlayers.player', PLAYER_FIELDS);
+  const matchedTeams = await loadTeams(
+    tournament.soloPlayers.map(s => s.team).filter(Boolean)
+  );
+  tournament.soloPlayers.forEach(solo => {
+    rows.push({
+      type: 'solo',
+      status: solo.matched ? 'matched' : 'unmatched',
+      team: matchedTeams.get(id(solo.team)),
+      user: solo.player,
+      role: solo.preferredRoles.join(';'),
+      registeredAt: solo.registeredAt,
+    });
+  });
+
+  return { rows, columns: REGISTRATION_COLUMNS };
+};
+
+// One row per match in play order
+export const exportMatches = async tournament => {
+  const matches = await Match.findByTournament(tournament._id);
+  const teams = await loadTeams(
+    matches.flatMap(m => m.participants.map(p => p.team)).filter(Boolean)
+  );
+  const name = teamId => teamName(teams, teamId);
+
+  const columns = [
+    ['round', m => m.round],
+    ['match', m => m.bracketMatchId],
+    ['bracket', m => m.bracket],
+    ['team1', m => name(m.participants[0]?.team)],
+    ['team2', m => name(m.participants[1]?.team)],
+    ['score', scoreLine],
+    ['winner', m => name(m.winner)],
+    ['isDraw', m => m.isDraw],
+    ['status', m => m.status],
+    ['walkover', m => m.walkover],
+    ['forfeitedBy', m => name(m.forfeitedTeam)],
+    ['scheduledAt', m => m.scheduledAt],
+    ['completedAt', m => m.completedAt],
+  ];
+
+  return { rows: matches, columns };
+};
+
+// Reason standings cannot be exported yet, or null
+export const getStandingsExportError = tournament => {
+  if (!tournament.bracketGenerated) {
+    return 'Bracket has not been generated yet';
+  }
+  if (
+    tournament.tournamentType.endsWith('elimination') &&
+    !tournament.bracket.champion
+  ) {
+    return 'Final standings are available once a winner is declared';
+  }
+  return null;
+};
+
+// League table for round-robin and swiss, final placings for elimination.
+// Check getStandingsExportError first.
+export const exportStandings = async tournament => {
+  let rows;
+
+  if (tournament.tournamentType.endsWith('elimination')) {
+    rows = [...finalPositions(tournament.bracket)]
+      .map(([team, rank]) => ({ team, rank }))
+      .sort((a, b) => a.rank - b.rank);
+  } else {
+    const matches = await Match.find({ tournament: tournament._id });
+    rows = computeStandings(tournament, matches);
+  }
+
+  const teams = await loadTeams(rows.map(row => row.team));
+  const columns = [
+    ['rank', row => row.rank],
+    ['team', row => teamName(teams, row.team)],
+    ['tag', row => teams.get(id(row.team))?.tag],
+  ];
+
+  if (!tournament.tournamentType.endsWith('elimination')) {
+    columns.push(
+      ['played', row => row.played],
+      ['wins', row => row.wins],
+      ['draws', row => row.draws],
+      ['losses', row => row.losses],
+      ['byes', row => row.byes],
+      ['points', row => row.points],
+      ['gameDifference', row => row.gameDifference],
+      ['buchholz', row => row.buchholz]
+    );
+  }
+
+  return { rows, columns };
+};
+
+const escapeHtml = value =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    char =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+      })[char]
+  );
+
+const formatDate = date => (date ? new Date(date).toUTCString() : '');
+
+// One team line of a match box
+const slotHtml = (node, match, index, teams) => {
+  const slot = node.slots[index];
+  const label = slot.team
+    ? teamName(teams, slot.team)
+    : slot.empty
+      ? 'BYE'
+      : 'TBD';
+  const won = node.winner && id(node.winner) === id(slot.team);
+  const scores = match ? match.games.map(g => g.scores[index]).join(' ') : '';
+
+  return `<div class="slot${won ? ' won' : ''}">
+      <span class="seed">${escapeHtml(slot.seed ?? '')}</span>
+      <span class="name">${escapeHtml(label)}</span>
+      <span class="score">${escapeHtml(scores)}</span>
+    </div>`;
+};
+
+// Printable HTML sheet with every round side by side and a sign-off line
+export const renderBracketSheet = async tournament => {
+  const { bracket } = tournament;
+  const matches = await Match.findByTournament(tournament._id);
+  const byNode = new Map(matches.map(m => [m.bracketMatchId, m]));
+  const teams = await loadTeams(bracket.seeds.map(s => s.team));
+
+  const rounds = bracket.rounds
+    .map(round => {
+      const boxes = round.matchIds
+        .map(matchId => {
+          const node = bracket.matches.find(m => m.id === matchId);
+          const match = byNode.get(matchId);
+          const note = match?.walkover ? 'Walkover' : node.status;
+          return `<div class="match">
+    <div class="label">${escapeHtml(matchId)} &middot; ${escapeHtml(note)}</div>
+    ${slotHtml(node, match, 0, teams)}
+    ${slotHtml(node, match, 1, teams)}
+  </div>`;
+        })
+        .join('\n');
+
+      return `<section class="round">
+  <h2>${escapeHtml(round.name)}</h2>
+  ${boxes}
+</section>`;
+    })
+    .join('\n');
+
+  const champion = bracket.champion
+    ? `<p class="champion">Champion: ${escapeHtml(teamName(teams, bracket.champion))}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(tournament.name)} bracket</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 24px; color: #111; }
+  h1 { margin: 0 0 4px; }
+  .meta { color: #555; margin: 0 0 16px; }
+  .rounds { display: flex; gap: 16px; align-items: flex-start; }
+  .round { min-width: 180px; }
+  .round h2 { font-size: 14px; text-transform: uppercase; }
+  .match { border: 1px solid #999; margin-bottom: 12px; page-break-inside: avoid; }
+  .label { font-size: 11px; color: #555; padding: 2px 6px; border-bottom: 1px solid #ddd; }
+  .slot { display: flex; gap: 6px; padding: 4px 6px; font-size: 13px; }
+  .slot .seed { width: 18px; color: #777; }
+  .slot .name { flex: 1; }
+  .slot.won { font-weight: bold; }
+  .champion { font-size: 18px; font-weight: bold; }
+  .signoff { margin-top: 40px; display: flex; gap: 48px; }
+  .signoff div { border-top: 1px solid #111; padding-top: 4px; min-width: 220px; }
+  @media print { body { margin: 0; } @page { size: landscape; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(tournament.name)}</h1>
+<p class="meta">${escapeHtml(tournament.game)} &middot; ${escapeHtml(tournament.tournamentType)} &middot; starts ${escapeHtml(formatDate(tournament.startDate))} &middot; printed ${escapeHtml(formatDate(new Date()))}</p>
+${champion}
+<div class="rounds">
+${rounds}
+</div>
+<div class="signoff">
+  <div>Organizer signature</div>
+  <div>Faculty signature</div>
+  <div>Date</div>
+</div>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,346 @@
+import Team from '../models/team.js';
+import Tournament, { DEFINITION_FIELDS } from '../models/tournament.js';
+import User from '../models/user.js';
+import { validationMessages } from '../utils/validation.js';
+import { addMember, createTeam } from './teamService.js';
+
+// Bulk imports of tournament definitions, team rosters and solo registrant
+// lists. Rows come from CSV (every value a string) or JSON. Each importer
+// checks every row first and reports problems per row, numbered from 1 for
+// the first data row; nothing is saved unless every row is valid.
+
+// Fields that hold lists; CSV cells separate items with ';'
+const LIST_FIELDS = ['tiebreakers', 'preferredRoles'];
+
+const BOOLEAN_FIELDS = ['requiresFacultyApproval', 'autoGenerateBracket'];
+
+const TRUE_VALUES = ['true', 'yes', '1', 'y'];
+
+const ROSTER_ROLES = ['captain', 'player', 'substitute'];
+
+// Registrations can be imported until the bracket is generated
+const IMPORTABLE_STATUSES = [
+  'draft',
+  'pending_approval',
+  'rejected',
+  'registration_open',
+  'registration_closed',
+];
+
+const splitList = value =>
+  value
+    .split(';')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Turn CSV strings into the list and boolean values the models expect
+const normalizeRow = row =>
+  Object.fromEntries(
+    Object.entries(row).map(([key, value]) => {
+      if (typeof value !== 'string') return [key, value];
+      if (LIST_FIELDS.includes(key)) {
+        return [key, splitList(value)];
+      }
+      if (BOOLEAN_FIELDS.includes(key)) {
+        return [key, TRUE_VALUES.includes(value.toLowerCase())];
+      }
+      // Allowed years of study, e.g. "1;2"
+      if (key === 'yearRestriction') {
+        const allowedYears = splitList(value).map(Number);
+        return [key, { enabled: allowedYears.length > 0, allowedYears }];
+      }
+      return [key, value];
+    })
+  );
+
+// Messages of a failed validation, or [] when the document is valid
+const validate = async doc => {
+  try {
+    await doc.validate();
+    return [];
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return validationMessages(error);
+  }
+};
+
+// Collects row problems; `add` ignores empty message lists
+const createReport = () => {
+  const errors = [];
+  return {
+    errors,
+    add: (row, messages) => {
+      const list = [messages].flat().filter(Boolean);
+      if (list.length > 0) errors.push({ row, errors: list });
+    },
+  };
+};
+
+// Reason registrations cannot be imported into the tournament, or null
+export const getRegistrationImportError = tournament => {
+  if (!IMPORTABLE_STATUSES.includes(tournament.status)) {
+    return `Cannot import registrations while the tournament is ${tournament.status}`;
+  }
+  if (tournament.bracketGenerated) {
+    return 'Cannot import registrations after the bracket is generated';
+  }
+  return null;
+};
+
+// Email or college id in the row's `player` column, lowercased
+const playerKey = row =>
+  String(row.player || '')
+    .trim()
+    .toLowerCase();
+
+// Look up the players the rows name. Returns a map from playerKey to user.
+const findPlayers = async rows => {
+  const keys = [...new Set(rows.map(playerKey))].filter(Boolean);
+
+  const users = await User.find({
+    $or: [
+      { email: { $in: keys } },
+      { collegeId: { $in: keys.map(key => key.toUpperCase()) } },
+    ],
+  });
+
+  const byKey = new Map();
+  users.forEach(user => {
+    byKey.set(user.email.toLowerCase(), user);
+    byKey.set(user.collegeId.toLowerCase(), user);
+  });
+  return byKey;
+};
+
+// Players already taking part in the tournament, on a team or solo
+const findTakenPlayers = async tournament => {
+  const teams = await Team.find({
+    _id: {
+      $in: [
+        ...tournament.registeredTeams.map(r => r.team),
+        ...tournament.waitlist.map(w => w.team),
+      ],
+    },
+  }).select('members');
+
+  return new Set([
+    ...teams.flatMap(team => team.members.map(m => m.user.toString())),
+    ...tournament.soloPlayers.map(s => s.player.toString()),
+  ]);
+};
+
+// Check one player row; returns the problems found
+const checkPlayer = (tournament, user, key, taken, seen) => {
+  if (!key) return ['Player email or college id is required'];
+  if (!user) return [`No user found for ${key}`];
+
+  const id = user._id.toString();
+  const errors = [];
+  if (seen.has(id)) errors.push(`${user.fullName} appears more than once`);
+  if (taken.has(id)) {
+    errors.push(`${user.fullName} is already registered in the tournament`);
+  }
+  if (!user.isEmailVerified) {
+    errors.push(`${user.fullName} has not verified their email`);
+  }
+  errors.push(tournament.getEligibilityError(user));
+
+  seen.add(id);
+  return errors.filter(Boolean);
+};
+
+// Create tournaments from definition rows, owned by the importing organizer
+export const importTournaments = async (
+  rows,
+  organizerId,
+  { dryRun = false } = {}
+) => {
+  const report = createReport();
+
+  const tournaments = await Promise.all(
+    rows.map(async (row, index) => {
+      const definition = normalizeRow(row);
+      const unknown = Object.keys(definition).filter(
+        key => !DEFINITION_FIELDS.includes(key)
+      );
+
+      const tournament = Tournament.fromDefinition(definition, organizerId);
+      report.add(index + 1, [
+        ...unknown.map(key => `Unknown column: ${key}`),
+        ...(await validate(tournament)),
+      ]);
+      return tournament;
+    })
+  );
+
+  if (report.errors.length === 0 && !dryRun) {
+    for (const tournament of tournaments) {
+      await tournament.save();
+    }
+  }
+
+  return { tournaments, errors: report.errors };
+};
+
+// Create teams from roster rows (team, tag, player, role) and register them
+// as approved. Each team needs between teamSize and teamSize plus the
+// allowed substitutes; the captain is the row marked captain, else the
+// team's first row.
+export const importRosters = async (
+  tournament,
+  rows,
+  { dryRun = false } = {}
+) => {
+  const report = createReport();
+  const players = await findPlayers(rows);
+  const taken = await findTakenPlayers(tournament);
+  const seen = new Set();
+
+  // Group rows by team name, keeping the order teams first appear in
+  const groups = new Map();
+  rows.forEach((raw, index) => {
+    const row = normalizeRow(raw);
+    const name = String(row.team || '').trim();
+    const key = playerKey(row);
+    const role = String(row.role || 'player').toLowerCase();
+    const user = players.get(key);
+
+    const errors = checkPlayer(tournament, user, key, taken, seen);
+    if (!name) errors.push('Team name is required');
+    if (!ROSTER_ROLES.includes(role)) {
+      errors.push(`Role must be one of: ${ROSTER_ROLES.join(', ')}`);
+    }
+    report.add(index + 1, errors);
+
+    if (!name) return;
+    if (!groups.has(name)) groups.set(name, { name, rows: [] });
+    groups.get(name).rows.push({ index: index + 1, row, role, user });
+  });
+
+  const { teamSize } = tournament;
+  const maxPlayers = teamSize + tournament.substituteRules.maxSubstitutes;
+  const openPlaces = tournament.maxTeams - tournament.registeredTeams.length;
+
+  const teams = await Promise.all(
+    [...groups.values()].map(async (group, teamIndex) => {
+      const [first] = group.rows;
+      const captains = group.rows.filter(r => r.role === 'captain');
+      const captain = captains[0] ?? first;
+      const starters = group.rows.filter(r => r.role !== 'substitute');
+      const errors = [];
+
+      if (captains.length > 1) errors.push(`${group.name} has two captains`);
+      if (captain.role === 'substitute') {
+        errors.push(`The captain of ${group.name} cannot be a substitute`);
+      }
+      if (group.rows.length < teamSize || group.rows.length > maxPlayers) {
+        errors.push(
+          maxPlayers > teamSize
+            ? `${group.name} must have between ${teamSize} and ${maxPlayers} players`
+            : `${group.name} must have exactly ${teamSize} players`
+        );
+      }
+      if (starters.length < teamSize) {
+        errors.push(
+          `${group.name} needs ${teamSize} players who are not substitutes`
+        );
+      }
+      if (teamIndex >= openPlaces) {
+        errors.push(`Tournament is full; ${group.name} does not fit`);
+      }
+
+      // Team name and tag checks come from the Team model
+      const draft = new Team({
+        name: group.name,
+        tag: captain.row.tag || first.row.tag,
+        captain: captain.user?._id,
+        members: [{ user: captain.user?._id, role: 'captain' }],
+      });
+      if (captain.user) errors.push(...(await validate(draft)));
+
+      report.add(first.index, errors);
+      return { group, captain, starters, tag: draft.tag };
+    })
+  );
+
+  if (report.errors.length > 0 || dryRun) {
+    return { teams: [], errors: report.errors };
+  }
+
+  const created = [];
+  for (const { group, captain, starters, tag } of teams) {
+    const team = await createTeam(captain.user._id, {
+      name: group.name,
+      tag,
+      description: `Imported for ${tournament.name}`,
+    });
+    for (const { user } of group.rows) {
+      if (user !== captain.user) await addMember(team, user._id, 'player');
+    }
+
+    // Substitutes are the rows marked so, then starters beyond teamSize
+    const ordered = [captain, ...starters.filter(r => r !== captain)];
+    const lineup = ordered.slice(0, teamSize).map(r => r.user._id);
+    const hasSubstitutes = group.rows.length > teamSize;
+
+    tournament.registeredTeams.push({
+      team: team._id,
+      captain: captain.user._id,
+      registeredAt: new Date(),
+      approved: true,
+      lineup: hasSubstitutes ? lineup : [],
+      substitutes: hasSubstitutes
+        ? group.rows
+            .map(r => r.user._id)
+            .filter(user => !lineup.some(starter => starter.equals(user)))
+        : [],
+    });
+    created.push(team);
+  }
+
+  await tournament.save();
+  return { teams: created, errors: [] };
+};
+
+// Register solo players from rows (player, preferredRoles)
+export const importSoloPlayers = async (
+  tournament,
+  rows,
+  { dryRun = false } = {}
+) => {
+  const report = createReport();
+  const players = await findPlayers(rows);
+  const taken = await findTakenPlayers(tournament);
+  const seen = new Set();
+
+  const registrations = rows.map((raw, index) => {
+    const row = normalizeRow(raw);
+    const key = playerKey(row);
+    const user = players.get(key);
+
+    report.add(index + 1, checkPlayer(tournament, user, key, taken, seen));
+    return {
+      player: user?._id,
+      preferredRoles: [row.preferredRoles || []]
+        .flat()
+        .map(role => String(role).trim().toLowerCase())
+        .slice(0, 5),
+    };
+  });
+
+  if (report.errors.length > 0 || dryRun) {
+    return { registered: 0, errors: report.errors };
+  }
+
+  registrations.forEach(({ player, preferredRoles }) => {
+    tournament.soloPlayers.push({
+      player,
+      registeredAt: new Date(),
+      matched: false,
+      preferredRoles,
+    });
+  });
+  await tournament.save();
+
+  return { registered: registrations.length, errors: [] };
+};
@@ -0,0 +1,100 @@
+import eventBus from '../utils/eventBus.js';
+
+// Server-sent event streams per tournament. Subscribers are plain HTTP
+// responses held open in memory, so no external broker is needed; each
+// server process pushes to the clients connected to it.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Tournament id -> Set of open responses
+const subscribers = new Map();
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Compact match payload for spectators
+const matchSummary = match => ({
+  id: match._id,
+  bracketMatchId: match.bracketMatchId,
+  round: match.round,
+  bracket: match.bracket,
+  status: match.status,
+  participants: match.participants,
+  games: match.games,
+  winner: match.winner,
+  isDraw: match.isDraw,
+  scheduledAt: match.scheduledAt,
+});
+
+// Send an event to everyone following the tournament
+export const publish = (tournamentId, event, data) => {
+  const clients = subscribers.get(tournamentId.toString());
+  if (!clients) return;
+
+  clients.forEach(res => write(res, event, data));
+};
+
+// Hold `res` open as an event stream until the client disconnects
+export const subscribe = (tournament, req, res) => {
+  const key = tournament._id.toString();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  write(res, 'snapshot', {
+    status: tournament.status,
+    bracket: tournament.bracket,
+    winner: tournament.winner,
+  });
+
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(res);
+
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = subscribers.get(key);
+    clients.delete(res);
+    if (clients.size === 0) subscribers.delete(key);
+  });
+};
+
+// Number of open streams, optionally for one tournament
+export const countSubscribers = tournamentId => {
+  if (tournamentId) return subscribers.get(tournamentId.toString())?.size ?? 0;
+  return [...subscribers.values()].reduce((n, clients) => n + clients.size, 0);
+};
+
+const matchEvent =
+  event =>
+  ({ match, tournament }) =>
+    publish(tournament._id, event, matchSummary(match));
+
+// Domain event -> live event
+const handlers = {
+  'tournament.status_changed': ({ tournament, from, to, reason }) =>
+    publish(tournament._id, 'status', { from, to, reason }),
+  'bracket.updated': ({ tournament }) =>
+    publish(tournament._id, 'bracket', { bracket: tournament.bracket }),
+  'match.scheduled': matchEvent('match_scheduled'),
+  'match.started': matchEvent('match_started'),
+  'match.reported': matchEvent('score'),
+  'match.completed': matchEvent('match_finished'),
+};
+
+let started = false;
+
+// Attach the live handlers to the event bus once
+export const startLiveUpdates = () => {
+  if (started) return;
+  started = true;
+
+  Object.entries(handlers).forEach(([event, handler]) => {
+    eventBus.on(event, handler);
+  });
+};
@@ -0,0 +1,440 @@
+import Match from '../models/match.js';
+import Protest from '../models/protest.js';
+import {
+  findMatch,
+  generateBracket,
+  isBracketComplete,
+  isRoundComplete,
+  pairSwissRound,
+  recordResult,
+  revertResult,
+} from './bracketService.js';
+import eventBus from '../utils/eventBus.js';
+import { id } from '../utils/ids.js';
+import { shuffle } from '../utils/shuffle.js';
+import { getSeedRatings, revertMatchRatings } from './ratingService.js';
+import { computeStandings } from './standingsService.js';
+import { revertMatchStats } from './statsService.js';
+
+// Bracket node statuses that the Match document simply mirrors
+const MIRRORED_STATUSES = ['pending', 'bye', 'void'];
+
+// Copy participants and status from a bracket node onto its Match document
+const applyNode = (match, node) => {
+  match.participants = node.slots.map(slot => ({
+    team: slot.team,
+    seed: slot.seed,
+  }));
+
+  if (MIRRORED_STATUSES.includes(node.status)) {
+    match.status = node.status;
+    match.winner = node.status === 'bye' ? node.winner : undefined;
+  } else if (node.status === 'ready' && match.status === 'pending') {
+    match.status = match.scheduledAt ? 'scheduled' : 'ready';
+  }
+};
+
+// Mirror bracket rounds into tournament.rounds
+const syncRounds = tournament => {
+  const { bracket } = tournament;
+
+  bracket.rounds.forEach(round => {
+    let entry = tournament.rounds.find(r => r.roundNumber === round.number);
+    if (!entry) {
+      tournament.rounds.push({ roundNumber: round.number, matches: [] });
+      entry = tournament.rounds[tournament.rounds.length - 1];
+    }
+
+    entry.matches = round.matchIds.map(
+      matchId => findMatch(bracket, matchId).matchId
+    );
+    entry.completed = isRoundComplete(bracket, round.number);
+  });
+};
+
+// Create Match documents for bracket nodes that do not have one yet
+export const createMatchesForBracket = async tournament => {
+  const { bracket } = tournament;
+  const nodes = bracket.matches.filter(node => !node.matchId);
+
+  const matches = nodes.map(node => {
+    const match = new Match({
+      tournament: tournament._id,
+      bracketMatchId: node.id,
+      round: node.round,
+      bracket: node.bracket,
+    });
+    applyNode(match, node);
+    return match;
+  });
+
+  await Match.insertMany(matches);
+  nodes.forEach((node, index) => {
+    node.matchId = matches[index]._id.toString();
+  });
+
+  syncRounds(tournament);
+  tournament.markModified('bracket');
+
+  return matches;
+};
+
+export const SEEDING_METHODS = ['random', 'registration', 'rating'];
+
+// Approved teams in registration order
+const approvedTeamsOf = tournament =>
+  tournament.registeredTeams
+    .filter(r => r.approved)
+    .sort((a, b) => a.registeredAt - b.registeredAt)
+    .map(r => r.team);
+
+// Check manual overrides ([{ team, seed }]) against the approved teams.
+// Returns an error message or null.
+export const getSeedOverrideError = (tournament, overrides) => {
+  if (!Array.isArray(overrides)) return 'Seed overrides must be a list';
+
+  const approved = approvedTeamsOf(tournament).map(id);
+  const teams = overrides.map(o => id(o.team));
+  const seeds = overrides.map(o => Number(o.seed));
+
+  if (teams.some(team => !approved.includes(team))) {
+    return 'Seed overrides can only name approved teams';
+  }
+  if (seeds.some(seed => !Number.isInteger(seed) || seed < 1)) {
+    return 'Seeds must be positive whole numbers';
+  }
+  if (seeds.some(seed => seed > approved.length)) {
+    return `Seeds must be between 1 and ${approved.length}`;
+  }
+  if (new Set(teams).size !== teams.length) {
+    return 'Each team can only be seeded once';
+  }
+  if (new Set(seeds).size !== seeds.length) {
+    return 'Each seed can only be used once';
+  }
+
+  return null;
+};
+
+// Pin overridden teams to their seeds and fill the rest in order
+const applySeedOverrides = (teams, overrides) => {
+  const pinned = new Map(overrides.map(o => [Number(o.seed), id(o.team)]));
+  const rest = teams.filter(team => ![...pinned.values()].includes(id(team)));
+
+  return teams.map((team, index) =>
+    pinned.has(index + 1)
+      ? teams.find(t => id(t) === pinned.get(index + 1))
+      : rest.shift()
+  );
+};
+
+// Build the bracket from approved teams and create its matches. Seeding is
+// 'random', 'registration' (first registered is seed 1) or 'rating'
+// (strongest is seed 1); `seedOverrides` pins teams to seeds. Validate
+// overrides first.
+export const buildTournamentBracket = async (
+  tournament,
+  { seeding = 'random', seedOverrides = [], swissRounds } = {}
+) => {
+  const approvedTeams = approvedTeamsOf(tournament);
+
+  if (approvedTeams.length < 2) {
+    throw new Error('At least two approved teams are required');
+  }
+
+  let seededTeams = approvedTeams;
+  if (seeding === 'random') {
+    seededTeams = shuffle(approvedTeams);
+  } else if (seeding === 'rating') {
+    const ratings = await getSeedRatings(tournament, approvedTeams);
+    // Stable sort: equal ratings keep registration order
+    seededTeams = [...approvedTeams].sort(
+      (a, b) => ratings.get(id(b)) - ratings.get(id(a))
+    );
+  }
+
+  seededTeams = applySeedOverrides(seededTeams, seedOverrides);
+
+  tournament.bracket = generateBracket(tournament.tournamentType, seededTeams, {
+    swissRounds,
+  });
+  tournament.bracketGenerated = true;
+  // Matches left behind by an attempt whose tournament save failed
+  await discardBracketMatches(tournament);
+  await createMatchesForBracket(tournament);
+
+  return tournament.bracket;
+};
+
+// Delete the tournament's Match documents. Callers of buildTournamentBracket
+// use this when saving the tournament fails, so the bracket can be built
+// again.
+export const discardBracketMatches = tournament =>
+  Match.deleteMany({ tournament: tournament._id });
+
+// Push bracket changes onto the affected Match documents
+const syncNodes = async (tournament, nodeIds) => {
+  const nodes = nodeIds.map(nodeId => findMatch(tournament.bracket, nodeId));
+  const matches = await Match.find({
+    _id: { $in: nodes.map(node => node.matchId) },
+  });
+
+  await Promise.all(
+    matches.map(match => {
+      applyNode(
+        match,
+        nodes.find(node => node.matchId === match._id.toString())
+      );
+      return match.save();
+    })
+  );
+
+  return matches;
+};
+
+// Validate a submitted result. Returns { error } or { games, winner, isDraw }
+export const parseReport = (match, tournament, body) => {
+  const games = (body.games || []).map((game, index) => ({
+    gameNumber: index + 1,
+    scores: (game.scores || []).map(Number),
+  }));
+
+  if (games.some(g => g.scores.length !== 2 || g.scores.some(isNaN))) {
+    return { error: 'Each game needs a score for both participants' };
+  }
+
+  let winner = body.winner ? id(body.winner) : null;
+  let isDraw = !!body.isDraw;
+
+  if (games.length > 0) {
+    const wins = [0, 0];
+    games.forEach(({ scores: [a, b] }) => {
+      if (a > b) wins[0] += 1;
+      if (b > a) wins[1] += 1;
+    });
+
+    const derivedWinner =
+      wins[0] === wins[1]
+        ? null
+        : id(match.participants[wins[0] > wins[1] ? 0 : 1].team);
+
+    if (winner && winner !== derivedWinner) {
+      return { error: 'Winner does not match the reported games' };
+    }
+    winner = derivedWinner;
+    isDraw = !derivedWinner;
+  }
+
+  if (!winner && !isDraw) {
+    return { error: 'Report the games played or the winner' };
+  }
+
+  if (winner && !match.hasTeam(winner)) {
+    return { error: 'Winner is not a participant of this match' };
+  }
+
+  if (isDraw && tournament.tournamentType.endsWith('elimination')) {
+    return { error: 'Elimination matches cannot end in a draw' };
+  }
+
+  return { games, winner: isDraw ? null : winner, isDraw };
+};
+
+const sameResult = (a, b) =>
+  id(a.winner) === id(b.winner) &&
+  a.isDraw === b.isDraw &&
+  JSON.stringify(a.games.map(g => g.scores)) ===
+    JSON.stringify(b.games.map(g => g.scores));
+
+// Team ids ordered by the current league standings
+const rankTeams = async tournament => {
+  const matches = await Match.find({ tournament: tournament._id });
+  return computeStandings(tournament, matches).map(row => row.team);
+};
+
+// Pair the next swiss round once the current one is settled and no result
+// in it is under protest. Returns the Match documents created.
+const advanceSwiss = async tournament => {
+  const { bracket } = tournament;
+
+  if (
+    bracket.format !== 'swiss' ||
+    bracket.currentRound >= bracket.totalRounds ||
+    !isRoundComplete(bracket, bracket.currentRound)
+  ) {
+    return [];
+  }
+
+  const protested = await Protest.exists({
+    tournament: tournament._id,
+    round: bracket.currentRound,
+    status: 'pending',
+  });
+  if (protested) return [];
+
+  pairSwissRound(bracket, await rankTeams(tournament));
+  return createMatchesForBracket(tournament);
+};
+
+// Save the tournament after a bracket change. The bracket is a single Mixed
+// field, so the save is versioned: if another writer saved the bracket since
+// this copy was loaded, it fails with a VersionError instead of overwriting
+// that change.
+const saveBracket = tournament => {
+  tournament.markModified('bracket');
+  tournament.increment();
+  return tournament.save();
+};
+
+// Confirm the final result of a match and advance the bracket. The bracket
+// is written first, so a result that loses a race with another one (a
+// VersionError) leaves the match as it was, to be confirmed again.
+export const confirmResult = async (match, tournament, result, confirmedBy) => {
+  const { bracket } = tournament;
+  const changed = recordResult(bracket, match.bracketMatchId, result.winner, {
+    draw: result.isDraw,
+  });
+  await saveBracket(tournament);
+
+  match.games = result.games;
+  match.isDraw = result.isDraw;
+  match.winner = result.winner;
+  match.loser = result.winner ? match.getOpponent(result.winner) : undefined;
+  match.status = 'completed';
+  match.completedAt = new Date();
+  match.confirmedBy = confirmedBy;
+
+  if (match.dispute.isOpen) {
+    match.dispute.isOpen = false;
+    match.dispute.resolvedAt = new Date();
+    match.dispute.resolvedBy = confirmedBy;
+  }
+
+  await match.save().catch(async error => {
+    revertResult(bracket, match.bracketMatchId);
+    await saveBracket(tournament);
+    throw error;
+  });
+
+  await syncNodes(
+    tournament,
+    changed.filter(nodeId => nodeId !== match.bracketMatchId)
+  );
+  // A bracket saved after this one already holds the result and continues
+  // the bracket itself
+  await resumeBracket(tournament, { notify: false }).catch(error => {
+    if (error.name !== 'VersionError') throw error;
+  });
+
+  eventBus.emit('match.completed', { match, tournament });
+  eventBus.emit('bracket.updated', { tournament });
+
+  return match;
+};
+
+// Continue the bracket after a change: pair the next swiss round, update
+// round progress and declare the winner once everything is settled
+export const resumeBracket = async (tournament, { notify = true } = {}) => {
+  const { bracket } = tournament;
+
+  const created = await advanceSwiss(tournament);
+  syncRounds(tournament);
+
+  if (isBracketComplete(bracket) && !tournament.winner?.team) {
+    bracket.champion = bracket.champion ?? (await rankTeams(tournament))[0];
+    tournament.winner = { team: bracket.champion, declaredAt: new Date() };
+  }
+
+  await saveBracket(tournament).catch(async error => {
+    // Matches of a swiss round that was not saved
+    await Match.deleteMany({ _id: { $in: created.map(m => m._id) } });
+    throw error;
+  });
+
+  if (notify) eventBus.emit('bracket.updated', { tournament });
+};
+
+// Undo a confirmed result; the match goes back to ready (or scheduled) and
+// teams it advanced are taken out of later matches. Check getRevertError
+// first. Player stats and ratings drop the original result; the next
+// confirmed result is recorded afresh. Both are undone once only, so a revert
+// that fails on a VersionError can simply be retried.
+export const revertMatchResult = async (match, tournament) => {
+  await revertMatchStats(match, tournament);
+  await revertMatchRatings(match);
+
+  const { bracket } = tournament;
+  const changed = revertResult(bracket, match.bracketMatchId);
+
+  // A reverted final takes the title back
+  if (!isBracketComplete(bracket)) {
+    bracket.champion = null;
+    tournament.winner = undefined;
+  }
+  syncRounds(tournament);
+  await saveBracket(tournament);
+
+  match.games = [];
+  match.winner = undefined;
+  match.loser = undefined;
+  match.isDraw = false;
+  match.completedAt = undefined;
+  match.confirmedBy = undefined;
+  match.status = match.scheduledAt ? 'scheduled' : 'ready';
+  await match.save();
+
+  await syncNodes(
+    tournament,
+    changed.filter(nodeId => nodeId !== match.bracketMatchId)
+  );
+
+  return match;
+};
+
+// Record a report. Officials confirm directly; captains must agree, and
+// conflicting captain reports open a dispute. Returns the resulting status.
+export const submitReport = async (match, tournament, result, reporter) => {
+  const report = {
+    reportedBy: reporter.userId,
+    team: reporter.team,
+    role: reporter.role,
+    games: result.games,
+    winner: result.winner,
+    isDraw: result.isDraw,
+    reportedAt: new Date(),
+  };
+
+  if (reporter.role !== 'captain') {
+    match.reports.push(report);
+    await confirmResult(match, tournament, result, reporter.userId);
+    return 'completed';
+  }
+
+  // A captain's newer report replaces their previous one
+  match.reports = match.reports.filter(r => id(r.team) !== id(reporter.team));
+  match.reports.push(report);
+
+  const captainReports = match.reports.filter(r => r.role === 'captain');
+
+  if (captainReports.length < 2) {
+    match.status = 'awaiting_confirmation';
+    await match.save();
+    eventBus.emit('match.reported', { match, tournament });
+    return match.status;
+  }
+
+  if (sameResult(captainReports[0], captainReports[1])) {
+    await confirmResult(match, tournament, result, reporter.userId);
+    return 'completed';
+  }
+
+  match.status = 'disputed';
+  match.dispute = {
+    isOpen: true,
+    openedAt: new Date(),
+    reason: 'Captain reports do not agree',
+  };
+  await match.save();
+  eventBus.emit('match.reported', { match, tournament });
+  return match.status;
+};
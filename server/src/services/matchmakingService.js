@@ -0,0 +1,232 @@
+import Rating, { DEFAULT_RATING } from '../models/rating.js';
+import User from '../models/user.js';
+import { normalizeGame } from '../utils/games.js';
+import { id } from '../utils/ids.js';
+import { shuffle } from '../utils/shuffle.js';
+import { addMember, createTeam, deleteTeam } from './teamService.js';
+
+// Groups unmatched solo registrants into teams of tournament.teamSize.
+// Organizers preview a proposal (stored on tournament.matchmakingPreview),
+// may rerun it, and commit it to create and register the teams.
+//
+// Preview structure:
+// {
+//   generatedAt, generatedBy, balanceBy: 'rating' | 'winRate',
+//   teams: [{
+//     name, tag, captain: '<userId>', averageStrength,
+//     players: [{ player: '<userId>', strength, role: 'support' | null }],
+//   }],
+//   unmatched: [{ player: '<userId>', reason }],
+// }
+
+export const BALANCE_MODES = ['rating', 'winRate'];
+
+const average = values =>
+  values.reduce((total, value) => total + value, 0) / values.length;
+
+// Player strength for balancing: user id -> number
+const playerStrengths = async (tournament, users, balanceBy) => {
+  if (balanceBy === 'winRate') {
+    return new Map(users.map(user => [id(user._id), Number(user.winRate)]));
+  }
+
+  const ratings = await Rating.findFor(
+    'User',
+    users.map(user => user._id),
+    normalizeGame(tournament.game)
+  );
+  return new Map(
+    users.map(user => [
+      id(user._id),
+      ratings.find(r => id(r.subject) === id(user._id))?.rating ??
+        DEFAULT_RATING,
+    ])
+  );
+};
+
+// Deal players into `teamCount` teams tier by tier. Every team takes one
+// player from each strength tier, snaking the pick order, and prefers a
+// player whose preferred role the team still lacks. Players are
+// [{ player, strength, preferredRoles }].
+export const groupPlayers = (players, teamSize, teamCount) => {
+  // Shuffle first so equal strengths land differently on every rerun
+  const ranked = shuffle(players).sort((a, b) => b.strength - a.strength);
+  const teams = Array.from({ length: teamCount }, () => []);
+
+  for (let tier = 0; tier < teamSize; tier++) {
+    const pool = ranked.slice(tier * teamCount, (tier + 1) * teamCount);
+    const order = tier % 2 === 0 ? teams : [...teams].reverse();
+
+    order.forEach(team => {
+      const taken = team.map(member => member.role).filter(Boolean);
+      const neededRole = candidate =>
+        candidate.preferredRoles.find(role => !taken.includes(role));
+
+      const index = pool.findIndex(neededRole);
+      const [candidate] = pool.splice(Math.max(index, 0), 1);
+      team.push({
+        player: candidate.player,
+        strength: candidate.strength,
+        role: neededRole(candidate) || null,
+      });
+    });
+  }
+
+  return teams;
+};
+
+// Build a proposal from the current unmatched solo players
+export const previewMatchmaking = async (
+  tournament,
+  { balanceBy = 'rating', generatedBy }
+) => {
+  const waiting = tournament.soloPlayers
+    .filter(s => !s.matched)
+    .sort((a, b) => a.registeredAt - b.registeredAt);
+
+  const users = await User.find({
+    _id: { $in: waiting.map(s => s.player) },
+  }).select(
+    'fullName department yearOfStudy isActive matchesWon totalMatchesPlayed'
+  );
+
+  const unmatched = [];
+  const eligible = [];
+  waiting.forEach(registration => {
+    const user = users.find(u => id(u._id) === id(registration.player));
+    const reason = !user?.isActive
+      ? 'Account is inactive'
+      : tournament.getEligibilityError(user);
+
+    if (reason) {
+      unmatched.push({ player: id(registration.player), reason });
+    } else {
+      eligible.push({ registration, user });
+    }
+  });
+
+  // Earliest registrants get the available places
+  const { teamSize } = tournament;
+  const openSlots = Math.max(
+    tournament.maxTeams - tournament.registeredTeams.length,
+    0
+  );
+  const possibleTeams = Math.floor(eligible.length / teamSize);
+  const teamCount = Math.min(possibleTeams, openSlots);
+  const selected = eligible.slice(0, teamCount * teamSize);
+
+  eligible.slice(teamCount * teamSize).forEach(({ registration }) => {
+    unmatched.push({
+      player: id(registration.player),
+      reason:
+        possibleTeams > openSlots
+          ? 'Tournament is full'
+          : 'Not enough players for another team',
+    });
+  });
+
+  const strengths = await playerStrengths(
+    tournament,
+    selected.map(s => s.user),
+    balanceBy
+  );
+  const groups = groupPlayers(
+    selected.map(({ registration, user }) => ({
+      player: id(user._id),
+      strength: strengths.get(id(user._id)),
+      preferredRoles: registration.preferredRoles || [],
+    })),
+    teamSize,
+    teamCount
+  );
+
+  // Number after squads matched by earlier commits
+  const prefix = tournament.name.slice(0, 40);
+  const offset = new Set(
+    tournament.soloPlayers.filter(s => s.team).map(s => id(s.team))
+  ).size;
+  return {
+    generatedAt: new Date(),
+    generatedBy,
+    balanceBy,
+    teams: groups.map((players, index) => ({
+      name: `${prefix} Squad ${offset + index + 1}`,
+      tag: `SQ${offset + index + 1}`,
+      // The strongest player captains the team
+      captain: [...players].sort((a, b) => b.strength - a.strength)[0].player,
+      averageStrength:
+        Math.round(average(players.map(p => p.strength)) * 10) / 10,
+      players,
+    })),
+    unmatched,
+  };
+};
+
+// Reason the stored preview can no longer be committed, or null
+export const getPreviewError = tournament => {
+  const preview = tournament.matchmakingPreview;
+  if (!preview || preview.teams.length === 0) {
+    return 'There are no proposed teams to commit';
+  }
+
+  const stillWaiting = preview.teams
+    .flatMap(team => team.players)
+    .every(({ player }) => {
+      const registration = tournament.findSoloRegistration(player);
+      return registration && !registration.matched;
+    });
+  const fits =
+    tournament.registeredTeams.length + preview.teams.length <=
+    tournament.maxTeams;
+
+  if (!stillWaiting || !fits) {
+    return 'Registrations changed since the preview. Run it again.';
+  }
+
+  return null;
+};
+
+// Create and register the previewed teams, then save the tournament.
+// Check getPreviewError first. If any step fails the teams created so far
+// are deleted again, so a retry starts from a clean slate.
+export const commitMatchmaking = async tournament => {
+  const preview = tournament.matchmakingPreview;
+  const teams = [];
+
+  try {
+    for (const proposal of preview.teams) {
+      const team = await createTeam(proposal.captain, {
+        name: proposal.name,
+        tag: proposal.tag,
+        description: `Matched from solo registrations for ${tournament.name}`,
+      });
+      teams.push(team);
+
+      for (const { player } of proposal.players) {
+        if (player !== proposal.captain) {
+          await addMember(team, player, 'player');
+        }
+      }
+
+      tournament.registeredTeams.push({
+        team: team._id,
+        captain: proposal.captain,
+        registeredAt: new Date(),
+        approved: true,
+      });
+      proposal.players.forEach(({ player }) => {
+        const registration = tournament.findSoloRegistration(player);
+        registration.matched = true;
+        registration.team = team._id;
+      });
+    }
+
+    tournament.matchmakingPreview = null;
+    await tournament.save();
+  } catch (error) {
+    await Promise.all(teams.map(deleteTeam));
+    throw error;
+  }
+
+  return teams;
+};
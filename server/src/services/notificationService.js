@@ -0,0 +1,366 @@
+import Notification from '../models/notification.js';
+import Team from '../models/team.js';
+import User from '../models/user.js';
+import eventBus from '../utils/eventBus.js';
+import { clientUrl, sendMail } from '../utils/mailer.js';
+
+// Delivers notifications through pluggable channels. A channel is an object
+// with an async send(user, notification) method, keyed by the name of the
+// matching boolean in user.notificationPreferences. Tests can swap a channel
+// for a local stub with setNotificationChannel.
+
+// Stores the notification for the in-app inbox
+export const inAppChannel = {
+  send: (user, notification) =>
+    Notification.create({ ...notification, user: user._id }),
+};
+
+// Sends the notification through the mailer
+export const emailChannel = {
+  send: (user, notification) =>
+    sendMail({
+      to: user.email,
+      subject: notification.title,
+      text: [
+        notification.message,
+        notification.link && `${clientUrl()}${notification.link}`,
+      ]
+        .filter(Boolean)
+        .join('\n\n'),
+    }),
+};
+
+const channels = {
+  inApp: inAppChannel,
+  email: emailChannel,
+};
+
+// Replace or add a channel; pass null to disable one
+export const setNotificationChannel = (name, channel) => {
+  if (channel) {
+    channels[name] = channel;
+  } else {
+    delete channels[name];
+  }
+};
+
+// Send a notification to each user through the channels they allow.
+// `recipients` are user ids or User documents.
+export const notify = async (recipients, notification) => {
+  const ids = recipients.map(r => r._id ?? r);
+  const users = await User.find({ _id: { $in: ids }, isActive: true }).select(
+    'email notificationPreferences'
+  );
+
+  await Promise.all(
+    users.flatMap(user => {
+      const preferences = user.notificationPreferences || {};
+      if ((preferences.mutedTypes || []).includes(notification.type)) {
+        return [];
+      }
+
+      return Object.entries(channels)
+        .filter(([name]) => preferences[name] !== false)
+        .map(([name, channel]) =>
+          channel.send(user, notification).catch(error => {
+            console.error(`Notification ${name} delivery error:`, error);
+          })
+        );
+    })
+  );
+};
+
+const tournamentLink = tournament => `/tournaments/${tournament._id}`;
+
+// Organizer and co-organizers of a tournament
+const managersOf = tournament => [
+  tournament.organizer,
+  ...tournament.coOrganizers,
+];
+
+// Every rostered member of the given teams
+const membersOf = async teamIds => {
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('members');
+  return teams.flatMap(team => team.members.map(m => m.user));
+};
+
+// Captains and co-captains of the given teams
+const captainsOf = async teamIds => {
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('members');
+  return teams.flatMap(team =>
+    team.members
+      .filter(m => ['captain', 'co_captain'].includes(m.role))
+      .map(m => m.user)
+  );
+};
+
+// Event name -> handler returning the notification to send
+const handlers = {
+  'tournament.submitted': async ({ tournament }) =>
+    notify(await tournament.findApprovers(), {
+      type: 'tournament_submitted',
+      title: `Approval requested: ${tournament.name}`,
+      message: `${tournament.name} is waiting for faculty approval.`,
+      link: tournamentLink(tournament),
+      data: { tournament: tournament._id },
+    }),
+
+  'tournament.approved': ({ tournament }) =>
+    notify(managersOf(tournament), {
+      type: 'tournament_approved',
+      title: `${tournament.name} was approved`,
+      message: 'Registration is now open.',
+      link: tournamentLink(tournament),
+      data: { tournament: tournament._id },
+    }),
+
+  'tournament.rejected': ({ tournament, reason }) =>
+    notify(managersOf(tournament), {
+      type: 'tournament_rejected',
+      title: `${tournament.name} was rejected`,
+      message: reason,
+      link: tournamentLink(tournament),
+      data: { tournament: tournament._id },
+    }),
+
+  'tournament.changes_requested': ({ tournament, reason }) =>
+    notify(managersOf(tournament), {
+      type: 'tournament_changes_requested',
+      title: `Changes requested for ${tournament.name}`,
+      message: reason,
+      link: tournamentLink(tournament),
+      data: { tournament: tournament._id },
+    }),
+
+  'tournament.cancelled': async ({ tournament, reason }) =>
+    notify(
+      [
+        ...managersOf(tournament),
+        ...tournament.registeredTeams.map(r => r.captain),
+        ...tournament.soloPlayers.map(s => s.player),
+      ],
+      {
+        type: 'tournament_cancelled',
+        title: `${tournament.name} was cancelled`,
+        message: reason,
+        link: tournamentLink(tournament),
+        data: { tournament: tournament._id },
+      }
+    ),
+
+  'tournament.bracket_due': ({ tournament }) =>
+    notify(managersOf(tournament), {
+      type: 'bracket_due',
+      title: `Generate the bracket for ${tournament.name}`,
+      message:
+        'Registration has closed. Generate the bracket before the start date.',
+      link: tournamentLink(tournament),
+      data: { tournament: tournament._id },
+    }),
+
+  'registration.approved': ({ tournament, registration }) =>
+    notify([registration.captain], {
+      type: 'registration_approved',
+      title: `Registration accepted for ${tournament.name}`,
+      message: 'Your team is confirmed for the tournament.',
+      link: tournamentLink(tournament),
+      data: { tournament: tournament._id, team: registration.team },
+    }),
+
+  'registration.rejected': ({ tournament, registration }) =>
+    notify([registration.captain], {
+      type: 'registration_rejected',
+      title: `Registration declined for ${tournament.name}`,
+      message: 'The organizer did not accept your team registration.',
+      link: tournamentLink(tournament),
+      data: { tournament: tournament._id, team: registration.team },
+    }),
+
+  'waitlist.promoted': ({ tournament, registration }) =>
+    notify([registration.captain], {
+      type: 'waitlist_promoted',
+      title: `Off the waitlist for ${tournament.name}`,
+      message: registration.approved
+        ? 'A place opened up and your team is now registered.'
+        : 'A place opened up. Your registration is waiting for organizer approval.',
+      link: tournamentLink(tournament),
+      data: { tournament: tournament._id, team: registration.team },
+    }),
+
+  // Every team from `from` onwards moved up
+  'waitlist.moved': ({ tournament, from }) =>
+    Promise.all(
+      tournament.waitlist.slice(from).map((entry, index) =>
+        notify([entry.captain], {
+          type: 'waitlist_position',
+          title: `Waitlist update for ${tournament.name}`,
+          message: `Your team is now number ${from + index + 1} on the waitlist.`,
+          link: tournamentLink(tournament),
+          data: { tournament: tournament._id, team: entry.team },
+        })
+      )
+    ),
+
+  'matchmaking.committed': ({ tournament, teams }) =>
+    Promise.all(
+      teams.map(team =>
+        notify(
+          team.members.map(m => m.user),
+          {
+            type: 'solo_matched',
+            title: `You have a team for ${tournament.name}`,
+            message: `You were matched into ${team.name}. Say hello to your teammates.`,
+            link: `/teams/${team._id}`,
+            data: { tournament: tournament._id, team: team._id },
+          }
+        )
+      )
+    ),
+
+  'recruitment.applied': ({ listing, team }) =>
+    notify(
+      team.members
+        .filter(m => ['captain', 'co_captain'].includes(m.role))
+        .map(m => m.user),
+      {
+        type: 'recruitment_application',
+        title: `New application for ${team.name}`,
+        message: `A player applied to your listing "${listing.title}".`,
+        link: `/recruitment/${listing._id}`,
+        data: { listing: listing._id, team: team._id },
+      }
+    ),
+
+  'recruitment.responded': ({ listing, application, team, accepted }) =>
+    notify([application.user], {
+      type: 'recruitment_response',
+      title: accepted
+        ? `Welcome to ${team.name}`
+        : `Application to ${team.name} declined`,
+      message: accepted
+        ? 'Your application was accepted and you are now on the roster.'
+        : `Your application to "${listing.title}" was not accepted.`,
+      link: accepted ? `/teams/${team._id}` : `/recruitment/${listing._id}`,
+      data: { listing: listing._id, team: team._id },
+    }),
+
+  'recruitment.invited': ({ listing, team }) =>
+    notify([listing.author], {
+      type: 'team_invite',
+      title: `${team.name} invited you to join`,
+      message: `${team.name} saw your free-agent listing and wants you on the team.`,
+      link: '/teams/invites',
+      data: { listing: listing._id, team: team._id },
+    }),
+
+  'match.scheduled': async ({ match, tournament }) =>
+    notify(await membersOf(match.participants.map(p => p.team)), {
+      type: 'match_scheduled',
+      title: `Match scheduled in ${tournament.name}`,
+      message: `Your round ${match.round} match is set for ${match.scheduledAt.toUTCString()}.`,
+      link: `/matches/${match._id}`,
+      data: { tournament: tournament._id, match: match._id },
+    }),
+
+  'match.reschedule_requested': async ({ match, tournament, request }) =>
+    notify(
+      [
+        ...managersOf(tournament),
+        ...(await captainsOf([match.getOpponent(request.team)])),
+      ],
+      {
+        type: 'reschedule_requested',
+        title: `Reschedule proposed in ${tournament.name}`,
+        message: `A captain asked to move the round ${match.round} match to ${request.proposedAt.toUTCString()}.`,
+        link: `/matches/${match._id}`,
+        data: { tournament: tournament._id, match: match._id },
+      }
+    ),
+
+  'match.reschedule_resolved': ({ match, tournament, request }) =>
+    notify([request.requestedBy], {
+      type: 'reschedule_resolved',
+      title: `Reschedule ${request.status} in ${tournament.name}`,
+      message:
+        request.status === 'approved'
+          ? `Your match now starts ${request.proposedAt.toUTCString()}.`
+          : 'Your proposed time was not accepted. The match keeps its slot.',
+      link: `/matches/${match._id}`,
+      data: { tournament: tournament._id, match: match._id },
+    }),
+
+  'match.walkover': async ({ match, tournament, team }) =>
+    notify(await membersOf(match.participants.map(p => p.team)), {
+      type: 'walkover',
+      title: `Walkover in ${tournament.name}`,
+      message: `A team did not check in for match ${match.bracketMatchId} and forfeits. Its opponent advances.`,
+      link: `/matches/${match._id}`,
+      data: { tournament: tournament._id, match: match._id, team },
+    }),
+
+  'match.no_show': ({ match, tournament }) =>
+    notify(managersOf(tournament), {
+      type: 'no_show',
+      title: `No-show in ${tournament.name}`,
+      message: `Neither team checked in for match ${match.bracketMatchId}. Excuse one team or record a result.`,
+      link: `/matches/${match._id}`,
+      data: { tournament: tournament._id, match: match._id },
+    }),
+
+  'protest.filed': async ({ protest, match, tournament }) =>
+    notify(
+      [
+        ...managersOf(tournament),
+        ...(await captainsOf([match.getOpponent(protest.team)])),
+      ],
+      {
+        type: 'protest_filed',
+        title: `Protest filed in ${tournament.name}`,
+        message: `Match ${match.bracketMatchId} is under protest (${protest.category.replace('_', ' ')}). Later matches wait for a ruling.`,
+        link: `/protests/${protest._id}`,
+        data: { tournament: tournament._id, match: match._id },
+      }
+    ),
+
+  'protest.ruled': async ({ protest, match, tournament }) =>
+    notify(await captainsOf(match.participants.map(p => p.team)), {
+      type: 'protest_ruled',
+      title: `Ruling on match ${match.bracketMatchId}`,
+      message: `The protest was ruled: ${protest.ruling.decision}. ${protest.ruling.reason}`,
+      link: `/protests/${protest._id}`,
+      data: { tournament: tournament._id, match: match._id },
+    }),
+
+  'auth.email_verified': ({ user }) =>
+    notify([user], {
+      type: 'email_verified',
+      title: 'Email verified',
+      message: 'Your email address is verified. You can now register.',
+      link: '/profile',
+    }),
+
+  'auth.password_reset': ({ user }) =>
+    notify([user], {
+      type: 'password_changed',
+      title: 'Your password was changed',
+      message:
+        'Your password was reset and all devices were signed out. If this was not you, contact an admin.',
+      link: '/login',
+    }),
+};
+
+let subscribed = false;
+
+// Attach the notification handlers to the event bus once
+export const startNotifications = () => {
+  if (subscribed) return;
+  subscribed = true;
+
+  Object.entries(handlers).forEach(([event, handler]) => {
+    eventBus.on(event, payload => {
+      Promise.resolve(handler(payload)).catch(error => {
+        console.error(`Notification handler error (${event}):`, error);
+      });
+    });
+  });
+};
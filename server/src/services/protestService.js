@@ -0,0 +1,160 @@
+import Protest from '../models/protest.js';
+import { findMatch, getRevertError } from './bracketService.js';
+import {
+  confirmResult,
+  parseReport,
+  resumeBracket,
+  revertMatchResult,
+} from './matchService.js';
+import eventBus from '../utils/eventBus.js';
+import { id } from '../utils/ids.js';
+
+// Protests on match results. Filing blocks the bracket slots the match
+// feeds; a ruling settles every pending protest on the match at once and
+// feeds back into bracket advancement.
+
+const DEFAULT_WINDOW_HOURS = 24;
+
+// Hours after a result is confirmed during which it can still be protested
+const protestWindowHours = () =>
+  Number(process.env.PROTEST_WINDOW_HOURS) || DEFAULT_WINDOW_HOURS;
+
+// When a result confirmed at `completedAt` can no longer be protested
+export const protestDeadline = completedAt =>
+  new Date(completedAt.getTime() + protestWindowHours() * 60 * 60 * 1000);
+
+// Reason the match cannot be protested right now, or null
+export const getFilingError = (match, tournament) => {
+  if (tournament.status !== 'ongoing') {
+    return 'Protests can only be filed while the tournament is ongoing';
+  }
+  if (['pending', 'bye', 'void'].includes(match.status)) {
+    return `Cannot protest a ${match.status} match`;
+  }
+
+  if (match.status === 'completed') {
+    if (protestDeadline(match.completedAt) < new Date()) {
+      return `Results can only be protested within ${protestWindowHours()} hours`;
+    }
+  }
+
+  return null;
+};
+
+// Pending protest on this match or on a match that feeds it
+export const findBlockingProtest = (match, tournament) => {
+  const node = tournament.bracket
+    ? findMatch(tournament.bracket, match.bracketMatchId)
+    : null;
+  const feeders = node
+    ? node.slots.filter(slot => slot.from).map(slot => slot.from.match)
+    : [];
+
+  return Protest.findPendingFor(tournament._id, [
+    match.bracketMatchId,
+    ...feeders,
+  ]);
+};
+
+// Check a ruling body. Returns { error } or { decision, result, forfeitedTeam }
+export const parseRuling = (match, tournament, body) => {
+  const { decision } = body;
+
+  if (decision === 'confirm') {
+    if (match.status !== 'completed') {
+      return { error: 'There is no confirmed result to uphold yet' };
+    }
+    return { decision };
+  }
+
+  if (match.status === 'completed') {
+    const revertError = getRevertError(
+      tournament.bracket,
+      match.bracketMatchId
+    );
+    if (revertError) return { error: revertError };
+  }
+
+  if (decision === 'replay') {
+    return { decision };
+  }
+
+  if (decision === 'overturn') {
+    const result = parseReport(match, tournament, body.result || {});
+    if (result.error) return { error: result.error };
+    return { decision, result };
+  }
+
+  if (decision === 'forfeit') {
+    const forfeitedTeam = id(body.forfeitedTeam);
+    if (!forfeitedTeam || !match.hasTeam(forfeitedTeam)) {
+      return { error: 'Forfeited team must be a participant of this match' };
+    }
+    const opponent = match.getOpponent(forfeitedTeam);
+    if (!opponent) {
+      return { error: 'The opponent is not known yet' };
+    }
+    return {
+      decision,
+      forfeitedTeam,
+      result: { games: [], winner: id(opponent), isDraw: false },
+    };
+  }
+
+  return { error: 'Decision must be confirm, overturn, replay or forfeit' };
+};
+
+// Apply a parsed ruling to the match and bracket, and resolve the match's
+// pending protests with it
+export const applyRuling = async (
+  protest,
+  match,
+  tournament,
+  { decision, result, forfeitedTeam },
+  { reason, ruledBy }
+) => {
+  const now = new Date();
+
+  if (decision !== 'confirm' && match.status === 'completed') {
+    await revertMatchResult(match, tournament);
+  }
+
+  if (decision === 'overturn' || decision === 'forfeit') {
+    match.forfeitedTeam = forfeitedTeam;
+    await confirmResult(match, tournament, result, ruledBy);
+  } else {
+    if (decision === 'replay') {
+      match.reports = [];
+      match.forfeitedTeam = undefined;
+      match.status = match.scheduledAt ? 'scheduled' : 'ready';
+    }
+    if (match.dispute.isOpen) {
+      match.dispute.isOpen = false;
+      match.dispute.resolvedAt = now;
+      match.dispute.resolvedBy = ruledBy;
+    }
+    await match.save();
+  }
+
+  const ruling = {
+    decision,
+    winner: result?.winner,
+    isDraw: result?.isDraw,
+    forfeitedTeam,
+    reason,
+    ruledBy,
+    ruledAt: now,
+  };
+  await Protest.updateMany(
+    { match: match._id, status: 'pending' },
+    { status: 'resolved', ruling }
+  );
+  protest.set({ status: 'resolved', ruling });
+
+  // Settled protests may unblock the next swiss round or the final result
+  await resumeBracket(tournament);
+
+  eventBus.emit('protest.ruled', { protest, match, tournament });
+
+  return protest;
+};
@@ -0,0 +1,160 @@
+import Match from '../models/match.js';
+import Rating, { DEFAULT_RATING } from '../models/rating.js';
+import eventBus from '../utils/eventBus.js';
+import { normalizeGame } from '../utils/games.js';
+import { id } from '../utils/ids.js';
+import { findLineups, findPlayersByTeam } from './teamService.js';
+
+// Elo ratings per game for teams and for the players on them. Teams are
+// rated against the opposing team; each player is rated against the
+// average rating of the opposing players.
+
+const K_FACTOR = 32;
+// New ratings move faster until they settle
+const PROVISIONAL_K_FACTOR = 48;
+
+const average = values =>
+  values.length
+    ? values.reduce((total, value) => total + value, 0) / values.length
+    : DEFAULT_RATING;
+
+// Probability that `rating` beats `opponentRating`
+export const expectedScore = (rating, opponentRating) =>
+  1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+const kFactor = rating =>
+  rating.isProvisional ? PROVISIONAL_K_FACTOR : K_FACTOR;
+
+// Rating documents for the subjects, new ones for the unrated: id -> Rating
+const loadRatings = async (subjectType, subjectIds, tournament) => {
+  const game = normalizeGame(tournament.game);
+  const existing = await Rating.findFor(subjectType, subjectIds, game);
+
+  return new Map(
+    subjectIds.map(subject => [
+      id(subject),
+      existing.find(r => id(r.subject) === id(subject)) ||
+        new Rating({
+          subjectType,
+          subject,
+          game,
+          gameName: tournament.game.trim(),
+        }),
+    ])
+  );
+};
+
+// Update team and player ratings from a completed match
+export const recordMatchRatings = async (match, tournament) => {
+  // Walkovers were never played
+  if (match.status !== 'completed' || match.walkover) return false;
+
+  const claimed = await Match.findOneAndUpdate(
+    { _id: match._id, status: 'completed', ratingRecorded: false },
+    { $set: { ratingRecorded: true } }
+  );
+  if (!claimed) return false;
+
+  const teamIds = match.participants.map(p => p.team);
+  const scores = teamIds.map(team => {
+    if (match.isDraw) return 0.5;
+    return id(match.winner) === id(team) ? 1 : 0;
+  });
+  const context = { match: match._id, tournament: tournament._id };
+
+  // Teams
+  const teamRatings = await loadRatings('Team', teamIds, tournament);
+  const teams = teamIds.map(team => teamRatings.get(id(team)));
+  const teamBefore = teams.map(r => r.rating);
+  teams.forEach((rating, i) => {
+    const opponentRating = teamBefore[1 - i];
+    rating.applyResult(
+      kFactor(rating) *
+        (scores[i] - expectedScore(teamBefore[i], opponentRating)),
+      { ...context, opponentRating, score: scores[i] }
+    );
+  });
+
+  // Players
+  const players = await findLineups(tournament, teamIds);
+  const rosters = teamIds.map(team => players.get(id(team)) || []);
+  const playerRatings = await loadRatings('User', rosters.flat(), tournament);
+  const averages = rosters.map(roster =>
+    average(roster.map(user => playerRatings.get(id(user)).rating))
+  );
+  rosters.forEach((roster, i) => {
+    roster.forEach(user => {
+      const rating = playerRatings.get(id(user));
+      const opponentRating = averages[1 - i];
+      rating.applyResult(
+        kFactor(rating) *
+          (scores[i] - expectedScore(rating.rating, opponentRating)),
+        { ...context, opponentRating, score: scores[i] }
+      );
+    });
+  });
+
+  await Promise.all(
+    [...teams, ...playerRatings.values()].map(rating => rating.save())
+  );
+
+  return true;
+};
+
+// Take a reverted result back out of team and player ratings so the new
+// result can be rated
+export const revertMatchRatings = async match => {
+  const claimed = await Match.findOneAndUpdate(
+    { _id: match._id, ratingRecorded: true },
+    { $set: { ratingRecorded: false } }
+  );
+  if (!claimed) return false;
+
+  const ratings = await Rating.find({ 'history.match': match._id });
+  await Promise.all(
+    ratings
+      .filter(rating => rating.revertResult(match._id))
+      .map(rating => rating.save())
+  );
+
+  return true;
+};
+
+// Seeding strength of each team: its own rating, else the average of its
+// players' ratings, else the default. Returns team id -> rating.
+export const getSeedRatings = async (tournament, teamIds) => {
+  const game = normalizeGame(tournament.game);
+  const teamRatings = await Rating.findFor('Team', teamIds, game);
+
+  const players = await findPlayersByTeam(teamIds);
+  const playerRatings = await Rating.findFor(
+    'User',
+    [...players.values()].flat(),
+    game
+  );
+
+  return new Map(
+    teamIds.map(team => {
+      const own = teamRatings.find(r => id(r.subject) === id(team));
+      if (own) return [id(team), own.rating];
+
+      const roster = (players.get(id(team)) || []).map(id);
+      const rated = playerRatings.filter(r => roster.includes(id(r.subject)));
+      return [id(team), average(rated.map(r => r.rating))];
+    })
+  );
+};
+
+let started = false;
+
+// Attach the rating handler to the event bus once
+export const startRatings = () => {
+  if (started) return;
+  started = true;
+
+  eventBus.on('match.completed', ({ match, tournament }) =>
+    recordMatchRatings(match, tournament).catch(error =>
+      console.error('Record match ratings error:', error)
+    )
+  );
+};
@@ -0,0 +1,26 @@
+import RecruitmentListing from '../models/recruitmentListing.js';
+import User from '../models/user.js';
+
+// Keeps free-agent listings and User.isAvailableForSoloMatch in sync. A
+// user is available while they have at least one open player listing.
+
+export const syncAvailability = async userId => {
+  const listed = await RecruitmentListing.exists({
+    type: 'player',
+    author: userId,
+    status: 'open',
+  });
+  await User.updateOne(
+    { _id: userId },
+    { isAvailableForSoloMatch: Boolean(listed) }
+  );
+};
+
+// A free agent who joined a team for this game is no longer looking
+export const closePlayerListings = async (userId, game) => {
+  await RecruitmentListing.updateMany(
+    { type: 'player', author: userId, game, status: 'open' },
+    { status: 'filled' }
+  );
+  await syncAvailability(userId);
+};
@@ -0,0 +1,249 @@
+import Match from '../models/match.js';
+import Protest from '../models/protest.js';
+import Tournament from '../models/tournament.js';
+import eventBus from '../utils/eventBus.js';
+import { enforceCheckIns } from './checkInService.js';
+import {
+  buildTournamentBracket,
+  discardBracketMatches,
+} from './matchService.js';
+import { protestDeadline } from './protestService.js';
+
+// Moves tournaments through their lifecycle based on dates:
+//   registration_open   -> registration_closed  at registrationEnd
+//   registration_closed -> bracket generated    (or organizer prompted)
+//   registration_closed -> ongoing              at startDate, once bracketed
+//   ongoing: teams that missed check-in forfeit once it closes
+//   ongoing             -> completed            once a winner is declared,
+//                                                the protest window after
+//                                                the last result has passed
+//                                                and no protest is pending
+//
+// Every step claims the tournament with a conditional update on its current
+// state, so a tick that runs twice, overlaps with another process or
+// resumes after a restart never applies the same transition twice.
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Conditionally move one tournament from `from` to `to`. Resolves to the
+// updated document, or null if another tick got there first.
+const transition = async (
+  tournamentId,
+  from,
+  to,
+  at,
+  reason,
+  conditions = {}
+) => {
+  const tournament = await Tournament.findOneAndUpdate(
+    { _id: tournamentId, status: from, ...conditions },
+    {
+      $set: { status: to },
+      $push: { statusHistory: { from, to, at, reason } },
+    },
+    { new: true }
+  );
+
+  // Atomic updates skip the model's save hooks
+  if (tournament) {
+    eventBus.emit('tournament.status_changed', {
+      tournament,
+      from,
+      to,
+      reason,
+    });
+  }
+
+  return tournament;
+};
+
+const closeRegistration = async now => {
+  const due = await Tournament.find({
+    status: 'registration_open',
+    registrationEnd: { $lte: now },
+  }).select('_id');
+
+  const closed = await Promise.all(
+    due.map(({ _id }) =>
+      transition(
+        _id,
+        'registration_open',
+        'registration_closed',
+        now,
+        'Registration deadline passed'
+      )
+    )
+  );
+
+  return closed.filter(Boolean);
+};
+
+const prepareBrackets = async (now, logger) => {
+  const due = await Tournament.find({
+    status: 'registration_closed',
+    bracketGenerated: false,
+    bracketRequestedAt: null,
+  }).select('_id');
+
+  const prepared = [];
+
+  for (const { _id } of due) {
+    const tournament = await Tournament.findOneAndUpdate(
+      { _id, bracketGenerated: false, bracketRequestedAt: null },
+      { $set: { bracketRequestedAt: now } },
+      { new: true }
+    );
+    if (!tournament) continue;
+
+    if (!tournament.autoGenerateBracket) {
+      logger.info(
+        `Scheduler: tournament ${_id} is waiting for its bracket to be generated`
+      );
+      eventBus.emit('tournament.bracket_due', { tournament });
+      prepared.push({ tournament: _id, action: 'prompted' });
+      continue;
+    }
+
+    try {
+      await buildTournamentBracket(tournament, { seeding: 'random' });
+      await tournament.save().catch(async error => {
+        await discardBracketMatches(tournament);
+        throw error;
+      });
+      eventBus.emit('bracket.updated', { tournament });
+      prepared.push({ tournament: _id, action: 'generated' });
+    } catch (error) {
+      // Leave it to the organizer, e.g. too few approved teams
+      logger.error(
+        `Scheduler: could not generate bracket for ${_id}:`,
+        error.message
+      );
+      eventBus.emit('tournament.bracket_due', { tournament });
+      prepared.push({ tournament: _id, action: 'failed' });
+    }
+  }
+
+  return prepared;
+};
+
+const startTournaments = async now => {
+  const due = await Tournament.find({
+    status: 'registration_closed',
+    bracketGenerated: true,
+    startDate: { $lte: now },
+  }).select('_id');
+
+  const started = await Promise.all(
+    due.map(({ _id }) =>
+      transition(
+        _id,
+        'registration_closed',
+        'ongoing',
+        now,
+        'Start date reached',
+        { bracketGenerated: true }
+      )
+    )
+  );
+
+  return started.filter(Boolean);
+};
+
+// Settle matches of ongoing tournaments whose check-in has closed. Each
+// match is claimed before it is settled; see services/checkInService.js.
+const settleCheckIns = async (now, logger) => {
+  const due = await Tournament.find({
+    status: 'ongoing',
+    $or: [{ 'checkIn.tournament': true }, { 'checkIn.matches': true }],
+  });
+
+  const settled = [];
+  for (const tournament of due) {
+    try {
+      settled.push(...(await enforceCheckIns(tournament, now)));
+    } catch (error) {
+      // Retried next tick; other tournaments still settle
+      logger.error(
+        `Scheduler: could not settle check-ins for ${tournament._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return settled;
+};
+
+const completeTournaments = async now => {
+  const protested = await Protest.distinct('tournament', { status: 'pending' });
+  const due = await Tournament.find({
+    _id: { $nin: protested },
+    status: 'ongoing',
+    'winner.team': { $ne: null },
+  }).select('_id');
+
+  const completed = await Promise.all(
+    due.map(async ({ _id }) => {
+      // The final result stays open to protest like any other
+      const last = await Match.findOne({ tournament: _id, status: 'completed' })
+        .sort({ completedAt: -1 })
+        .select('completedAt');
+      if (last?.completedAt && protestDeadline(last.completedAt) > now) {
+        return null;
+      }
+
+      return transition(_id, 'ongoing', 'completed', now, 'Winner declared');
+    })
+  );
+
+  return completed.filter(Boolean);
+};
+
+// Create a scheduler. `clock` returns the current Date and can be replaced
+// with a fake in tests; call tick() directly to run one pass.
+export const createScheduler = ({
+  clock = () => new Date(),
+  intervalMs = DEFAULT_INTERVAL_MS,
+  logger = console,
+} = {}) => {
+  let timer = null;
+  let running = null;
+
+  const runTick = async () => {
+    const now = clock();
+    const summary = {
+      closed: (await closeRegistration(now)).map(t => t._id),
+      brackets: await prepareBrackets(now, logger),
+      started: (await startTournaments(now)).map(t => t._id),
+      checkIns: await settleCheckIns(now, logger),
+      completed: (await completeTournaments(now)).map(t => t._id),
+    };
+    return summary;
+  };
+
+  // Overlapping calls share the pass already in flight
+  const tick = () => {
+    if (!running) {
+      running = runTick().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch(error => logger.error('Scheduler tick error:', error));
+    }, intervalMs);
+    timer.unref();
+    tick().catch(error => logger.error('Scheduler tick error:', error));
+  };
+
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+    if (running) await running.catch(() => {});
+  };
+
+  return { start, stop, tick };
+};
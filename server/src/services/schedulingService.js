@@ -0,0 +1,454 @@
+import mongoose from 'mongoose';
+import Match from '../models/match.js';
+import Team from '../models/team.js';
+import Venue from '../models/venue.js';
+import eventBus from '../utils/eventBus.js';
+import { normalizeGame } from '../utils/games.js';
+import { id } from '../utils/ids.js';
+import { findMatch } from './bracketService.js';
+import { findPlayersByTeam } from './teamService.js';
+
+// Assigns matches to venues and time slots. Constraints:
+// - a match starts after the matches feeding it have ended, plus rest
+// - a team gets tournament.scheduleSettings.restMinutes between matches
+// - a player on several rosters is never booked into two matches at once,
+//   whichever tournaments those matches belong to
+// - a venue hosts one match at a time and is closed during blackouts
+// - matches are played inside the daily window (dayStart-dayEnd)
+
+// Matches that no longer occupy their slot
+const FINISHED_STATUSES = ['completed', 'bye', 'void'];
+
+// Matches scheduled before durations were stored
+const DEFAULT_DURATION = 60;
+
+// Candidate start times are tried in these steps
+const SLOT_STEP = 15;
+
+// Give up on a match that cannot be placed within this many days
+const HORIZON_DAYS = 60;
+
+const MINUTE = 60 * 1000;
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const addMinutes = (date, minutes) =>
+  new Date(date.getTime() + minutes * MINUTE);
+
+// 'HH:MM' -> minutes after midnight
+const minuteOfDay = value => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const atMinute = (date, minute) => {
+  const result = new Date(date);
+  result.setHours(0, minute, 0, 0);
+  return result;
+};
+
+// Booked interval of a scheduled match
+export const slotOf = match => ({
+  start: match.scheduledAt,
+  end: match.scheduledEnd || addMinutes(match.scheduledAt, DEFAULT_DURATION),
+});
+
+// Interval a match starting at `start` would occupy in this tournament
+export const slotFor = (tournament, start) => ({
+  start,
+  end: addMinutes(start, tournament.scheduleSettings.matchDuration),
+});
+
+// Earliest start at or after `date` for a match that fits in the daily
+// window; rolls over to the next morning when it would run past dayEnd
+export const nextPlayableStart = (date, settings) => {
+  const dayStart = minuteOfDay(settings.dayStart);
+  const dayEnd = minuteOfDay(settings.dayEnd);
+
+  let start = new Date(date);
+  const opening = atMinute(start, dayStart);
+  if (start < opening) start = opening;
+
+  if (addMinutes(start, settings.matchDuration) > atMinute(start, dayEnd)) {
+    const tomorrow = new Date(start);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    start = atMinute(tomorrow, dayStart);
+  }
+
+  return start;
+};
+
+// Greedy scheduler, pure. Places each match in the earliest slot that
+// satisfies every constraint, in the order given.
+//
+//   matches:  [{ id, teams: [teamId], dependsOn: [matchId] }]
+//   venues:   [venueId], in order of preference
+//   busy:     { venues: Map venueId -> [interval], teams: Map teamId -> [interval] }
+//   ends:     Map matchId -> Date for matches already scheduled
+//   settings: { matchDuration, restMinutes, dayStart, dayEnd }
+//
+// Returns { assignments: [{ id, start, end, venue }], unscheduled: [{ id, reason }] }
+export const planSchedule = ({
+  matches,
+  venues,
+  busy,
+  ends = new Map(),
+  settings,
+  from,
+}) => {
+  const { matchDuration, restMinutes } = settings;
+  const horizon = addMinutes(from, HORIZON_DAYS * 24 * 60);
+  const venueBusy = new Map(
+    venues.map(v => [v, [...(busy.venues.get(v) || [])]])
+  );
+  const teamBusy = new Map(busy.teams);
+  const finishes = new Map(ends);
+  const assignments = [];
+  const unscheduled = [];
+
+  const teamFree = (team, slot) =>
+    !(teamBusy.get(team) || []).some(interval =>
+      overlaps(
+        {
+          start: addMinutes(slot.start, -restMinutes),
+          end: addMinutes(slot.end, restMinutes),
+        },
+        interval
+      )
+    );
+
+  for (const match of matches) {
+    const waitingOn = match.dependsOn.find(dep => !finishes.has(dep));
+    if (waitingOn) {
+      unscheduled.push({
+        id: match.id,
+        reason: `Waits for match ${waitingOn}, which is not scheduled`,
+      });
+      continue;
+    }
+
+    const earliest = match.dependsOn.reduce((latest, dep) => {
+      const ready = addMinutes(finishes.get(dep), restMinutes);
+      return ready > latest ? ready : latest;
+    }, from);
+
+    let placed = null;
+    let start = nextPlayableStart(earliest, settings);
+    while (!placed && start < horizon) {
+      const slot = { start, end: addMinutes(start, matchDuration) };
+      const venue = venues.find(
+        v => !venueBusy.get(v).some(interval => overlaps(slot, interval))
+      );
+
+      if (venue && match.teams.every(team => teamFree(team, slot))) {
+        placed = { ...slot, venue };
+      } else {
+        start = nextPlayableStart(addMinutes(start, SLOT_STEP), settings);
+      }
+    }
+
+    if (!placed) {
+      unscheduled.push({
+        id: match.id,
+        reason: `No free slot within ${HORIZON_DAYS} days`,
+      });
+      continue;
+    }
+
+    venueBusy.get(placed.venue).push(placed);
+    match.teams.forEach(team => {
+      teamBusy.set(team, [...(teamBusy.get(team) || []), placed]);
+    });
+    finishes.set(match.id, placed.end);
+    assignments.push({ id: match.id, ...placed });
+  }
+
+  return { assignments, unscheduled };
+};
+
+// Scheduled, unfinished matches that tie up the given teams: their own
+// matches and those of any team sharing a player with them.
+// Returns [{ team, match, viaTeam }] where `team` is one of `teamIds`.
+export const loadCommitments = async (teamIds, exclude = {}) => {
+  const ownIds = teamIds.map(id);
+  const playersByTeam = await findPlayersByTeam(ownIds);
+  const players = [...playersByTeam.values()].flat();
+
+  const relatedTeams = await Team.find({
+    $or: [{ _id: { $in: ownIds } }, { 'members.user': { $in: players } }],
+  }).select('members');
+
+  // Related team -> own teams it blocks
+  const blocks = new Map();
+  relatedTeams.forEach(related => {
+    const roster = related.members
+      .filter(m => m.role !== 'manager')
+      .map(m => id(m.user));
+    const affected = ownIds.filter(
+      own =>
+        own === id(related._id) ||
+        (playersByTeam.get(own) || []).some(player =>
+          roster.includes(id(player))
+        )
+    );
+    if (affected.length > 0) blocks.set(id(related._id), affected);
+  });
+
+  const matches = await Match.find({
+    'participants.team': { $in: [...blocks.keys()] },
+    scheduledAt: { $ne: null },
+    status: { $nin: FINISHED_STATUSES },
+    ...(exclude.tournament && { tournament: { $ne: exclude.tournament } }),
+    ...(exclude.match && { _id: { $ne: exclude.match } }),
+  });
+
+  return matches.flatMap(match =>
+    match.participants
+      .filter(p => p.team && blocks.has(id(p.team)))
+      .flatMap(p =>
+        blocks.get(id(p.team)).map(team => ({
+          team,
+          match,
+          viaTeam: id(p.team),
+        }))
+      )
+  );
+};
+
+// Bookings and blackouts of the given venues: venue id -> [interval]
+const loadVenueBookings = async (venues, exclude = {}) => {
+  const bookings = new Map(
+    venues.map(venue => [
+      id(venue._id),
+      venue.blackouts.map(b => ({ start: b.start, end: b.end })),
+    ])
+  );
+
+  const matches = await Match.find({
+    venue: { $in: venues.map(v => v._id) },
+    scheduledAt: { $ne: null },
+    status: { $nin: FINISHED_STATUSES },
+    ...(exclude.tournament && { tournament: { $ne: exclude.tournament } }),
+    ...(exclude.match && { _id: { $ne: exclude.match } }),
+  });
+  matches.forEach(match => bookings.get(id(match.venue)).push(slotOf(match)));
+
+  return bookings;
+};
+
+// Venues the tournament may use. Returns an error message or null.
+export const getScheduleVenueError = (tournament, venues) => {
+  const { requiredResources } = tournament.scheduleSettings;
+  const game = normalizeGame(tournament.game);
+
+  for (const venue of venues) {
+    if (!venue.isActive) return `${venue.name} is no longer available`;
+    if (!venue.supportsGame(game)) {
+      return `${venue.name} cannot host ${tournament.game}`;
+    }
+    if (!venue.hasResources(requiredResources)) {
+      return `${venue.name} lacks the required resources`;
+    }
+  }
+  return null;
+};
+
+// Load a venue usable by the tournament. Returns { venue } or { error }.
+export const findScheduleVenue = async (tournament, venueId) => {
+  const venue = mongoose.isValidObjectId(venueId)
+    ? await Venue.findById(venueId)
+    : null;
+
+  if (!venue) return { error: 'Venue not found' };
+
+  const error = getScheduleVenueError(tournament, [venue]);
+  return error ? { error } : { venue };
+};
+
+// Bracket matches that must finish before this one can start
+const feedersOf = (tournament, bracketMatchId) => {
+  const node = findMatch(tournament.bracket, bracketMatchId);
+  if (!node) return [];
+  return node.slots.filter(slot => slot.from).map(slot => slot.from.match);
+};
+
+// Bracket matches this one feeds into
+const dependentsOf = (tournament, bracketMatchId) => {
+  const node = findMatch(tournament.bracket, bracketMatchId);
+  if (!node) return [];
+  return [node.winnerTo, node.loserTo].filter(Boolean).map(to => to.match);
+};
+
+// Everything wrong with holding `match` at start..end in `venue`.
+// Returns [{ type: 'venue' | 'team' | 'player' | 'bracket', message, match }]
+export const findConflicts = async (
+  match,
+  tournament,
+  { start, end, venue }
+) => {
+  const { restMinutes } = tournament.scheduleSettings;
+  const slot = { start, end };
+  const rested = {
+    start: addMinutes(start, -restMinutes),
+    end: addMinutes(end, restMinutes),
+  };
+  const conflicts = [];
+
+  if (venue) {
+    const bookings = await loadVenueBookings([venue], { match: match._id });
+    if (
+      bookings.get(id(venue._id)).some(interval => overlaps(slot, interval))
+    ) {
+      conflicts.push({
+        type: 'venue',
+        message: `${venue.name} is already booked or closed at that time`,
+      });
+    }
+  }
+
+  const teams = match.participants.map(p => p.team).filter(Boolean);
+  const commitments = await loadCommitments(teams, { match: match._id });
+  commitments
+    .filter(c => overlaps(rested, slotOf(c.match)))
+    .forEach(c => {
+      conflicts.push({
+        type: c.viaTeam === c.team ? 'team' : 'player',
+        message:
+          c.viaTeam === c.team
+            ? 'A team plays another match too close to this time'
+            : 'A player is booked in another match at this time',
+        match: c.match._id,
+      });
+    });
+
+  // Round order: feeders must end first, dependents must start later
+  const related = await Match.find({
+    tournament: tournament._id,
+    bracketMatchId: {
+      $in: [
+        ...feedersOf(tournament, match.bracketMatchId),
+        ...dependentsOf(tournament, match.bracketMatchId),
+      ],
+    },
+    scheduledAt: { $ne: null },
+    status: { $nin: FINISHED_STATUSES },
+  });
+  const feeders = feedersOf(tournament, match.bracketMatchId);
+  related.forEach(other => {
+    const isFeeder = feeders.includes(other.bracketMatchId);
+    const clash = isFeeder
+      ? slotOf(other).end > rested.start
+      : slotOf(other).start < rested.end;
+    if (clash) {
+      conflicts.push({
+        type: 'bracket',
+        message: isFeeder
+          ? `Match ${other.bracketMatchId} feeds this one and ends too late`
+          : `Match ${other.bracketMatchId} depends on this one and starts too early`,
+        match: other._id,
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+// Put the match in a slot; a ready match becomes scheduled
+export const bookMatch = (match, { start, end, venue }) => {
+  // A new time needs a fresh check-in
+  if (match.scheduledAt?.getTime() !== start.getTime()) {
+    match.checkIns = [];
+    match.checkInClosedAt = undefined;
+  }
+  match.scheduledAt = start;
+  match.scheduledEnd = end;
+  match.venue = venue;
+  if (match.status === 'ready') match.status = 'scheduled';
+};
+
+// Schedule every open match of the tournament. Already scheduled matches
+// are kept unless `overwrite`; `dryRun` returns the plan without saving.
+export const scheduleTournament = async (
+  tournament,
+  { from = new Date(), overwrite = false, dryRun = false } = {}
+) => {
+  const settings = tournament.scheduleSettings;
+  const venues = await Venue.find({ _id: { $in: settings.venues } });
+  const venueOrder = settings.venues
+    .map(id)
+    .filter(v => venues.some(venue => id(venue._id) === v));
+
+  const matches = await Match.findByTournament(tournament._id);
+  const open = matches.filter(m => !FINISHED_STATUSES.includes(m.status));
+  const movable = m =>
+    ['pending', 'ready', 'scheduled'].includes(m.status) &&
+    (overwrite || !m.scheduledAt);
+  const toPlan = open.filter(movable);
+  const kept = open.filter(m => !movable(m) && m.scheduledAt);
+
+  // Kept matches still hold their venue, teams and end times
+  const venueBookings = await loadVenueBookings(venues, {
+    tournament: tournament._id,
+  });
+  const teamBusy = new Map();
+  const book = (team, interval) =>
+    teamBusy.set(team, [...(teamBusy.get(team) || []), interval]);
+
+  kept.forEach(match => {
+    if (match.venue && venueBookings.has(id(match.venue))) {
+      venueBookings.get(id(match.venue)).push(slotOf(match));
+    }
+    match.participants
+      .filter(p => p.team)
+      .forEach(p => book(id(p.team), slotOf(match)));
+  });
+
+  const teamIds = tournament.registeredTeams.map(r => r.team);
+  const commitments = await loadCommitments(teamIds, {
+    tournament: tournament._id,
+  });
+  commitments.forEach(c => book(c.team, slotOf(c.match)));
+
+  // Finished feeders impose nothing; unfinished ones must be planned or kept
+  const openIds = new Set(open.map(m => m.bracketMatchId));
+  const ends = new Map(kept.map(m => [m.bracketMatchId, slotOf(m).end]));
+  // Matches being played right now without a booked slot
+  open
+    .filter(m => !movable(m) && !m.scheduledAt)
+    .forEach(m => ends.set(m.bracketMatchId, from));
+  const previousRound = round =>
+    open.filter(m => m.round === round - 1).map(m => m.bracketMatchId);
+
+  const plan = planSchedule({
+    matches: toPlan.map(match => {
+      const feeders = feedersOf(tournament, match.bracketMatchId);
+      // Round-robin and swiss have no feeders; play rounds in order
+      const dependsOn =
+        feeders.length > 0 ? feeders : previousRound(match.round);
+      return {
+        id: match.bracketMatchId,
+        teams: match.participants.filter(p => p.team).map(p => id(p.team)),
+        dependsOn: dependsOn.filter(dep => openIds.has(dep)),
+      };
+    }),
+    venues: venueOrder,
+    busy: { venues: venueBookings, teams: teamBusy },
+    ends,
+    settings,
+    from,
+  });
+
+  if (!dryRun) {
+    for (const assignment of plan.assignments) {
+      const match = toPlan.find(m => m.bracketMatchId === assignment.id);
+      bookMatch(match, assignment);
+      await match.save();
+
+      if (match.participants.some(p => p.team)) {
+        eventBus.emit('match.scheduled', { match, tournament });
+      }
+    }
+  }
+
+  return plan;
+};
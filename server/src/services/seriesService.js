@@ -0,0 +1,135 @@
+import Team from '../models/team.js';
+import Tournament from '../models/tournament.js';
+import { id } from '../utils/ids.js';
+import { computePositions } from './statsService.js';
+
+// Season standings of a series. Every completed member tournament awards
+// points by final position from the series points table. With standingsBy
+// 'department' each department scores with its best-placed team, so a
+// department fielding more teams does not collect more points; teams mixing
+// departments do not score.
+
+// Reason the tournament cannot join the series, or null
+export const getSeriesTournamentError = (series, tournament) => {
+  if (series.isCompleted) return 'The series has been completed';
+  if (series.hasTournament(tournament._id)) {
+    return 'Tournament is already part of this series';
+  }
+  if (tournament.status === 'cancelled') {
+    return 'Cancelled tournaments cannot join a series';
+  }
+  if (
+    series.department !== 'All' &&
+    tournament.department !== series.department
+  ) {
+    return `Only ${series.department} tournaments can join this series`;
+  }
+  return null;
+};
+
+// Best finishes first: more wins, then more runner-up places, and so on
+const countback = (a, b) => {
+  const length = Math.max(a.positions.length, b.positions.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (a.positions[i] ?? Infinity) - (b.positions[i] ?? Infinity);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+// Entrant -> best position in one tournament
+const entrantPositions = (series, positions, teams) => {
+  const best = new Map();
+  positions.forEach((position, teamId) => {
+    const team = teams.get(teamId);
+    const key = series.standingsBy === 'department' ? team?.department : teamId;
+    if (!key || key === 'Mixed') return;
+    if (!best.has(key) || position < best.get(key)) best.set(key, position);
+  });
+  return best;
+};
+
+// Season table, best first. Rows are keyed by team, or by department when
+// the series ranks departments.
+export const computeSeasonStandings = async series => {
+  const found = await Tournament.find({
+    _id: { $in: series.tournaments },
+    status: 'completed',
+  });
+
+  // Member order, leaving out tournaments without final positions
+  const tournaments = series.tournaments
+    .map(tournamentId => found.find(t => t._id.equals(tournamentId)))
+    .filter(
+      t =>
+        t?.bracket &&
+        (!t.tournamentType.endsWith('elimination') || t.bracket.champion)
+    );
+
+  const results = await Promise.all(
+    tournaments.map(async tournament => ({
+      tournament,
+      positions: await computePositions(tournament),
+    }))
+  );
+
+  const teams = new Map(
+    (
+      await Team.find({
+        _id: { $in: results.flatMap(r => [...r.positions.keys()]) },
+      }).select('name tag department')
+    ).map(team => [id(team._id), team])
+  );
+
+  const rows = new Map();
+  results.forEach(({ tournament, positions }) => {
+    entrantPositions(series, positions, teams).forEach((position, key) => {
+      if (!rows.has(key)) {
+        rows.set(key, {
+          ...(series.standingsBy === 'department'
+            ? { department: key }
+            : { team: teams.get(key) ?? key }),
+          points: 0,
+          tournamentsPlayed: 0,
+          positions: [],
+          results: [],
+        });
+      }
+
+      const row = rows.get(key);
+      const points = series.pointsFor(position);
+      row.points += points;
+      row.tournamentsPlayed += 1;
+      row.positions.push(position);
+      row.results.push({
+        tournament: tournament._id,
+        name: tournament.name,
+        position,
+        points,
+      });
+    });
+  });
+
+  const standings = [...rows.values()];
+  standings.forEach(row => row.positions.sort((a, b) => a - b));
+  standings.sort((a, b) => b.points - a.points || countback(a, b));
+
+  // Teams level on points and countback share a rank
+  standings.forEach((row, index) => {
+    const previous = standings[index - 1];
+    row.rank =
+      previous &&
+      previous.points === row.points &&
+      countback(previous, row) === 0
+        ? previous.rank
+        : index + 1;
+  });
+
+  return {
+    standings: standings.map(({ positions, ...row }) => ({
+      ...row,
+      bestPosition: positions[0],
+    })),
+    tournamentsCounted: tournaments.map(t => t._id),
+  };
+};
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import Session from '../models/session.js';
+import User from '../models/user.js';
+import { generateToken } from '../utils/jwt.js';
+import { createOneTimeToken, hashToken } from '../utils/tokens.js';
+
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;
+
+const issueTokens = (user, session, secret) => ({
+  token: generateToken(user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+});
+
+// Start a session for the device making the request
+export const startSession = async (user, req) => {
+  const { token: secret, hash } = createOneTimeToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hash,
+    userAgent: req.get('user-agent') || '',
+    ipAddress: req.ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+  });
+
+  return issueTokens(user, session, secret);
+};
+
+// Exchange a refresh token for a new token pair. The refresh token rotates,
+// so presenting an already used one revokes the whole session.
+export const refreshSession = async refreshToken => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+
+  if (!session || !session.isActive) {
+    throw new Error('Session expired. Please login again.');
+  }
+
+  if (session.refreshTokenHash !== hashToken(secret)) {
+    session.revoke('Refresh token reused');
+    await session.save();
+    throw new Error('Session expired. Please login again.');
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    session.revoke('Account deactivated');
+    await session.save();
+    throw new Error('Account is deactivated. Please contact admin.');
+  }
+
+  const { token: nextSecret, hash } = createOneTimeToken();
+  session.refreshTokenHash = hash;
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+  await session.save();
+
+  return { ...issueTokens(user, session, nextSecret), user };
+};
+
+export const revokeSession = async (sessionId, reason) => {
+  const session = await Session.findById(sessionId);
+  if (session) {
+    session.revoke(reason);
+    await session.save();
+  }
+  return session;
+};
+
+export const revokeAllSessions = (userId, reason) =>
+  Session.revokeAllForUser(userId, reason);
@@ -0,0 +1,171 @@
+import { id } from '../utils/ids.js';
+
+// League standings for round-robin and swiss tournaments. Works on Match
+// documents so game scores are available for game difference.
+
+// Used when the organizer did not choose an order
+export const DEFAULT_TIEBREAKERS = {
+  swiss: ['buchholz', 'median_buchholz', 'sonneborn_berger', 'head_to_head'],
+  'round-robin': ['head_to_head', 'game_difference', 'games_won'],
+};
+
+// Swiss uses chess-style match points, round-robin football-style points
+const POINTS = {
+  swiss: { win: 1, draw: 0.5, loss: 0, bye: 1 },
+  'round-robin': { win: 3, draw: 1, loss: 0, bye: 0 },
+};
+
+const FIELDS = {
+  points: 'points',
+  buchholz: 'buchholz',
+  median_buchholz: 'medianBuchholz',
+  sonneborn_berger: 'sonnebornBerger',
+  game_difference: 'gameDifference',
+  games_won: 'gamesWon',
+};
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const emptyRow = (team, seed) => ({
+  team,
+  seed,
+  played: 0,
+  wins: 0,
+  draws: 0,
+  losses: 0,
+  byes: 0,
+  points: 0,
+  gamesWon: 0,
+  gamesLost: 0,
+  gameDifference: 0,
+  buchholz: 0,
+  medianBuchholz: 0,
+  sonnebornBerger: 0,
+  rank: null,
+});
+
+// Mini-league points among the tied teams only
+const headToHeadPoints = (team, group, results, points) => {
+  const members = new Set(group.map(row => row.team));
+  return sum(
+    results
+      .filter(r => r.team === team && members.has(r.opponent))
+      .map(r => points[r.outcome])
+  );
+};
+
+// Order rows by the first criterion and break remaining ties recursively
+const rankGroup = (rows, criteria, results, points) => {
+  if (rows.length <= 1 || criteria.length === 0) {
+    return [...rows].sort((a, b) => a.seed - b.seed);
+  }
+
+  const [criterion, ...rest] = criteria;
+  const valueOf = row =>
+    criterion === 'head_to_head'
+      ? headToHeadPoints(row.team, rows, results, points)
+      : row[FIELDS[criterion]];
+
+  const values = new Map(rows.map(row => [row.team, valueOf(row)]));
+  const sorted = [...rows].sort(
+    (a, b) => values.get(b.team) - values.get(a.team)
+  );
+
+  const ranked = [];
+  let group = [];
+  sorted.forEach(row => {
+    if (group.length && values.get(group[0].team) !== values.get(row.team)) {
+      ranked.push(...rankGroup(group, rest, results, points));
+      group = [];
+    }
+    group.push(row);
+  });
+  ranked.push(...rankGroup(group, rest, results, points));
+
+  return ranked;
+};
+
+// Tiebreakers that order the standings: the organizer's choice, else the
+// format's defaults
+export const tiebreakersFor = tournament =>
+  tournament.tiebreakers?.length > 0
+    ? tournament.tiebreakers
+    : DEFAULT_TIEBREAKERS[tournament.tournamentType] || [];
+
+// Compute standings rows, best first. `matches` are the tournament's Match
+// documents; `tournament.bracket.seeds` supplies the final fallback order.
+export const computeStandings = (tournament, matches) => {
+  const format = tournament.tournamentType;
+  const points = POINTS[format] || POINTS['round-robin'];
+  const tiebreakers = tiebreakersFor(tournament);
+
+  const rows = new Map(
+    (tournament.bracket?.seeds || []).map(s => [
+      id(s.team),
+      emptyRow(id(s.team), s.seed),
+    ])
+  );
+  // One entry per team per finished match: { team, opponent, outcome }
+  const results = [];
+
+  matches.forEach(match => {
+    if (match.status === 'bye') {
+      const row = rows.get(id(match.winner));
+      row.byes += 1;
+      row.points += points.bye;
+      return;
+    }
+    if (match.status !== 'completed') return;
+
+    const teams = match.participants.map(p => id(p.team));
+    teams.forEach((team, index) => {
+      const row = rows.get(team);
+      const opponent = teams[1 - index];
+      const outcome = match.isDraw
+        ? 'draw'
+        : id(match.winner) === team
+          ? 'win'
+          : 'loss';
+
+      row.played += 1;
+      row[{ win: 'wins', draw: 'draws', loss: 'losses' }[outcome]] += 1;
+      row.points += points[outcome];
+      match.games.forEach(game => {
+        row.gamesWon += game.scores[index];
+        row.gamesLost += game.scores[1 - index];
+      });
+
+      results.push({ team, opponent, outcome });
+    });
+  });
+
+  // Opponent-based tiebreakers need every team's final points first
+  rows.forEach(row => {
+    row.gameDifference = row.gamesWon - row.gamesLost;
+
+    const own = results.filter(r => r.team === row.team);
+    const opponentPoints = own.map(r => rows.get(r.opponent).points);
+    const sortedPoints = [...opponentPoints].sort((a, b) => a - b);
+
+    row.buchholz = sum(opponentPoints);
+    row.medianBuchholz =
+      sortedPoints.length >= 3 ? sum(sortedPoints.slice(1, -1)) : row.buchholz;
+    row.sonnebornBerger = sum(
+      own.map(
+        r => rows.get(r.opponent).points * (points[r.outcome] / points.win)
+      )
+    );
+  });
+
+  const ranked = rankGroup(
+    [...rows.values()],
+    ['points', ...tiebreakers],
+    results,
+    points
+  );
+  ranked.forEach((row, index) => {
+    row.rank = index + 1;
+  });
+
+  return ranked;
+};
@@ -0,0 +1,179 @@
+import Match from '../models/match.js';
+import Tournament from '../models/tournament.js';
+import User from '../models/user.js';
+import eventBus from '../utils/eventBus.js';
+import { normalizeGame } from '../utils/games.js';
+import { id } from '../utils/ids.js';
+import { finalPositions } from './bracketService.js';
+import { computeStandings } from './standingsService.js';
+import { findLineups, findPlayersByTeam } from './teamService.js';
+
+// Keeps User match totals, per-game stats and tournament history up to
+// date. Matches and tournaments are claimed through their statsRecorded flag
+// so replayed events never count twice.
+
+// Make sure each user has a gameStats entry for the game, then increment it
+const incrementGameStats = async (userIds, tournament, increments) => {
+  const game = normalizeGame(tournament.game);
+
+  await User.updateMany(
+    { _id: { $in: userIds }, 'gameStats.game': { $ne: game } },
+    { $push: { gameStats: { game, gameName: tournament.game.trim() } } }
+  );
+
+  const inc = {};
+  Object.entries(increments).forEach(([field, value]) => {
+    inc[`gameStats.$.${field}`] = value;
+  });
+  await User.updateMany(
+    { _id: { $in: userIds }, 'gameStats.game': game },
+    { $inc: inc }
+  );
+};
+
+// [{ team, players }] for both sides of the match
+const findMatchLineups = async (match, tournament) => {
+  const players = await findLineups(
+    tournament,
+    match.participants.map(p => p.team)
+  );
+  return match.participants.map(({ team }) => ({
+    team,
+    players: players.get(id(team)) || [],
+  }));
+};
+
+// Add (sign 1) or take back (sign -1) one match for the lineups' players
+const applyMatchStats = (match, tournament, lineups, sign) =>
+  Promise.all(
+    lineups.map(async ({ team, players }) => {
+      const won = !match.isDraw && id(match.winner) === id(team);
+
+      await User.updateMany(
+        { _id: { $in: players } },
+        { $inc: { totalMatchesPlayed: sign, matchesWon: won ? sign : 0 } }
+      );
+      await incrementGameStats(players, tournament, {
+        matchesPlayed: sign,
+        matchesWon: won ? sign : 0,
+        matchesDrawn: match.isDraw ? sign : 0,
+      });
+    })
+  );
+
+// Count a completed match for every player in the lineups
+export const recordMatchStats = async (match, tournament) => {
+  // Walkovers were never played
+  if (match.status !== 'completed' || match.walkover) return false;
+
+  const statsLineups = await findMatchLineups(match, tournament);
+
+  const claimed = await Match.findOneAndUpdate(
+    { _id: match._id, status: 'completed', statsRecorded: false },
+    { $set: { statsRecorded: true, statsLineups } }
+  );
+  if (!claimed) return false;
+
+  await applyMatchStats(match, tournament, statsLineups, 1);
+  return true;
+};
+
+// Take a reverted result back out of player statistics so the new result
+// can be counted. Call before the match's result is cleared.
+export const revertMatchStats = async (match, tournament) => {
+  const claimed = await Match.findOneAndUpdate(
+    { _id: match._id, statsRecorded: true },
+    { $set: { statsRecorded: false, statsLineups: [] } }
+  );
+  if (!claimed) return false;
+
+  // Matches recorded before lineups were kept fall back to current lineups
+  const lineups =
+    claimed.statsLineups.length > 0
+      ? claimed.statsLineups
+      : await findMatchLineups(claimed, tournament);
+
+  await applyMatchStats(claimed, tournament, lineups, -1);
+  return true;
+};
+
+// Team id -> final position in a finished tournament
+export const computePositions = async tournament => {
+  if (tournament.tournamentType.endsWith('elimination')) {
+    return finalPositions(tournament.bracket);
+  }
+
+  const matches = await Match.find({ tournament: tournament._id });
+  return new Map(
+    computeStandings(tournament, matches).map(row => [row.team, row.rank])
+  );
+};
+
+// Add the finished tournament to every player's history
+export const recordTournamentResults = async tournament => {
+  if (tournament.status !== 'completed' || !tournament.bracket) return false;
+
+  const claimed = await Tournament.findOneAndUpdate(
+    { _id: tournament._id, status: 'completed', statsRecorded: false },
+    { $set: { statsRecorded: true } }
+  );
+  if (!claimed) return false;
+
+  const positions = await computePositions(tournament);
+  const teamIds = tournament.bracket.seeds.map(s => s.team);
+  const players = await findPlayersByTeam(teamIds);
+  const participatedAt = tournament.winner?.declaredAt || new Date();
+
+  await Promise.all(
+    teamIds.map(async team => {
+      const userIds = players.get(id(team)) || [];
+      const position = positions.get(id(team));
+
+      await User.updateMany(
+        {
+          _id: { $in: userIds },
+          'tournamentsParticipated.tournament': { $ne: tournament._id },
+        },
+        {
+          $push: {
+            tournamentsParticipated: {
+              tournament: tournament._id,
+              team,
+              position,
+              participatedAt,
+            },
+          },
+        }
+      );
+      await incrementGameStats(userIds, tournament, {
+        tournamentsPlayed: 1,
+        tournamentsWon: position === 1 ? 1 : 0,
+      });
+    })
+  );
+
+  return true;
+};
+
+const logErrors = (label, promise) =>
+  promise.catch(error => console.error(`${label} error:`, error));
+
+let started = false;
+
+// Attach the stats handlers to the event bus once
+export const startStats = () => {
+  if (started) return;
+  started = true;
+
+  eventBus.on('match.completed', ({ match, tournament }) =>
+    logErrors('Record match stats', recordMatchStats(match, tournament))
+  );
+  eventBus.on('tournament.status_changed', ({ tournament, to }) => {
+    if (to === 'completed') {
+      logErrors(
+        'Record tournament results',
+        recordTournamentResults(tournament)
+      );
+    }
+  });
+};
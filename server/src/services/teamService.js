@@ -0,0 +1,193 @@
+import Team from '../models/team.js';
+import User from '../models/user.js';
+
+// Keeps Team rosters and User.teams in sync. Every roster change should go
+// through these helpers so both sides of the relation stay consistent.
+
+// Players (not managers) currently on each team: team id -> user ids
+export const findPlayersByTeam = async teamIds => {
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('members');
+  return new Map(
+    teams.map(team => [
+      team._id.toString(),
+      team.members.filter(m => m.role !== 'manager').map(m => m.user),
+    ])
+  );
+};
+
+// Players each team fields in the tournament: its registered lineup, or
+// the roster when it registered without substitutes
+export const findLineups = async (tournament, teamIds) => {
+  const players = await findPlayersByTeam(teamIds);
+  teamIds.forEach(team => {
+    const lineup = tournament.findTeamRegistration(team)?.lineup;
+    if (lineup?.length > 0) players.set(team.toString(), lineup);
+  });
+  return players;
+};
+
+// Recompute department/year metadata from the current roster
+const refreshMetadata = async team => {
+  const users = await User.find({
+    _id: { $in: team.members.map(m => m.user) },
+  }).select('department yearOfStudy');
+  team.refreshMetadata(users);
+};
+
+// Captains of at least one active team carry the team_captain secondary role.
+// Captain rights are checked against the Team, so tokens stay valid.
+export const syncCaptainRole = async userId => {
+  const captainsTeam = await Team.exists({ captain: userId, isActive: true });
+  const options = { revokeTokens: false };
+  if (captainsTeam) {
+    await User.addSecondaryRole(userId, 'team_captain', options);
+  } else {
+    await User.removeSecondaryRole(userId, 'team_captain', options);
+  }
+};
+
+// Create a team with the given user as captain
+export const createTeam = async (captainId, { name, tag, description }) => {
+  const joinedAt = new Date();
+  const team = new Team({
+    name,
+    tag,
+    description,
+    captain: captainId,
+    members: [{ user: captainId, role: 'captain', joinedAt }],
+  });
+
+  await refreshMetadata(team);
+  await team.save();
+
+  await User.updateOne(
+    { _id: captainId },
+    { $push: { teams: { team: team._id, role: 'captain', joinedAt } } }
+  );
+  await syncCaptainRole(captainId);
+
+  return team;
+};
+
+// Add a player to the roster
+export const addMember = async (team, userId, role = 'player') => {
+  if (team.isMember(userId)) {
+    throw new Error('User is already on this team');
+  }
+
+  const joinedAt = new Date();
+  team.members.push({ user: userId, role, joinedAt });
+  await refreshMetadata(team);
+  await team.save();
+
+  await User.updateOne(
+    { _id: userId },
+    { $push: { teams: { team: team._id, role, joinedAt } } }
+  );
+
+  return team;
+};
+
+// Remove a player from the roster
+export const removeMember = async (team, userId) => {
+  if (team.isCaptain(userId)) {
+    throw new Error('Captain must transfer captaincy before leaving');
+  }
+
+  team.members = team.members.filter(
+    m => m.user.toString() !== userId.toString()
+  );
+  await refreshMetadata(team);
+  await team.save();
+
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { teams: { team: team._id } } }
+  );
+
+  return team;
+};
+
+// Change a member's roster role
+export const setMemberRole = async (team, userId, role) => {
+  const member = team.getMember(userId);
+  if (!member) {
+    throw new Error('User is not on this team');
+  }
+  if (member.role === 'captain' || role === 'captain') {
+    throw new Error('Use captaincy transfer to change the captain');
+  }
+
+  member.role = role;
+  await team.save();
+
+  await User.updateOne(
+    { _id: userId, 'teams.team': team._id },
+    { $set: { 'teams.$.role': role } }
+  );
+
+  return team;
+};
+
+// Hand the captaincy to another member; the old captain becomes co-captain
+export const transferCaptaincy = async (team, newCaptainId) => {
+  const newCaptain = team.getMember(newCaptainId);
+  if (!newCaptain) {
+    throw new Error('New captain must already be on the team');
+  }
+  if (team.isCaptain(newCaptainId)) {
+    throw new Error('User is already the captain');
+  }
+
+  const oldCaptainId = team.captain;
+  team.getMember(oldCaptainId).role = 'co_captain';
+  newCaptain.role = 'captain';
+  team.captain = newCaptainId;
+  await team.save();
+
+  await User.updateOne(
+    { _id: oldCaptainId, 'teams.team': team._id },
+    { $set: { 'teams.$.role': 'co_captain' } }
+  );
+  await User.updateOne(
+    { _id: newCaptainId, 'teams.team': team._id },
+    { $set: { 'teams.$.role': 'captain' } }
+  );
+  await syncCaptainRole(oldCaptainId);
+  await syncCaptainRole(newCaptainId);
+
+  return team;
+};
+
+// Disband the team and clear it from every member's profile
+export const disbandTeam = async team => {
+  const memberIds = team.members.map(m => m.user);
+
+  team.isActive = false;
+  team.disbandedAt = new Date();
+  team.invites.forEach(invite => {
+    if (invite.status === 'pending') invite.status = 'cancelled';
+  });
+  await team.save();
+
+  await User.updateMany(
+    { _id: { $in: memberIds } },
+    { $pull: { teams: { team: team._id } } }
+  );
+  await syncCaptainRole(team.captain);
+
+  return team;
+};
+
+// Delete a team outright, e.g. to roll back one created by a failed
+// operation, and clear it from every member's profile
+export const deleteTeam = async team => {
+  const memberIds = team.members.map(m => m.user);
+
+  await Team.deleteOne({ _id: team._id });
+  await User.updateMany(
+    { _id: { $in: memberIds } },
+    { $pull: { teams: { team: team._id } } }
+  );
+  await syncCaptainRole(team.captain);
+};
@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV reading and writing for imports and exports. Fields
+// may be quoted; quotes inside quoted fields are doubled.
+
+// Split CSV text into rows of raw string fields
+const parseRows = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Parse CSV text with a header row into objects keyed by the trimmed
+// header names. Empty cells are left out so model defaults apply.
+export const parseCsv = text => {
+  const [header = [], ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(key => key.trim());
+
+  return rows.map(values =>
+    Object.fromEntries(
+      keys
+        .map((key, index) => [key, (values[index] ?? '').trim()])
+        .filter(([key, value]) => key && value !== '')
+    )
+  );
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const formatCell = value => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write rows as CSV. `columns` is a list of [header, row => value] pairs.
+export const toCsv = (rows, columns) =>
+  [
+    columns.map(([header]) => formatCell(header)).join(','),
+    ...rows.map(row =>
+      columns.map(([, get]) => formatCell(get(row))).join(',')
+    ),
+  ].join('\r\n') + '\r\n';
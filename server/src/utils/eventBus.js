@@ -0,0 +1,41 @@
+import { EventEmitter } from 'events';
+
+// In-process domain events. Controllers emit after a change is saved;
+// notifications and other side effects subscribe here so controllers do
+// not need to know about them.
+//
+// Events and payloads:
+//   tournament.submitted           { tournament, by }
+//   tournament.approved            { tournament, by }
+//   tournament.rejected            { tournament, by, reason }
+//   tournament.changes_requested   { tournament, by, reason }
+//   tournament.cancelled           { tournament, by, reason }
+//   tournament.bracket_due         { tournament }
+//   tournament.status_changed      { tournament, from, to, reason }
+//   bracket.updated                { tournament }
+//   registration.approved          { tournament, registration }
+//   registration.rejected          { tournament, registration }
+//   waitlist.promoted              { tournament, registration }
+//   waitlist.moved                 { tournament, from }
+//   matchmaking.committed          { tournament, teams }
+//   recruitment.applied            { listing, application, team }
+//   recruitment.responded          { listing, application, team, accepted }
+//   recruitment.invited            { listing, team }
+//   match.scheduled                { match, tournament }
+//   match.reschedule_requested     { match, tournament, request }
+//   match.reschedule_resolved      { match, tournament, request }
+//   match.started                  { match, tournament }
+//   match.reported                 { match, tournament }
+//   match.completed                { match, tournament }
+//   match.walkover                 { match, tournament, team }
+//   match.no_show                  { match, tournament, teams }
+//   protest.filed                  { protest, match, tournament }
+//   protest.ruled                  { protest, match, tournament }
+//   auth.email_verified            { user }
+//   auth.password_reset            { user }
+const eventBus = new EventEmitter();
+
+// Listeners are per feature, not per request
+eventBus.setMaxListeners(50);
+
+export default eventBus;
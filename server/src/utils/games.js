@@ -0,0 +1,4 @@
+// Tournament.game is free text; stats and ratings group by this key so
+// "Valorant", " valorant " and "VALORANT" count as the same game
+export const normalizeGame = game =>
+  (game || '').trim().toLowerCase().replace(/\s+/g, ' ');
@@ -0,0 +1,3 @@
+// String form of an ObjectId, populated document or plain id, for comparing
+// and keying maps. Missing values stay null.
+export const id = value => (value ? value.toString() : null);
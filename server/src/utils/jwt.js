@@ -1,10 +1,12 @@
 import jwt from 'jsonwebtoken';
 
-// Generate JWT for a user
-export const generateToken = user => {
+// Generate a short-lived access token for a user's session
+export const generateToken = (user, sessionId) => {
   // Payload with user info
   const payload = {
     userId: user._id,
+    sessionId,
+    tokenVersion: user.tokenVersion || 0,
     email: user.email,
     primaryRole: user.primaryRole,
     secondaryRoles: user.secondaryRoles || [],
@@ -14,7 +16,9 @@ export const generateToken = user => {
   };
 
   // Generate token
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
+  });
 };
 
 // Verify JWT
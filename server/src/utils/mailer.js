@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Pluggable mail delivery. A transport is any object with an async
+// send(message) method; message is { from, to, subject, text }.
+//
+// MAIL_TRANSPORT picks the built-in transport: 'smtp' (SMTP_HOST,
+// SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS), 'file' (MAIL_DIR) or
+// 'console'. Outside development and test one must be configured, so a
+// deployment never silently drops password resets. An unset NODE_ENV counts
+// as development, as it does for Express.
+
+const DEV_ENVIRONMENTS = ['development', 'test'];
+
+// Logs who gets which mail. Bodies carry reset and verification tokens, so
+// they are only printed with MAIL_LOG_BODY=true.
+export const consoleTransport = {
+  send: async message => {
+    const body =
+      process.env.MAIL_LOG_BODY === 'true' ? `\n${message.text}` : '';
+    console.log(
+      `[mail] To: ${message.to} | Subject: ${message.subject}${body}`
+    );
+  },
+};
+
+// Delivers through an SMTP server
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const client = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    send: message => client.sendMail(message),
+  };
+};
+
+// Writes each mail to a JSON file in `dir` for local inspection
+export const createFileTransport = dir => ({
+  send: async message => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(
+      dir,
+      `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+    );
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+  },
+});
+
+// Keeps sent mail in memory; useful as a test stub
+export const createMemoryTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    send: async message => {
+      sent.push(message);
+    },
+  };
+};
+
+// Base URL for links in mail; read lazily so dotenv has loaded
+export const clientUrl = () =>
+  process.env.CLIENT_URL || 'http://localhost:5173';
+
+let transport = null;
+
+// Transport named by the environment. Throws when none is configured
+// outside development and test.
+const defaultTransport = () => {
+  const env = process.env;
+  const name = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : null);
+
+  if (name === 'smtp') {
+    if (!env.SMTP_HOST) throw new Error('SMTP_HOST is required for SMTP mail');
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    });
+  }
+  if (name === 'file') return createFileTransport(env.MAIL_DIR || 'mail');
+  if (name === 'console') return consoleTransport;
+  if (name) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+
+  if (!DEV_ENVIRONMENTS.includes(env.NODE_ENV || 'development')) {
+    throw new Error(
+      'No mail transport configured. Set MAIL_TRANSPORT=smtp and SMTP_HOST.'
+    );
+  }
+  return consoleTransport;
+};
+
+// Pick the transport from the environment at startup so a missing mail
+// setup stops the server instead of the first password reset
+export const initMailTransport = () => {
+  if (!transport) transport = defaultTransport();
+  return transport;
+};
+
+// Replace the transport, e.g. with an SMTP client or a test stub
+export const setMailTransport = newTransport => {
+  transport = newTransport;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  await initMailTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@tournaz.local',
+    to,
+    subject,
+    text,
+  });
+};
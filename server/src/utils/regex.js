@@ -0,0 +1,3 @@
+// Escape user input for use as a literal inside a RegExp or $regex query
+export const escapeRegex = value =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
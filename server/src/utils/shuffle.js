@@ -0,0 +1,9 @@
+// Fisher-Yates shuffle into a new array
+export const shuffle = items => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
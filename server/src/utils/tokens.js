@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+// Only the hash of a one-time token is stored; the raw token is mailed
+export const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+export const createOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+};
@@ -0,0 +1,19 @@
+// Mongoose ValidationError messages, one per failing field
+export const validationMessages = error =>
+  Object.values(error.errors).map(err => err.message);
+
+// Respond 400 with the messages of a Mongoose ValidationError
+export const validationErrorResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: validationMessages(error),
+  });
+
+// Respond 409 when a versioned save lost to another write, e.g. two results
+// advancing the same bracket at once
+export const versionConflictResponse = res =>
+  res.status(409).json({
+    success: false,
+    error: 'The bracket changed in the meantime. Please try again.',
+  });
@@ -0,0 +1,299 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  bracketOrder,
+  findMatch,
+  finalPositions,
+  generateBracket,
+  getRevertError,
+  isBracketComplete,
+  pairSwissRound,
+  recordResult,
+  revertResult,
+} from '../src/services/bracketService.js';
+
+const teams = count => Array.from({ length: count }, (_, i) => `team${i + 1}`);
+
+const slotTeams = (bracket, matchId) =>
+  findMatch(bracket, matchId).slots.map(s => s.team);
+
+// Play every ready match, letting the better seed (lower number) win
+const playOut = bracket => {
+  const seedOf = team => bracket.seeds.find(s => s.team === team).seed;
+  let ready = bracket.matches.filter(m => m.status === 'ready');
+  while (ready.length > 0) {
+    ready.forEach(match => {
+      const [a, b] = match.slots.map(s => s.team);
+      recordResult(bracket, match.id, seedOf(a) < seedOf(b) ? a : b);
+    });
+    ready = bracket.matches.filter(m => m.status === 'ready');
+  }
+};
+
+describe('bracketOrder', () => {
+  it('keeps the top seeds apart until the final', () => {
+    assert.deepEqual(bracketOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+
+  it('deals the seeds serpentine across the quarters', () => {
+    const order = bracketOrder(16);
+    const quarters = [0, 1, 2, 3].map(q =>
+      order.slice(q * 4, q * 4 + 4).sort((a, b) => a - b)
+    );
+
+    // Snake draft over the quarters of seeds 1, 4, 2 and 3
+    assert.deepEqual(quarters, [
+      [1, 8, 9, 16],
+      [4, 5, 12, 13],
+      [2, 7, 10, 15],
+      [3, 6, 11, 14],
+    ]);
+  });
+});
+
+describe('generateBracket', () => {
+  it('rejects unknown formats and fields under two teams', () => {
+    assert.throws(() => generateBracket('ladder', teams(4)), /Unsupported/);
+    assert.throws(
+      () => generateBracket('single-elimination', teams(1)),
+      /At least two teams/
+    );
+  });
+
+  it('builds a single elimination bracket with byes for missing seeds', () => {
+    const bracket = generateBracket('single-elimination', teams(6));
+
+    assert.equal(bracket.totalRounds, 3);
+    assert.deepEqual(
+      bracket.rounds.map(r => r.name),
+      ['Quarterfinals', 'Semifinals', 'Final']
+    );
+    // Seeds 1 and 2 face the missing seeds 8 and 7 and advance on byes
+    assert.equal(findMatch(bracket, 'W1-1').status, 'bye');
+    assert.equal(findMatch(bracket, 'W1-3').status, 'bye');
+    assert.deepEqual(slotTeams(bracket, 'W2-1'), ['team1', null]);
+    assert.deepEqual(slotTeams(bracket, 'W2-2'), ['team2', null]);
+    assert.equal(findMatch(bracket, 'W1-2').status, 'ready');
+  });
+
+  it('builds a double elimination bracket with a grand final reset', () => {
+    const bracket = generateBracket('double-elimination', teams(4));
+    const ids = bracket.matches.map(m => m.id);
+
+    assert.deepEqual(ids.sort(), [
+      'GF',
+      'GF2',
+      'L1-1',
+      'L2-1',
+      'W1-1',
+      'W1-2',
+      'W2-1',
+    ]);
+    assert.deepEqual(findMatch(bracket, 'W1-1').loserTo, {
+      match: 'L1-1',
+      slot: 0,
+    });
+    assert.deepEqual(findMatch(bracket, 'W2-1').loserTo, {
+      match: 'L2-1',
+      slot: 1,
+    });
+  });
+
+  it('pairs every team once in a round robin', () => {
+    const bracket = generateBracket('round-robin', teams(5));
+    const pairs = new Set(
+      bracket.matches.map(m =>
+        m.slots
+          .map(s => s.team)
+          .sort()
+          .join(':')
+      )
+    );
+
+    assert.equal(bracket.rounds.length, 5);
+    assert.equal(bracket.matches.length, 10);
+    assert.equal(pairs.size, 10);
+    assert.ok(bracket.matches.every(m => m.status === 'ready'));
+  });
+
+  it('pairs swiss round one top half against bottom half', () => {
+    const bracket = generateBracket('swiss', teams(5));
+
+    assert.equal(bracket.totalRounds, 3);
+    assert.equal(bracket.currentRound, 1);
+    assert.deepEqual(slotTeams(bracket, 'S1-1'), ['team1', 'team3']);
+    assert.deepEqual(slotTeams(bracket, 'S1-2'), ['team2', 'team4']);
+    assert.equal(findMatch(bracket, 'S1-3').status, 'bye');
+    assert.equal(findMatch(bracket, 'S1-3').winner, 'team5');
+  });
+
+  it('uses the requested number of swiss rounds', () => {
+    const bracket = generateBracket('swiss', teams(8), { swissRounds: 2 });
+    assert.equal(bracket.totalRounds, 2);
+  });
+});
+
+describe('recordResult', () => {
+  it('advances the winner and crowns the champion', () => {
+    const bracket = generateBracket('single-elimination', teams(4));
+
+    const changed = recordResult(bracket, 'W1-1', 'team1');
+    assert.deepEqual(changed, ['W2-1']);
+    assert.deepEqual(slotTeams(bracket, 'W2-1'), ['team1', null]);
+
+    recordResult(bracket, 'W1-2', 'team3');
+    assert.equal(findMatch(bracket, 'W2-1').status, 'ready');
+    assert.equal(isBracketComplete(bracket), false);
+
+    recordResult(bracket, 'W2-1', 'team3');
+    assert.equal(bracket.champion, 'team3');
+    assert.equal(isBracketComplete(bracket), true);
+    assert.deepEqual(
+      finalPositions(bracket),
+      new Map([
+        ['team3', 1],
+        ['team1', 2],
+        ['team4', 3],
+        ['team2', 3],
+      ])
+    );
+  });
+
+  it('rejects matches that are not ready, outsiders and elimination draws', () => {
+    const bracket = generateBracket('single-elimination', teams(4));
+
+    assert.throws(
+      () => recordResult(bracket, 'W2-1', 'team1'),
+      /not ready to be played/
+    );
+    assert.throws(
+      () => recordResult(bracket, 'W1-1', 'team2'),
+      /not a participant/
+    );
+    assert.throws(
+      () => recordResult(bracket, 'W1-1', null, { draw: true }),
+      /cannot end in a draw/
+    );
+  });
+
+  it('drops losers into the losers bracket and plays a reset', () => {
+    const bracket = generateBracket('double-elimination', teams(4));
+
+    recordResult(bracket, 'W1-1', 'team1');
+    recordResult(bracket, 'W1-2', 'team2');
+    assert.deepEqual(slotTeams(bracket, 'L1-1'), ['team4', 'team3']);
+
+    recordResult(bracket, 'W2-1', 'team1');
+    recordResult(bracket, 'L1-1', 'team3');
+    recordResult(bracket, 'L2-1', 'team3');
+    assert.deepEqual(slotTeams(bracket, 'GF'), ['team1', 'team3']);
+
+    // The losers bracket side wins, so both teams have one loss
+    recordResult(bracket, 'GF', 'team3');
+    assert.equal(bracket.champion, null);
+    assert.equal(findMatch(bracket, 'GF2').status, 'ready');
+
+    recordResult(bracket, 'GF2', 'team1');
+    assert.equal(bracket.champion, 'team1');
+  });
+
+  it('settles league draws without a winner', () => {
+    const bracket = generateBracket('round-robin', teams(2));
+
+    recordResult(bracket, 'R1-1', null, { draw: true });
+    const match = findMatch(bracket, 'R1-1');
+    assert.equal(match.isDraw, true);
+    assert.equal(match.winner, null);
+    assert.equal(isBracketComplete(bracket), true);
+  });
+
+  it('pairs later swiss rounds without rematches', () => {
+    const bracket = generateBracket('swiss', teams(4));
+
+    assert.throws(() => pairSwissRound(bracket, teams(4)), /not finished/);
+    recordResult(bracket, 'S1-1', 'team1');
+    recordResult(bracket, 'S1-2', 'team2');
+
+    pairSwissRound(bracket, ['team1', 'team2', 'team3', 'team4']);
+    assert.deepEqual(slotTeams(bracket, 'S2-1'), ['team1', 'team2']);
+    assert.deepEqual(slotTeams(bracket, 'S2-2'), ['team3', 'team4']);
+
+    playOut(bracket);
+    assert.equal(isBracketComplete(bracket), true);
+    assert.throws(
+      () => pairSwissRound(bracket, teams(4)),
+      /All swiss rounds have been paired/
+    );
+  });
+});
+
+describe('revertResult', () => {
+  it('takes the winner back out of the next match', () => {
+    const bracket = generateBracket('single-elimination', teams(4));
+    recordResult(bracket, 'W1-1', 'team1');
+    recordResult(bracket, 'W1-2', 'team2');
+
+    assert.equal(getRevertError(bracket, 'W1-1'), null);
+    const changed = revertResult(bracket, 'W1-1');
+
+    assert.deepEqual(changed.sort(), ['W1-1', 'W2-1']);
+    const match = findMatch(bracket, 'W1-1');
+    assert.equal(match.status, 'ready');
+    assert.equal(match.winner, null);
+    assert.deepEqual(slotTeams(bracket, 'W2-1'), [null, 'team2']);
+    assert.equal(findMatch(bracket, 'W2-1').status, 'pending');
+  });
+
+  it('refuses once the result has been played on', () => {
+    const bracket = generateBracket('single-elimination', teams(4));
+    assert.equal(
+      getRevertError(bracket, 'W1-1'),
+      'Match has no recorded result'
+    );
+
+    playOut(bracket);
+    assert.equal(
+      getRevertError(bracket, 'W1-1'),
+      'Match W2-1 has already been played with this result'
+    );
+  });
+
+  it('clears the champion when the final is reverted', () => {
+    const bracket = generateBracket('single-elimination', teams(3));
+    playOut(bracket);
+    assert.equal(bracket.champion, 'team1');
+
+    revertResult(bracket, 'W2-1');
+    assert.equal(bracket.champion, null);
+    assert.equal(isBracketComplete(bracket), false);
+    assert.equal(findMatch(bracket, 'W2-1').status, 'ready');
+  });
+
+  it('undoes a grand final that forced a reset', () => {
+    const bracket = generateBracket('double-elimination', teams(2));
+    recordResult(bracket, 'W1-1', 'team1');
+    recordResult(bracket, 'GF', 'team2');
+    assert.equal(findMatch(bracket, 'GF2').status, 'ready');
+
+    revertResult(bracket, 'GF');
+    const reset = findMatch(bracket, 'GF2');
+    assert.equal(reset.status, 'pending');
+    assert.deepEqual(
+      reset.slots.map(s => s.team),
+      [null, null]
+    );
+  });
+
+  it('locks swiss results once the next round is paired', () => {
+    const bracket = generateBracket('swiss', teams(4));
+    recordResult(bracket, 'S1-1', 'team1');
+    recordResult(bracket, 'S1-2', 'team2');
+    assert.equal(getRevertError(bracket, 'S1-1'), null);
+
+    pairSwissRound(bracket, teams(4));
+    assert.equal(
+      getRevertError(bracket, 'S1-1'),
+      'The next swiss round has already been paired'
+    );
+  });
+});
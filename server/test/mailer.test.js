@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import {
+  consoleTransport,
+  createMemoryTransport,
+  initMailTransport,
+  sendMail,
+  setMailTransport,
+} from '../src/utils/mailer.js';
+
+const MAIL_ENV = [
+  'NODE_ENV',
+  'MAIL_TRANSPORT',
+  'SMTP_HOST',
+  'MAIL_FROM',
+  'MAIL_LOG_BODY',
+];
+
+describe('mail transport', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(MAIL_ENV.map(key => [key, process.env[key]]));
+    MAIL_ENV.forEach(key => delete process.env[key]);
+    setMailTransport(null);
+  });
+
+  afterEach(() => {
+    MAIL_ENV.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+    setMailTransport(null);
+  });
+
+  it('logs mail to the console when NODE_ENV is unset', () => {
+    assert.equal(initMailTransport(), consoleTransport);
+  });
+
+  it('refuses to start in production without a transport', () => {
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => initMailTransport(), /No mail transport configured/);
+  });
+
+  it('uses SMTP once a host is configured', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.SMTP_HOST = 'smtp.example.edu';
+
+    const transport = initMailTransport();
+    assert.notEqual(transport, consoleTransport);
+    assert.equal(typeof transport.send, 'function');
+  });
+
+  it('rejects an unknown MAIL_TRANSPORT', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+    assert.throws(() => initMailTransport(), /Unknown MAIL_TRANSPORT: pigeon/);
+  });
+
+  it('sends through the configured transport', async () => {
+    const memory = createMemoryTransport();
+    setMailTransport(memory);
+    process.env.MAIL_FROM = 'cups@example.edu';
+
+    await sendMail({ to: 'a@example.edu', subject: 'Hi', text: 'Body' });
+
+    assert.deepEqual(memory.sent, [
+      {
+        from: 'cups@example.edu',
+        to: 'a@example.edu',
+        subject: 'Hi',
+        text: 'Body',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import mongoose from 'mongoose';
+import User from '../src/models/user.js';
+import {
+  inAppChannel,
+  notify,
+  setNotificationChannel,
+} from '../src/services/notificationService.js';
+import {
+  createMemoryTransport,
+  setMailTransport,
+} from '../src/utils/mailer.js';
+
+// Email notifications go through the mailer; a memory transport stands in
+// for SMTP and the in-app channel is switched off.
+
+const user = (email, notificationPreferences = {}) =>
+  User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    email,
+    notificationPreferences,
+  });
+
+describe('email notifications', () => {
+  let mail;
+  let users;
+
+  beforeEach(() => {
+    mail = createMemoryTransport();
+    setMailTransport(mail);
+    setNotificationChannel('inApp', null);
+    mock.method(User, 'find', () => ({ select: async () => users }));
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    setNotificationChannel('inApp', inAppChannel);
+    mock.restoreAll();
+  });
+
+  const approved = {
+    type: 'tournament_approved',
+    title: 'Spring Cup was approved',
+    message: 'Registration is now open.',
+    link: '/tournaments/42',
+  };
+
+  it('mails the notification with a link to the page', async () => {
+    users = [user('organizer@example.edu')];
+
+    await notify(users, approved);
+
+    assert.equal(mail.sent.length, 1);
+    const [sent] = mail.sent;
+    assert.equal(sent.to, 'organizer@example.edu');
+    assert.equal(sent.subject, 'Spring Cup was approved');
+    assert.equal(
+      sent.text,
+      'Registration is now open.\n\nhttp://localhost:5173/tournaments/42'
+    );
+  });
+
+  it('respects users who turned email off or muted the type', async () => {
+    users = [
+      user('quiet@example.edu', { email: false }),
+      user('muted@example.edu', { mutedTypes: ['tournament_approved'] }),
+      user('keen@example.edu'),
+    ];
+
+    await notify(users, approved);
+
+    assert.deepEqual(
+      mail.sent.map(m => m.to),
+      ['keen@example.edu']
+    );
+  });
+});
@@ -0,0 +1,433 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import mongoose from 'mongoose';
+import Match from '../src/models/match.js';
+import Protest from '../src/models/protest.js';
+import Tournament from '../src/models/tournament.js';
+import { findMatch, generateBracket } from '../src/services/bracketService.js';
+import { createScheduler } from '../src/services/scheduler.js';
+import eventBus from '../src/utils/eventBus.js';
+
+// The scheduler only talks to the database through model statics and
+// document saves. These are swapped for an in-memory store that understands
+// the operators the scheduler uses, so no MongoDB is needed.
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const same = (a, b) =>
+  a == null || b == null ? a == null && b == null : String(a) === String(b);
+
+const isOperator = cond =>
+  cond !== null &&
+  typeof cond === 'object' &&
+  Object.keys(cond).some(key => key.startsWith('$'));
+
+const inList = (value, list) =>
+  list.some(item =>
+    Array.isArray(value) ? value.some(v => same(v, item)) : same(value, item)
+  );
+
+const OPERATORS = {
+  $lte: (value, arg) => value != null && value <= arg,
+  $ne: (value, arg) => !same(value, arg),
+  $in: inList,
+  $nin: (value, arg) => !inList(value, arg),
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, cond]) => {
+    if (path === '$or') return cond.some(f => matches(doc, f));
+
+    const value = doc.get(path);
+    if (isOperator(cond)) {
+      return Object.entries(cond).every(([op, arg]) =>
+        OPERATORS[op](value, arg)
+      );
+    }
+    return Array.isArray(value)
+      ? value.some(v => same(v, cond))
+      : same(value, cond);
+  });
+
+const applyUpdate = (doc, { $set = {}, $unset = {}, $push = {} }) => {
+  Object.entries($set).forEach(([path, value]) => doc.set(path, value));
+  Object.keys($unset).forEach(path => doc.set(path, undefined));
+  Object.entries($push).forEach(([path, value]) => doc.get(path).push(value));
+};
+
+// Chainable stand-in for a mongoose query
+const query = run => ({
+  sortBy: null,
+  select() {
+    return this;
+  },
+  sort(spec) {
+    this.sortBy = Object.entries(spec)[0];
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => run(this.sortBy))
+      .then(resolve, reject);
+  },
+});
+
+const sorted = (docs, sortBy) => {
+  if (!sortBy) return docs;
+  const [path, direction] = sortBy;
+  return [...docs].sort((a, b) => (a.get(path) - b.get(path)) * direction);
+};
+
+// Back the model's statics and saves with `docs`
+const fakeModel = (Model, docs) => {
+  const found = filter => docs.filter(doc => matches(doc, filter));
+
+  mock.method(Model, 'find', filter =>
+    query(sortBy => sorted(found(filter), sortBy))
+  );
+  mock.method(Model, 'findOne', filter =>
+    query(sortBy => sorted(found(filter), sortBy)[0] ?? null)
+  );
+  mock.method(Model, 'distinct', async (path, filter) => [
+    ...new Set(found(filter).map(doc => String(doc.get(path)))),
+  ]);
+  mock.method(Model, 'findOneAndUpdate', async (filter, update) => {
+    const doc = found(filter)[0];
+    if (!doc) return null;
+    applyUpdate(doc, update);
+    return doc;
+  });
+  mock.method(Model, 'updateOne', async (filter, update) => {
+    const doc = found(filter)[0];
+    if (doc) applyUpdate(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Model, 'insertMany', async added => {
+    docs.push(...added);
+    return added;
+  });
+  mock.method(Model, 'deleteMany', async filter => {
+    const removed = found(filter);
+    removed.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: removed.length };
+  });
+  mock.method(Model.prototype, 'save', async function () {
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  });
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const START = new Date('2026-03-02T10:00:00Z');
+
+describe('scheduler tick', () => {
+  let now;
+  let tournaments;
+  let matchDocs;
+  let protests;
+  let events;
+  let scheduler;
+
+  const clock = () => now;
+  const logger = { info: () => {}, error: () => {} };
+
+  const addTournament = fields => {
+    const tournament = Tournament.hydrate({
+      _id: objectId(),
+      name: 'Spring Cup',
+      tournamentType: 'single-elimination',
+      registrationEnd: new Date(START.getTime() - 24 * HOUR),
+      startDate: START,
+      status: 'registration_open',
+      bracketGenerated: false,
+      autoGenerateBracket: false,
+      registeredTeams: [],
+      statusHistory: [],
+      ...fields,
+    });
+    tournaments.push(tournament);
+    return tournament;
+  };
+
+  // An ongoing tournament whose single match is scheduled at START
+  const addOngoingMatch = ({ checkIns = [], ...fields } = {}) => {
+    const teams = [objectId(), objectId()];
+    const tournament = addTournament({
+      status: 'ongoing',
+      bracketGenerated: true,
+      bracket: generateBracket(
+        'single-elimination',
+        teams.map(team => team.toString())
+      ),
+      ...fields,
+    });
+    const node = findMatch(tournament.bracket, 'W1-1');
+    const match = new Match({
+      tournament: tournament._id,
+      bracketMatchId: node.id,
+      round: node.round,
+      bracket: node.bracket,
+      participants: teams.map((team, index) => ({ team, seed: index + 1 })),
+      status: 'scheduled',
+      scheduledAt: START,
+      checkIns: checkIns.map(index => ({ team: teams[index], at: START })),
+    });
+    node.matchId = match._id.toString();
+    matchDocs.push(match);
+    return { tournament, match, teams };
+  };
+
+  const onEvent = name => {
+    const handler = payload => events.push({ name, ...payload });
+    eventBus.on(name, handler);
+    return () => eventBus.off(name, handler);
+  };
+  let offs = [];
+
+  beforeEach(() => {
+    now = START;
+    tournaments = [];
+    matchDocs = [];
+    protests = [];
+    events = [];
+    fakeModel(Tournament, tournaments);
+    fakeModel(Match, matchDocs);
+    fakeModel(Protest, protests);
+    offs = [
+      'tournament.status_changed',
+      'tournament.bracket_due',
+      'match.walkover',
+      'match.no_show',
+    ].map(onEvent);
+    scheduler = createScheduler({ clock, logger });
+  });
+
+  afterEach(() => {
+    offs.forEach(off => off());
+    mock.restoreAll();
+  });
+
+  it('closes registration once the deadline passes', async () => {
+    const due = addTournament({});
+    const later = addTournament({
+      registrationEnd: new Date(START.getTime() + HOUR),
+    });
+
+    const summary = await scheduler.tick();
+
+    assert.deepEqual(summary.closed, [due._id]);
+    assert.equal(due.status, 'registration_closed');
+    assert.equal(later.status, 'registration_open');
+    const { from, to, at, reason } = due.statusHistory.at(-1);
+    assert.deepEqual(
+      { from, to, at, reason },
+      {
+        from: 'registration_open',
+        to: 'registration_closed',
+        at: START,
+        reason: 'Registration deadline passed',
+      }
+    );
+
+    // A later tick closes the other one and leaves the first alone
+    now = new Date(START.getTime() + 2 * HOUR);
+    const next = await scheduler.tick();
+    assert.deepEqual(next.closed, [later._id]);
+    assert.equal(
+      events.filter(e => e.name === 'tournament.status_changed').length,
+      2
+    );
+  });
+
+  it('prompts the organizer once for a bracket and claims the tournament', async () => {
+    const tournament = addTournament({
+      status: 'registration_closed',
+      startDate: new Date(START.getTime() + HOUR),
+    });
+
+    const first = await scheduler.tick();
+    assert.deepEqual(first.brackets, [
+      { tournament: tournament._id, action: 'prompted' },
+    ]);
+    assert.deepEqual(tournament.bracketRequestedAt, START);
+
+    // The claim holds on later ticks
+    now = new Date(START.getTime() + MINUTE);
+    const second = await scheduler.tick();
+    assert.deepEqual(second.brackets, []);
+    assert.equal(
+      events.filter(e => e.name === 'tournament.bracket_due').length,
+      1
+    );
+  });
+
+  it('lets only one of two overlapping schedulers claim a bracket', async () => {
+    addTournament({
+      status: 'registration_closed',
+      startDate: new Date(START.getTime() + HOUR),
+    });
+    const other = createScheduler({ clock, logger });
+
+    const [a, b] = await Promise.all([scheduler.tick(), other.tick()]);
+
+    assert.equal(a.brackets.length + b.brackets.length, 1);
+    assert.equal(
+      events.filter(e => e.name === 'tournament.bracket_due').length,
+      1
+    );
+  });
+
+  it('generates the bracket when the tournament asks for it', async () => {
+    const teams = [objectId(), objectId(), objectId()];
+    const tournament = addTournament({
+      status: 'registration_closed',
+      startDate: new Date(START.getTime() + HOUR),
+      autoGenerateBracket: true,
+      registeredTeams: teams.map((team, index) => ({
+        team,
+        approved: true,
+        registeredAt: new Date(START.getTime() - (10 - index) * HOUR),
+      })),
+    });
+
+    const summary = await scheduler.tick();
+
+    assert.deepEqual(summary.brackets, [
+      { tournament: tournament._id, action: 'generated' },
+    ]);
+    assert.equal(tournament.bracketGenerated, true);
+    assert.equal(tournament.bracket.seeds.length, 3);
+    assert.equal(matchDocs.length, tournament.bracket.matches.length);
+  });
+
+  it('leaves the bracket to the organizer when it cannot be generated', async () => {
+    const tournament = addTournament({
+      status: 'registration_closed',
+      startDate: new Date(START.getTime() + HOUR),
+      autoGenerateBracket: true,
+      registeredTeams: [{ team: objectId(), approved: true }],
+    });
+
+    const summary = await scheduler.tick();
+
+    assert.deepEqual(summary.brackets, [
+      { tournament: tournament._id, action: 'failed' },
+    ]);
+    assert.equal(tournament.bracketGenerated, false);
+    assert.equal(matchDocs.length, 0);
+  });
+
+  it('starts bracketed tournaments at their start date', async () => {
+    const ready = addTournament({
+      status: 'registration_closed',
+      bracketGenerated: true,
+    });
+    const unbracketed = addTournament({
+      status: 'registration_closed',
+      bracketRequestedAt: START,
+    });
+    const later = addTournament({
+      status: 'registration_closed',
+      bracketGenerated: true,
+      startDate: new Date(START.getTime() + HOUR),
+    });
+
+    now = new Date(START.getTime() - MINUTE);
+    assert.deepEqual((await scheduler.tick()).started, []);
+
+    now = START;
+    const summary = await scheduler.tick();
+
+    assert.deepEqual(summary.started, [ready._id]);
+    assert.equal(ready.status, 'ongoing');
+    assert.equal(unbracketed.status, 'registration_closed');
+    assert.equal(later.status, 'registration_closed');
+  });
+
+  it('awards a walkover once match check-in closes', async () => {
+    const { match, teams, tournament } = addOngoingMatch({
+      checkIn: { matches: true, graceMinutes: 10 },
+      checkIns: [0],
+    });
+
+    // Still inside the grace period
+    now = new Date(START.getTime() + 5 * MINUTE);
+    assert.deepEqual((await scheduler.tick()).checkIns, []);
+    assert.equal(match.status, 'scheduled');
+
+    now = new Date(START.getTime() + 10 * MINUTE);
+    const summary = await scheduler.tick();
+
+    assert.deepEqual(summary.checkIns, [
+      { match: match._id, action: 'walkover', forfeitedTeam: teams[1] },
+    ]);
+    assert.equal(match.status, 'completed');
+    assert.equal(match.walkover, true);
+    assert.equal(match.winner.toString(), teams[0].toString());
+    assert.deepEqual(match.checkInClosedAt, now);
+    assert.equal(tournament.bracket.champion, teams[0].toString());
+
+    // Settled once
+    now = new Date(START.getTime() + 20 * MINUTE);
+    assert.deepEqual((await scheduler.tick()).checkIns, []);
+  });
+
+  it('asks organizers to decide when neither team checks in', async () => {
+    const { match } = addOngoingMatch({
+      checkIn: { matches: true, graceMinutes: 10 },
+    });
+
+    now = new Date(START.getTime() + 10 * MINUTE);
+    const summary = await scheduler.tick();
+
+    assert.deepEqual(summary.checkIns, [
+      { match: match._id, action: 'no_show' },
+    ]);
+    assert.equal(match.status, 'scheduled');
+    assert.equal(events.filter(e => e.name === 'match.no_show').length, 1);
+  });
+
+  it('completes a tournament once the protest window after the final closes', async () => {
+    const { match, teams, tournament } = addOngoingMatch({});
+    tournament.winner = { team: teams[0], declaredAt: START };
+    match.status = 'completed';
+    match.completedAt = START;
+
+    // The default protest window is 24 hours
+    now = new Date(START.getTime() + 23 * HOUR);
+    assert.deepEqual((await scheduler.tick()).completed, []);
+    assert.equal(tournament.status, 'ongoing');
+
+    now = new Date(START.getTime() + 24 * HOUR);
+    const summary = await scheduler.tick();
+
+    assert.deepEqual(summary.completed, [tournament._id]);
+    assert.equal(tournament.status, 'completed');
+    assert.equal(tournament.statusHistory.at(-1).reason, 'Winner declared');
+  });
+
+  it('keeps a tournament ongoing while a protest is pending', async () => {
+    const { match, teams, tournament } = addOngoingMatch({});
+    tournament.winner = { team: teams[0], declaredAt: START };
+    match.status = 'completed';
+    match.completedAt = START;
+    protests.push(
+      Protest.hydrate({
+        _id: objectId(),
+        tournament: tournament._id,
+        match: match._id,
+        bracketMatchId: match.bracketMatchId,
+        status: 'pending',
+      })
+    );
+
+    now = new Date(START.getTime() + 48 * HOUR);
+    assert.deepEqual((await scheduler.tick()).completed, []);
+    assert.equal(tournament.status, 'ongoing');
+
+    protests[0].status = 'resolved';
+    assert.deepEqual((await scheduler.tick()).completed, [tournament._id]);
+  });
+});